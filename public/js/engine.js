@@ -10,14 +10,24 @@
  * - Form data collection
  * - Prolific redirect on completion
  * - Section-based progress stepper
- * - Session persistence & resume on refresh
+ * - Session persistence & resume on refresh (page, answers, Back history and a debounced autosave of in-page input)
+ * - Branching on the assigned design cell (skipIf: { factor, value, targetPageId })
+ * - Ordered routing rules with expressions over answers and factors (routes: [{ when, goTo }])
+ * - Conditional fields shown/hidden as the participant answers (showIf: "<expression>")
+ * - Repeating field groups with add/remove ("add another person"), collected as arrays (type: 'repeat')
+ * - File uploads sent to the server as soon as a file is chosen, with progress and type/size limits
+ * - "Change" links on review pages that jump to a field's page and return to the review after Continue
+ * - "Save and come back later" (saveForLater): ends the sitting and shows a resume code for /resume
+ * - Friction modules (friction.js) switched on per procedure, page or condition: processing delays,
+ *   re-entry of earlier answers, "session expired" sign-ins, CAPTCHAs and download-and-reupload steps
  */
 
 class ProcedureEngine {
-  constructor(procedureConfig, tracker, resumeState) {
+  constructor(procedureConfig, tracker, resumeState, factors) {
     this.config = procedureConfig;
     this.pages = procedureConfig.pages;
     this.tracker = tracker;
+    this.factors = factors || {};   // design cell levels, e.g. { estimation: 'self', length: 'short' }
     this.currentPageIndex = -1;
     this.formData = {};
     this.pageHistory = [];
@@ -30,8 +40,44 @@ class ProcedureEngine {
     // Restore state if resuming
     if (resumeState) {
       this.formData = resumeState.formData || {};
+      this.pageHistory = resumeState.pageHistory || [];
     }
     this._resumePageIndex = resumeState ? (resumeState.currentPageIndex || 0) : 0;
+    this._resumed = !!resumeState;
+
+    // Document drawer events (dispatched by the procedure's openDocDrawer)
+    this._attachDrawerTracking();
+
+    // Per-field telemetry (delegated on the page container, so attached once)
+    this._fieldNameMap = {};
+    this._attachFieldTracking();
+
+    // Conditional fields (showIf): names of the fields currently hidden on this page
+    this._hiddenFields = new Set();
+    this._attachFieldVisibility();
+
+    // Add/remove buttons of repeating groups
+    this._attachRepeatControls();
+
+    // File fields: rendered field name -> stored file metadata, or { pending: true } while sending
+    this._uploads = {};
+    this._attachFileUploads();
+
+    // Page opened from a review "Change" link: { reviewIndex, pageIndex, fieldName, historyLength, before }
+    this._reviewChange = (resumeState && resumeState.reviewChange) || null;
+
+    // Autosave of in-page input (debounced). A draft saved before a refresh prefills its page's
+    // inputs when the page is shown again; it only reaches formData when the page is continued
+    this.autosaveDelayMs = procedureConfig.autosaveDelayMs || 2000;
+    this._autosaveTimer = null;
+    const draft = resumeState && resumeState.pageDraft;
+    this._draftValues = draft && draft.pageIndex === this._resumePageIndex && draft.values ? draft.values : null;
+    this._attachAutosave();
+
+    // Friction modules: the one whose step is on screen, and "<id>:<pageId>" of those already run
+    this._friction = null;
+    this._frictionDone = new Set(tracker ? tracker.frictionRuns() : []);
+    this._sessionExpiryTimer = null;
 
     // Block browser back
     window.history.pushState(null, '', window.location.href);
@@ -43,6 +89,8 @@ class ProcedureEngine {
   start() {
     this._renderStepper();
     this.goToPage(this._resumePageIndex);
+    // Save straight away after a refresh, so the resume is recorded even if the participant leaves again
+    if (this._resumed) this._saveProgress({ pageDraft: this._currentDraft(), resumed: true });
   }
 
   // ============================================================
@@ -141,6 +189,8 @@ class ProcedureEngine {
 
   goToPage(index) {
     if (index < 0 || index >= this.pages.length) return;
+    clearTimeout(this._autosaveTimer);
+    clearTimeout(this._sessionExpiryTimer);
 
     // Exit previous page in tracker
     if (this.tracker && this.currentPageIndex >= 0) {
@@ -158,14 +208,26 @@ class ProcedureEngine {
       this.tracker.enterPage(page.id, index);
     }
 
+    // Friction steps shown before the page (on: 'enter'), then the page itself
+    this._runFriction(page, this._activeFriction(page, 'enter'), () => this._showPage(page));
+  }
+
+  _showPage(page) {
     this.renderPage(page);
+    this._draftValues = null;
     window.scrollTo({ top: 0, behavior: 'instant' });
+    this._armSessionExpiry(page);
+  }
+
+  // Pages whose fields are validated and committed on Continue (and kept on Back)
+  _hasAnswers(page) {
+    return page.type === 'form' || (Array.isArray(page.fields) && page.fields.length > 0);
   }
 
   nextPage() {
     const page = this.pages[this.currentPageIndex];
 
-    if (page.type === 'form' || (page.type === 'review' && page.fields)) {
+    if (this._hasAnswers(page)) {
       if (!this.validateCurrentPage()) return;
       this.collectFormData(page);
       if (this.tracker) {
@@ -173,6 +235,12 @@ class ProcedureEngine {
       }
     }
 
+    // Friction steps after a valid Continue (on: 'exit'), before moving on
+    this._runFriction(page, this._activeFriction(page, 'exit'), () => this._leavePage(page));
+  }
+
+  // Move on from a page whose answers have been accepted
+  _leavePage(page) {
     // When leaving application_submitted, send a snapshot of all tracker data
     // (includes estimation responses collected from this page's form fields)
     // so that "submitted" sessions have exploitable data even if the participant drops out
@@ -198,30 +266,33 @@ class ProcedureEngine {
         }
       }
       delete page.skipToPageId; // one-time use
-    } else if (page.skipIf) {
-      // Evaluate skip condition: { field, value, targetPageId }
-      const fieldVal = this.formData[page.skipIf.field];
-      if (fieldVal === page.skipIf.value) {
-        const target = this.pages.findIndex(p => p.id === page.skipIf.targetPageId);
-        if (target >= 0) {
-          nextIndex = target;
-          // Mark session as skipped for analytics
-          this.formData._skipped_to = page.skipIf.targetPageId;
-          this.formData._skip_reason = `${page.skipIf.field}=${page.skipIf.value}`;
-          if (this.tracker) {
-            this.tracker.recordSkip(page.id, page.skipIf.targetPageId, this.formData);
-          }
-        }
+    } else if (page.routes || page.skipIf) {
+      const routing = this._evaluateRoutes(page);
+      const target = routing.route ? this.pages.findIndex(p => p.id === routing.route.goTo) : -1;
+      if (target >= 0) {
+        nextIndex = target;
+        // Mark session as skipped for analytics
+        this.formData._skipped_to = routing.route.goTo;
+        this.formData._skip_reason = routing.reason;
       }
+      if (this.tracker) {
+        const toPage = this.pages[nextIndex];
+        this.tracker.recordSkip(page.id, toPage ? toPage.id : null, this.formData, {
+          matched: target >= 0,
+          reason: target >= 0 ? routing.reason : 'no_route_matched',
+          routes: routing.evaluated,
+        });
+      }
+    }
+
+    if (this._reviewChange && this._reviewChange.pageIndex === this.currentPageIndex) {
+      nextIndex = this._finishReviewChange(nextIndex);
     }
 
     this.goToPage(nextIndex);
 
     // Save progress after navigation
-    const currentPage = this.pages[this.currentPageIndex];
-    if (this.tracker) {
-      this.tracker.saveProgress(this.currentPageIndex, this.formData, currentPage ? currentPage.id : null);
-    }
+    this._saveProgress();
   }
 
   /**
@@ -236,6 +307,9 @@ class ProcedureEngine {
     // Close the slide-out document drawer if open
     const drawer = document.querySelector('.doc-drawer');
     if (drawer) {
+      if (drawer.dataset.docId) {
+        document.dispatchEvent(new CustomEvent('docdrawer:close', { detail: { docId: drawer.dataset.docId } }));
+      }
       drawer.classList.remove('doc-drawer--open');
       setTimeout(() => { drawer.remove(); }, 250);
     }
@@ -245,41 +319,529 @@ class ProcedureEngine {
     if (this.pageHistory.length > 0) {
       // Collect current page data before going back (so it's preserved)
       const page = this.pages[this.currentPageIndex];
-      if (page.type === 'form') {
+      if (this._hasAnswers(page)) {
         this.collectFormData(page);
       }
 
       this._collapseDocumentPreviews();
       const prevIndex = this.pageHistory.pop();
+      if (this.tracker) {
+        this.tracker.recordBack(page.id, this.pages[prevIndex].id);
+      }
+      // Back from a page opened with a review "Change" link returns to the review without continuing
+      if (this._reviewChange && this._reviewChange.pageIndex === this.currentPageIndex && prevIndex === this._reviewChange.reviewIndex) {
+        this._closeReviewChange('cancelled');
+      }
       this.goToPage(prevIndex);
 
       // Save progress after navigation
-      if (this.tracker) {
-        const prevPage = this.pages[this.currentPageIndex];
-        this.tracker.saveProgress(this.currentPageIndex, this.formData, prevPage ? prevPage.id : null);
+      this._saveProgress();
+    }
+  }
+
+  // ============================================================
+  // PROGRESS & AUTOSAVE
+  // ============================================================
+  // Progress (page, answers, Back history, open review change) is saved on every transition.
+  // Answers are only committed on Continue/Back, so input on the current page is also autosaved
+  // as a draft, autosaveDelayMs after the last change, and put back on the page after a refresh.
+
+  _navigationState() {
+    return { pageHistory: this.pageHistory, reviewChange: this._reviewChange };
+  }
+
+  // extra: { pageDraft, resumed } for the save made after a refresh
+  _saveProgress(extra = {}) {
+    if (!this.tracker) return;
+    const page = this.pages[this.currentPageIndex];
+    this.tracker.saveProgress(this.currentPageIndex, this.formData, page ? page.id : null, { ...this._navigationState(), ...extra });
+  }
+
+  _attachAutosave() {
+    if (!this.container) return;
+    const schedule = () => {
+      clearTimeout(this._autosaveTimer);
+      this._autosaveTimer = setTimeout(() => this._autosave(), this.autosaveDelayMs);
+    };
+    this.container.addEventListener('input', schedule);
+    this.container.addEventListener('change', schedule);
+  }
+
+  // Current values of the visible fields on this page, not yet committed to formData
+  _pageDraft() {
+    const page = this.pages[this.currentPageIndex];
+    if (!page || !page.fields) return null;
+    const values = {};
+    page.fields.forEach(field => {
+      if (!this._hiddenFields.has(field.name)) values[field.name] = this._readFieldValue(field);
+    });
+    return { pageId: page.id, pageIndex: this.currentPageIndex, values };
+  }
+
+  // While a friction step is on screen the page's fields aren't rendered, so there is no draft
+  _currentDraft() {
+    return this._friction ? null : this._pageDraft();
+  }
+
+  _autosave() {
+    clearTimeout(this._autosaveTimer);
+    if (!this.tracker) return;
+    const page = this.pages[this.currentPageIndex];
+    this.tracker.saveProgress(this.currentPageIndex, this.formData, page ? page.id : null, {
+      ...this._navigationState(),
+      pageDraft: this._currentDraft(),
+      autosave: true,
+    });
+  }
+
+  // ============================================================
+  // SAVE AND COME BACK LATER
+  // ============================================================
+  // saveForLater: true on the procedure offers the link on every form, upload and review page;
+  // on a page, saveForLater: true / false overrides that (e.g. a single break point). The answers
+  // on the page are kept without validation (as with Back), the sitting ends and the participant
+  // gets a resume code to enter on /resume, from any device.
+
+  _offersSaveForLater(page) {
+    if (page.saveForLater !== undefined) return !!page.saveForLater;
+    return !!this.config.saveForLater && ['form', 'upload', 'review'].includes(page.type);
+  }
+
+  _saveForLaterLink(page) {
+    if (!this._offersSaveForLater(page)) return '';
+    return `<p class="gov-body" style="margin-top: 20px;"><a href="#" class="gov-link" id="btn-save-later">Save and come back later</a></p>`;
+  }
+
+  async _saveForLater() {
+    if (this._savingForLater) return;
+    this._savingForLater = true;
+    const page = this.pages[this.currentPageIndex];
+    if (page.fields) this.collectFormData(page);
+    clearTimeout(this._autosaveTimer);
+    clearTimeout(this._sessionExpiryTimer);
+    const code = this.tracker
+      ? await this.tracker.saveForLater(this.currentPageIndex, this.formData, page.id, this._navigationState())
+      : null;
+    this._savingForLater = false;
+    if (!code) {
+      this._showSaveForLaterError();
+      return;
+    }
+    this._collapseDocumentPreviews();
+    if (this.stepperContainer) this.stepperContainer.innerHTML = '';
+    this.container.innerHTML = `<div class="page-content">${this.renderSavedForLater(code)}</div>`;
+    window.scrollTo({ top: 0, behavior: 'instant' });
+  }
+
+  _showSaveForLaterError() {
+    const es = document.querySelector('.gov-error-summary');
+    if (es) es.remove();
+    const summary = document.createElement('div');
+    summary.className = 'gov-error-summary';
+    summary.setAttribute('role', 'alert');
+    summary.innerHTML = `
+      <h2 class="gov-error-summary__title">There is a problem</h2>
+      <ul class="gov-error-summary__list">
+        <li>Your application could not be saved. Check your internet connection and try again.</li>
+      </ul>`;
+    const target = this.container.querySelector('.page-content__main .gov-main__two-thirds')
+      || this.container.querySelector('.gov-main__two-thirds')
+      || this.container.querySelector('.page-content');
+    if (target) target.insertBefore(summary, target.firstChild);
+    summary.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  renderSavedForLater(code) {
+    const resumeUrl = `${window.location.origin}/resume`;
+    return `
+      <div class="gov-main__two-thirds">
+        <div class="gov-panel gov-panel--confirmation" style="margin-bottom: 20px;">
+          <h1 class="gov-panel__title">Your application has been saved</h1>
+          <div class="gov-panel__body">
+            Your resume code<br><strong id="resume-code">${code}</strong>
+          </div>
+        </div>
+        <p class="gov-body">Write down or copy this code. You will need it to continue your application.</p>
+        <h2 class="gov-heading-m">Continue your application</h2>
+        <p class="gov-body">Go to <a href="/resume" class="gov-link">${resumeUrl}</a> on any device and enter your resume code. Your answers so far have been kept.</p>
+        <p class="gov-body">You can now close this window.</p>
+      </div>`;
+  }
+
+  // ============================================================
+  // FRICTION MODULES
+  // ============================================================
+  // Extra burden switched on in the procedure (see friction.js): steps shown before a page
+  // (on: 'enter') or after a valid Continue (on: 'exit'), and a timed "session expired"
+  // interruption. The tracker times each run and attaches it to the page's pageTimings entry.
+
+  _frictionKey(page, module) {
+    return `${module.id}:${page.id}`;
+  }
+
+  // Modules on this page with this trigger whose `when` holds and that still have to run
+  _activeFriction(page, trigger) {
+    const scope = { fields: this.formData, factors: this.factors };
+    return Friction.modulesFor(this.config, page).filter(module => {
+      if (module.on !== trigger) return false;
+      if (module.once && this._frictionDone.has(this._frictionKey(page, module))) return false;
+      // Nothing to re-type yet (e.g. the answers are further on): the module doesn't run
+      if (module.type === 'reentry' && this._frictionFields(module.fields).length === 0) return false;
+      if (!module.when) return true;
+      try {
+        return !!ProcedureExpression.evaluate(module.when, scope);
+      } catch (e) {
+        // A broken condition leaves the module off rather than blocking the participant
+        console.error(`friction "${module.id}" when: ${e.message}`);
+        return false;
       }
+    });
+  }
+
+  // Run the modules' steps one after another, then call done
+  _runFriction(page, modules, done) {
+    const [module, ...rest] = modules;
+    if (!module) {
+      this._friction = null;
+      done();
+      return;
+    }
+    this._friction = module;
+    clearTimeout(this._autosaveTimer);
+    this._collapseDocumentPreviews();
+    if (this.tracker) this.tracker.frictionStarted(page.id, module);
+    const finish = (details = {}) => {
+      this._frictionDone.add(this._frictionKey(page, module));
+      if (this.tracker) this.tracker.frictionEnded(details);
+      // Saved straight away, so a refresh doesn't show the step again
+      this._autosave();
+      this._runFriction(page, rest, done);
+    };
+    switch (module.type) {
+      case 'delay':             this._frictionDelay(module, finish); break;
+      case 'reentry':           this._frictionReentry(module, finish); break;
+      case 'session_expired':   this._frictionSessionExpired(module, finish); break;
+      case 'captcha':           this._frictionCaptcha(module, finish); break;
+      case 'download_reupload': this._frictionDownloadReupload(module, finish); break;
     }
   }
 
+  // session_expired: interrupt the page afterMs after it is shown, then show it again
+  _armSessionExpiry(page) {
+    clearTimeout(this._sessionExpiryTimer);
+    const module = this._activeFriction(page, 'timer')[0];
+    if (!module) return;
+    this._sessionExpiryTimer = setTimeout(() => {
+      if (this.pages[this.currentPageIndex] !== page || this._friction) return;
+      this._runFriction(page, [module], () => this._showPage(page));
+    }, module.afterMs);
+  }
+
+  // Replaces the page until the step ends (the page, or the next one, is rendered again after it)
+  _renderFrictionStep(innerHtml) {
+    this._fieldNameMap = {};
+    this.container.innerHTML = `<div class="page-content"><div class="gov-main__two-thirds">${innerHtml}</div></div>`;
+    window.scrollTo({ top: 0, behavior: 'instant' });
+  }
+
+  _showFrictionErrors(errors) {
+    this._clearErrors();
+    if (errors.length === 0) return;
+    errors.forEach(error => this._showFieldError(error.name, error.message));
+    this._showErrorSummary(errors);
+  }
+
+  // Earlier answers to type again, as copies of their fields renamed so they don't clash with the page
+  _frictionFields(names) {
+    return (names || []).map(name => this._findFieldDef(name))
+      .filter(def => def && def.render !== false && Friction.REENTRY_FIELD_TYPES.includes(def.type))
+      .filter(def => ![undefined, null, ''].includes(this.formData[def.name]))
+      .map(def => ({ ...def, name: `friction_${def.name}`, answerOf: def.name, required: true, showIf: undefined }));
+  }
+
+  // Errors for re-typed answers: the field's own checks first, then the match with the earlier answer
+  _checkReenteredFields(fields) {
+    const errors = [];
+    fields.forEach(field => {
+      const error = this._validateField(field);
+      if (error) errors.push(error);
+      else if (!Friction.sameAnswer(this.formData[field.answerOf], this._readFieldValue(field))) {
+        errors.push({ name: field.name, message: 'This does not match the answer you gave earlier' });
+      }
+    });
+    this._showFrictionErrors(errors);
+    return errors;
+  }
+
+  _frictionDelay(module, finish) {
+    const ms = Friction.delayMs(module);
+    this._renderFrictionStep(`
+        <div class="loading-screen">
+          <div class="loading-spinner"></div>
+          <p class="gov-body">${module.message}</p>
+        </div>`);
+    setTimeout(() => finish({ delayMs: ms }), ms);
+  }
+
+  _frictionReentry(module, finish) {
+    const fields = this._frictionFields(module.fields);
+    let attempts = 0;
+    this._renderFrictionStep(`
+        <h1 class="gov-heading-l">${module.title}</h1>
+        <p class="gov-body">${module.message}</p>
+        ${fields.map(field => this.renderField(field, '')).join('')}
+        <button class="gov-button" id="btn-friction-continue">Continue</button>`);
+    document.getElementById('btn-friction-continue').addEventListener('click', () => {
+      attempts++;
+      if (this._checkReenteredFields(fields).length === 0) finish({ attempts, fields: fields.map(f => f.answerOf) });
+    });
+  }
+
+  // "Your session has expired", then a sign-in (signInFields re-typed, if any). Input typed on the
+  // page before the interruption is lost unless keepInput is set
+  _frictionSessionExpired(module, finish) {
+    const draft = this._pageDraft();
+    const fields = this._frictionFields(module.signInFields);
+    let attempts = 0;
+    const signedIn = () => {
+      // The page is rendered again after the step: prefill it with the input, without committing it
+      if (module.keepInput && draft) this._draftValues = draft.values;
+      finish({ attempts, inputKept: !!(module.keepInput && draft) });
+    };
+    const signIn = () => {
+      this._renderFrictionStep(`
+          <h1 class="gov-heading-l">Sign in</h1>
+          <p class="gov-body">To confirm it is you, enter these details from your application.</p>
+          ${fields.map(field => this.renderField(field, '')).join('')}
+          <button class="gov-button" id="btn-friction-continue">Sign in</button>`);
+      document.getElementById('btn-friction-continue').addEventListener('click', () => {
+        attempts++;
+        if (this._checkReenteredFields(fields).length === 0) signedIn();
+      });
+    };
+    this._renderFrictionStep(`
+        <h1 class="gov-heading-l">Your session has expired</h1>
+        <p class="gov-body">For your security, you have been signed out because your session timed out.</p>
+        ${module.keepInput ? '' : `
+        <div class="gov-warning-text">
+          <span class="gov-warning-text__icon">!</span>
+          <strong class="gov-warning-text__text">Information you entered on this page since you last continued has not been saved.</strong>
+        </div>`}
+        <button class="gov-button" id="btn-friction-continue">Sign in again</button>`);
+    document.getElementById('btn-friction-continue').addEventListener('click', () => {
+      if (fields.length > 0) signIn();
+      else signedIn();
+    });
+  }
+
+  _frictionCaptcha(module, finish) {
+    const field = { name: 'friction_captcha', type: 'text', label: 'Characters', required: true, width: '10' };
+    let code = Friction.captchaCode(module.length);
+    let attempts = 0;
+    let newCodes = 0;
+    this._renderFrictionStep(`
+        <h1 class="gov-heading-l">${module.title}</h1>
+        <p class="gov-body">${module.message}</p>
+        <div id="friction-captcha-code" aria-hidden="true" style="display: inline-block; padding: 10px 24px; margin-bottom: 10px; background: repeating-linear-gradient(45deg, #f3f2f1, #f3f2f1 6px, #dee0e2 6px, #dee0e2 12px); font-family: monospace; font-size: 32px; font-style: italic; letter-spacing: 8px; text-decoration: line-through; user-select: none;">${code}</div>
+        <p class="gov-body"><a href="#" class="gov-link" id="btn-friction-new-code">Show different characters</a></p>
+        ${this.renderField(field, '')}
+        <button class="gov-button" id="btn-friction-continue">Continue</button>`);
+    const input = document.getElementById(field.name);
+    const showNewCode = () => {
+      code = Friction.captchaCode(module.length);
+      document.getElementById('friction-captcha-code').textContent = code;
+      input.value = '';
+    };
+    document.getElementById('btn-friction-new-code').addEventListener('click', e => {
+      e.preventDefault();
+      newCodes++;
+      showNewCode();
+    });
+    document.getElementById('btn-friction-continue').addEventListener('click', () => {
+      attempts++;
+      const entered = input.value.replace(/\s+/g, '').toUpperCase();
+      if (entered === code) {
+        finish({ attempts, newCodes });
+        return;
+      }
+      this._showFrictionErrors([{ name: field.name, message: entered ? 'The characters you entered do not match. Try these characters' : 'Enter the characters you see' }]);
+      if (entered) showNewCode();
+    });
+  }
+
+  // The chosen file is checked here (same extension as the download, not empty) and never sent
+  _frictionDownloadReupload(module, finish) {
+    const extension = Friction.fileExtension(module.fileName);
+    const generated = !module.fileUrl;
+    const href = generated
+      ? URL.createObjectURL(new Blob([`${module.title}\n\nI confirm that the information in my application is correct and complete.\n`], { type: 'text/plain' }))
+      : module.fileUrl;
+    let attempts = 0;
+    let downloads = 0;
+    this._renderFrictionStep(`
+        <h1 class="gov-heading-l">${module.title}</h1>
+        <p class="gov-body">${module.message}</p>
+        <p class="gov-body"><a href="${href}" download="${module.fileName}" class="gov-link" id="friction-download">Download ${module.fileName}</a></p>
+        <div class="gov-form-group" id="group-friction_reupload">
+          <label class="gov-label" for="friction_reupload">Upload the completed form</label>
+          <span class="gov-hint">Upload the ${extension.slice(1).toUpperCase()} file you downloaded</span>
+          <input class="gov-file-upload" type="file" id="friction_reupload" name="friction_reupload" accept="${extension}">
+        </div>
+        <button class="gov-button" id="btn-friction-continue">Continue</button>`);
+    document.getElementById('friction-download').addEventListener('click', () => { downloads++; });
+    document.getElementById('btn-friction-continue').addEventListener('click', () => {
+      attempts++;
+      const file = document.getElementById('friction_reupload').files[0];
+      const rejection = file
+        ? UploadRules.checkFile({ accept: extension }, file)
+        : { message: 'Select the form you downloaded' };
+      if (rejection) {
+        this._showFrictionErrors([{ name: 'friction_reupload', message: rejection.message }]);
+        return;
+      }
+      if (generated) URL.revokeObjectURL(href);
+      finish({ attempts, downloads, fileName: file.name, sizeBytes: file.size });
+    });
+  }
+
+  // ============================================================
+  // REVIEW "CHANGE" LINKS
+  // ============================================================
+  // Each review row links to the page that asks the question. Continue on that page still runs
+  // validation and the page's skip/route rules, then returns straight to the review, unless the
+  // rules now lead to a page the participant hasn't seen (the new answer raises new questions, or
+  // ends the application): the normal flow then resumes from there. Back returns to the review.
+
+  // Page that asks a field: the one the participant saw if several pages define it
+  _fieldPageIndex(fieldName) {
+    const indices = [];
+    this.pages.forEach((p, i) => { if ((p.fields || []).some(f => f.name === fieldName)) indices.push(i); });
+    return indices.find(i => this.pageHistory.includes(i)) ?? (indices.length > 0 ? indices[0] : -1);
+  }
+
+  // Committed answers of a page's fields, for spotting what a change amended
+  _pageAnswers(page) {
+    const answers = {};
+    (page.fields || []).forEach(f => { answers[f.name] = JSON.stringify(this.formData[f.name] ?? null); });
+    return answers;
+  }
+
+  _openReviewChange(fieldName) {
+    const pageIndex = this._fieldPageIndex(fieldName);
+    if (pageIndex < 0) return;
+    const review = this.pages[this.currentPageIndex];
+    const target = this.pages[pageIndex];
+    // Keep anything already ticked on the review page (e.g. declarations)
+    if (review.fields) this.collectFormData(review);
+    this._reviewChange = {
+      reviewIndex: this.currentPageIndex,
+      pageIndex,
+      fieldName,
+      historyLength: this.pageHistory.length,
+      before: this._pageAnswers(target),
+    };
+    if (this.tracker) this.tracker.reviewChangeOpened(review.id, fieldName, target.id);
+
+    this._collapseDocumentPreviews();
+    this.pageHistory.push(this.currentPageIndex);
+    this.goToPage(pageIndex);
+    const group = document.getElementById(`group-${fieldName}`);
+    const input = group && group.querySelector('input, select, textarea');
+    if (input) input.focus();
+    this._saveProgress();
+  }
+
+  // Continue on the changed page. Returns the page to go to: the review, or nextIndex when it is a
+  // page the participant hasn't seen before the review
+  _finishReviewChange(nextIndex) {
+    const change = this._reviewChange;
+    const seen = this.pageHistory.slice(0, change.historyLength);
+    if (nextIndex !== change.reviewIndex && !seen.includes(nextIndex)) {
+      // Carry on from the changed page as if the review hadn't been reached
+      this.pageHistory.splice(change.historyLength, 1);
+      this._closeReviewChange('rerouted');
+      return nextIndex;
+    }
+    this.pageHistory.length = change.historyLength;
+    this._closeReviewChange('returned');
+    return change.reviewIndex;
+  }
+
+  // outcome: 'returned' | 'rerouted' | 'cancelled'
+  _closeReviewChange(outcome) {
+    const change = this._reviewChange;
+    const after = this._pageAnswers(this.pages[change.pageIndex]);
+    const amended = Object.keys(after).filter(name => after[name] !== change.before[name]);
+    if (this.tracker) this.tracker.reviewChangeClosed(outcome, amended);
+    this._reviewChange = null;
+  }
+
   _recordPageResponses(page) {
     const pageData = {};
     (page.fields || []).forEach(field => {
-      if (field.type === 'radio') {
-        const c = document.querySelector(`[name="${field.name}"]:checked`);
-        pageData[field.name] = c ? c.value : '';
-      } else if (field.type === 'checkbox') {
-        pageData[field.name] = Array.from(document.querySelectorAll(`[name="${field.name}"]:checked`)).map(c => c.value);
-      } else if (field.type === 'date_group') {
-        const d = document.querySelector(`[name="${field.name}_day"]`)?.value || '';
-        const m = document.querySelector(`[name="${field.name}_month"]`)?.value || '';
-        const y = document.querySelector(`[name="${field.name}_year"]`)?.value || '';
-        pageData[field.name] = `${d}/${m}/${y}`;
+      if (!this._hiddenFields.has(field.name)) pageData[field.name] = this._readFieldValue(field);
+    });
+    this.tracker.recordFormResponses(page.id, pageData);
+  }
+
+  // ============================================================
+  // ROUTING
+  // ============================================================
+  // Ordered rules per page: routes: [{ when: "<expression>", goTo: 'pageId' }, ...]
+  // The first rule that holds decides the next page; a rule without `when` always holds
+  // (use it last as a fallback). skipIf is the single-rule form, checked before routes:
+  // { field | factor, value, targetPageId } (strict equality) or { when, targetPageId }.
+  // Expressions are evaluated by ProcedureExpression (expression.js) against the answers
+  // and the assigned design factors.
+
+  _routeRules(page) {
+    const rules = [];
+    if (page.skipIf) {
+      const rule = page.skipIf;
+      rules.push({
+        when: rule.when,
+        equals: rule.when ? null : { source: rule.factor ? 'factor' : 'field', name: rule.factor || rule.field, value: rule.value },
+        goTo: rule.targetPageId,
+      });
+    }
+    (page.routes || []).forEach(route => rules.push({ when: route.when, goTo: route.goTo }));
+    return rules;
+  }
+
+  _evaluateRoutes(page) {
+    const scope = { fields: this.formData, factors: this.factors };
+    const evaluated = [];
+    let route = null;
+    let reason = null;
+    this._routeRules(page).some((rule, index) => {
+      let result = false;
+      let error = null;
+      let label;
+      if (rule.equals) {
+        const actual = rule.equals.source === 'factor' ? this.factors[rule.equals.name] : this.formData[rule.equals.name];
+        result = actual === rule.equals.value;
+        label = `${rule.equals.source === 'factor' ? `factor:${rule.equals.name}` : rule.equals.name}=${rule.equals.value}`;
+      } else if (rule.when) {
+        label = rule.when;
+        try {
+          result = ProcedureExpression.evaluate(rule.when, scope);
+        } catch (e) {
+          // A broken rule never routes; the error is kept with the route event
+          error = e.message;
+          console.error(`Route ${index} on page "${page.id}": ${e.message}`);
+        }
       } else {
-        const el = document.querySelector(`[name="${field.name}"]`);
-        pageData[field.name] = el ? el.value : '';
+        result = true;
+        label = 'always';
+      }
+      evaluated.push({ index, when: label, goTo: rule.goTo, result, ...(error ? { error } : {}) });
+      if (result) {
+        route = rule;
+        reason = label;
       }
+      return result;
     });
-    this.tracker.recordFormResponses(page.id, pageData);
+    return { route, reason, evaluated };
   }
 
   // ============================================================
@@ -297,20 +859,16 @@ class ProcedureEngine {
     let hasErrors = false;
     const errors = [];
 
-    // Clear existing errors
-    document.querySelectorAll('.gov-form-group--error').forEach(g => g.classList.remove('gov-form-group--error'));
-    document.querySelectorAll('.gov-error-message').forEach(e => e.remove());
-    document.querySelectorAll('.estimation-block__input--error').forEach(e => e.classList.remove('estimation-block__input--error'));
-    const es = document.querySelector('.gov-error-summary');
-    if (es) es.remove();
+    this._clearErrors();
 
     page.fields.forEach(field => {
-      const error = this._validateField(field);
-      if (error) {
+      if (this._hiddenFields.has(field.name)) return;
+      const fieldErrors = field.type === 'repeat' ? this._validateRepeat(field) : [this._validateField(field)].filter(Boolean);
+      fieldErrors.forEach(error => {
         hasErrors = true;
         errors.push(error);
-        this._showFieldError(field.name, error.message);
-      }
+        this._showFieldError(error.name, error.message);
+      });
     });
 
     // Page-level validation (runs after field-level, can check cross-field rules)
@@ -323,21 +881,7 @@ class ProcedureEngine {
     }
 
     if (hasErrors) {
-      // Error summary at top
-      const summary = document.createElement('div');
-      summary.className = 'gov-error-summary';
-      summary.setAttribute('role', 'alert');
-      summary.innerHTML = `
-        <h2 class="gov-error-summary__title">There is a problem</h2>
-        <ul class="gov-error-summary__list">
-          ${errors.map(e => `<li><a href="#group-${e.name}">${e.message}</a></li>`).join('')}
-        </ul>`;
-      // Insert inside the main column (not the flex wrapper) to avoid breaking docs layout
-      const target = this.container.querySelector('.page-content__main .gov-main__two-thirds')
-        || this.container.querySelector('.gov-main__two-thirds')
-        || this.container.querySelector('.page-content');
-      if (target) target.insertBefore(summary, target.firstChild);
-      summary.scrollIntoView({ behavior: 'smooth' });
+      this._showErrorSummary(errors);
 
       // Record errors in tracker
       if (this.tracker) {
@@ -348,6 +892,32 @@ class ProcedureEngine {
     return !hasErrors;
   }
 
+  _clearErrors() {
+    document.querySelectorAll('.gov-form-group--error').forEach(g => g.classList.remove('gov-form-group--error'));
+    document.querySelectorAll('.gov-error-message').forEach(e => e.remove());
+    document.querySelectorAll('.estimation-block__input--error').forEach(e => e.classList.remove('estimation-block__input--error'));
+    const es = document.querySelector('.gov-error-summary');
+    if (es) es.remove();
+  }
+
+  // Error summary at the top of the page, linking to each field in error ({ name, message })
+  _showErrorSummary(errors) {
+    const summary = document.createElement('div');
+    summary.className = 'gov-error-summary';
+    summary.setAttribute('role', 'alert');
+    summary.innerHTML = `
+      <h2 class="gov-error-summary__title">There is a problem</h2>
+      <ul class="gov-error-summary__list">
+        ${errors.map(e => `<li><a href="#group-${e.name}">${e.message}</a></li>`).join('')}
+      </ul>`;
+    // Insert inside the main column (not the flex wrapper) to avoid breaking docs layout
+    const target = this.container.querySelector('.page-content__main .gov-main__two-thirds')
+      || this.container.querySelector('.gov-main__two-thirds')
+      || this.container.querySelector('.page-content');
+    if (target) target.insertBefore(summary, target.firstChild);
+    summary.scrollIntoView({ behavior: 'smooth' });
+  }
+
   _validateField(field) {
     let value;
     if (field.type === 'radio') {
@@ -400,6 +970,15 @@ class ProcedureEngine {
 
       // Skip further validation (pattern etc.) — already validated
       return null;
+    } else if (field.type === 'file') {
+      const upload = this._uploads[field.name];
+      if (upload && upload.pending) {
+        return { name: field.name, message: `Wait for ${field.label.toLowerCase()} to finish uploading` };
+      }
+      if (field.required && !upload) {
+        return { name: field.name, message: field.errorMessage || `Select ${field.label.toLowerCase()}` };
+      }
+      return null;
     } else {
       value = document.querySelector(`[name="${field.name}"]`)?.value.trim() || '';
     }
@@ -466,23 +1045,265 @@ class ProcedureEngine {
   collectFormData(page) {
     if (!page.fields) return;
     page.fields.forEach(field => {
-      if (field.type === 'radio') {
-        const c = document.querySelector(`[name="${field.name}"]:checked`);
-        this.formData[field.name] = c ? c.value : '';
-      } else if (field.type === 'checkbox') {
-        this.formData[field.name] = Array.from(document.querySelectorAll(`[name="${field.name}"]:checked`)).map(c => c.value);
-      } else if (field.type === 'date_group') {
-        const d = document.querySelector(`[name="${field.name}_day"]`)?.value || '';
-        const m = document.querySelector(`[name="${field.name}_month"]`)?.value || '';
-        const y = document.querySelector(`[name="${field.name}_year"]`)?.value || '';
-        this.formData[field.name] = `${d}/${m}/${y}`;
+      // Hidden (showIf) fields are not answers: drop anything entered while they were shown
+      if (this._hiddenFields.has(field.name)) delete this.formData[field.name];
+      else this.formData[field.name] = this._readFieldValue(field);
+    });
+  }
+
+  // Current DOM value of a field: checked value for radios, array for checkboxes, D/M/YYYY for date groups,
+  // array of { sub-field: value } items for repeating groups, stored file metadata for file fields
+  _readFieldValue(field) {
+    if (field.type === 'repeat') {
+      return Array.from({ length: this._repeatItemCount(field) }, (_, i) => {
+        const item = {};
+        field.fields.forEach(sub => { item[sub.name] = this._readFieldValue(this._repeatItemField(field, i, sub)); });
+        return item;
+      });
+    }
+    if (field.type === 'radio') {
+      const c = document.querySelector(`[name="${field.name}"]:checked`);
+      return c ? c.value : '';
+    }
+    if (field.type === 'checkbox') {
+      return Array.from(document.querySelectorAll(`[name="${field.name}"]:checked`)).map(c => c.value);
+    }
+    if (field.type === 'file') {
+      const upload = this._uploads[field.name];
+      return upload && !upload.pending ? upload : '';
+    }
+    if (field.type === 'date_group') {
+      const d = document.querySelector(`[name="${field.name}_day"]`)?.value || '';
+      const m = document.querySelector(`[name="${field.name}_month"]`)?.value || '';
+      const y = document.querySelector(`[name="${field.name}_year"]`)?.value || '';
+      return `${d}/${m}/${y}`;
+    }
+    const el = document.querySelector(`[name="${field.name}"]`);
+    return el ? el.value : '';
+  }
+
+  // ============================================================
+  // CONDITIONAL FIELDS (showIf)
+  // ============================================================
+  // A field with showIf: "<expression>" (see expression.js) is shown only while the expression
+  // holds. It is evaluated against earlier answers plus the current values of the visible fields
+  // on the page, so a showIf should only depend on fields above it. Hidden fields are skipped by
+  // validation, collectFormData and the recorded responses.
+
+  _attachFieldVisibility() {
+    if (!this.container) return;
+    const update = () => {
+      const page = this.pages[this.currentPageIndex];
+      if (page && !this._friction) this._updateFieldVisibility(page, false);
+    };
+    this.container.addEventListener('input', update);
+    this.container.addEventListener('change', update);
+  }
+
+  _updateFieldVisibility(page, initial) {
+    const fields = page.fields || [];
+    if (!fields.some(f => f.showIf)) return;
+    const scope = { fields: { ...this.formData }, factors: this.factors };
+    fields.forEach(field => {
+      let visible = true;
+      if (field.showIf) {
+        try {
+          visible = ProcedureExpression.evaluate(field.showIf, scope);
+        } catch (e) {
+          // A broken rule keeps the field visible so the participant can still answer it
+          console.error(`showIf on field "${field.name}": ${e.message}`);
+        }
+      }
+      scope.fields[field.name] = visible ? this._readFieldValue(field) : '';
+      if (!initial && visible !== this._hiddenFields.has(field.name)) return;
+      if (visible) this._hiddenFields.delete(field.name);
+      else this._hiddenFields.add(field.name);
+      const group = document.getElementById(`group-${field.name}`);
+      if (group) group.hidden = !visible;
+      if (!visible) this._clearFieldError(field.name);
+      if (field.showIf && this.tracker) this.tracker.fieldVisibilityChanged(field.name, visible, { initial });
+    });
+  }
+
+  // ============================================================
+  // REPEATING GROUPS (type: 'repeat')
+  // ============================================================
+  // { name, type: 'repeat', label, itemLabel, addLabel, min, max, fields: [sub-fields] }
+  // Sub-field "x" of item i is rendered as an ordinary field named "<name>[i].x", so every field
+  // type, validation rule and DOM reader works inside a group. The answer is an array of
+  // { x, ... } items. Items start at `min` (default 0); Add is hidden at `max`, Remove at `min`.
+
+  _repeatItemField(field, index, sub) {
+    return { ...sub, name: `${field.name}[${index}].${sub.name}` };
+  }
+
+  _repeatItemCount(field) {
+    return document.querySelectorAll(`[data-repeat-item="${field.name}"]`).length;
+  }
+
+  _renderRepeatItems(field, items) {
+    const min = field.min || 0;
+    const max = field.max || Infinity;
+    const itemLabel = field.itemLabel || 'Item';
+    return `
+      <fieldset>
+        <legend class="gov-label">${field.label}</legend>
+        ${field.hint ? `<span class="gov-hint">${field.hint}</span>` : ''}
+        ${items.map((item, i) => `
+          <div class="gov-repeat__item" data-repeat-item="${field.name}">
+            <h3 class="gov-heading-s">${itemLabel} ${i + 1}</h3>
+            ${field.fields.map(sub => this.renderField(this._repeatItemField(field, i, sub), item[sub.name] !== undefined ? item[sub.name] : '')).join('')}
+            ${items.length > min ? `
+              <button type="button" class="gov-button gov-button--secondary gov-repeat__remove"
+                data-repeat-remove="${field.name}" data-repeat-index="${i}">Remove ${itemLabel.toLowerCase()} ${i + 1}</button>` : ''}
+          </div>`).join('')}
+        ${items.length < max ? `
+          <button type="button" class="gov-button gov-button--secondary" data-repeat-add="${field.name}">
+            ${field.addLabel || `Add ${items.length > 0 ? 'another' : 'a'} ${itemLabel.toLowerCase()}`}
+          </button>` : ''}
+      </fieldset>`;
+  }
+
+  _attachRepeatControls() {
+    if (!this.container) return;
+    this.container.addEventListener('click', e => {
+      const btn = e.target.closest && e.target.closest('[data-repeat-add], [data-repeat-remove]');
+      if (!btn) return;
+      e.preventDefault();
+      const page = this.pages[this.currentPageIndex];
+      const adding = btn.hasAttribute('data-repeat-add');
+      const name = adding ? btn.getAttribute('data-repeat-add') : btn.getAttribute('data-repeat-remove');
+      const field = (page.fields || []).find(f => f.name === name && f.type === 'repeat');
+      if (!field) return;
+
+      // Re-render the group from its current values so typed answers survive
+      const items = this._readFieldValue(field);
+      let index;
+      if (adding) {
+        if (field.max && items.length >= field.max) return;
+        index = items.length;
+        items.push({});
       } else {
-        const el = document.querySelector(`[name="${field.name}"]`);
-        this.formData[field.name] = el ? el.value : '';
+        if (items.length <= (field.min || 0)) return;
+        index = Number(btn.getAttribute('data-repeat-index'));
+        items.splice(index, 1);
+      }
+      const group = document.getElementById(`group-${field.name}`);
+      // Items are renumbered: forget the group's uploads, re-rendering puts them back under the new names
+      Object.keys(this._uploads).filter(key => key.startsWith(`${field.name}[`)).forEach(key => delete this._uploads[key]);
+      if (group) group.innerHTML = this._renderRepeatItems(field, items);
+      this._fieldNameMap = this._buildFieldNameMap(page);
+      if (this.tracker) this.tracker.repeatItemChanged(field.name, adding ? 'add' : 'remove', index, items.length);
+
+      if (adding && group) {
+        const newItem = group.querySelectorAll('.gov-repeat__item')[index];
+        const input = newItem && newItem.querySelector('input, select, textarea');
+        if (input) input.focus();
       }
     });
   }
 
+  // Per-item validation: each sub-field is checked like an ordinary field, messages name the item
+  _validateRepeat(field) {
+    const errors = [];
+    const count = this._repeatItemCount(field);
+    const itemLabel = field.itemLabel || 'Item';
+    if (field.min && count < field.min) {
+      errors.push({ name: field.name, message: field.errorMessage || `Add at least ${field.min} ${itemLabel.toLowerCase()}${field.min > 1 ? 's' : ''}` });
+    }
+    for (let i = 0; i < count; i++) {
+      field.fields.forEach(sub => {
+        const error = this._validateField(this._repeatItemField(field, i, sub));
+        if (error) errors.push({ ...error, message: `${itemLabel} ${i + 1}: ${error.message}` });
+      });
+    }
+    return errors;
+  }
+
+  // ============================================================
+  // FILE UPLOADS (type: 'file')
+  // ============================================================
+  // { name, type: 'file', label, accept: 'application/pdf,image/*', maxSizeMb: 5 }
+  // A file is checked (upload_rules.js) and sent as soon as it is chosen, with a progress bar.
+  // The answer is the stored file's metadata ({ upload_id, file_name, mime_type, size_bytes }),
+  // not the browser's fake path. Choosing another file replaces the upload; a refused file keeps
+  // the previous one. Continue is blocked while a file is still being sent.
+
+  _attachFileUploads() {
+    if (!this.container) return;
+    this.container.addEventListener('change', e => {
+      const input = e.target;
+      if (!input || input.type !== 'file' || !input.files || input.files.length === 0) return;
+      const field = this._fileFieldFor(this.pages[this.currentPageIndex], input.name);
+      if (field) this._uploadFile(field, input, input.files[0]);
+    });
+  }
+
+  // Definition of the file field rendered as `name` (repeat sub-fields are named <group>[<index>].<sub>)
+  _fileFieldFor(page, name) {
+    for (const f of (page && page.fields) || []) {
+      if (f.type === 'file' && f.name === name) return f;
+      const item = f.type === 'repeat' && name.match(/^(.+)\[(\d+)\]\.([^.]+)$/);
+      if (item && item[1] === f.name) {
+        const sub = f.fields.find(sf => sf.name === item[3] && sf.type === 'file');
+        if (sub) return this._repeatItemField(f, Number(item[2]), sub);
+      }
+    }
+    return null;
+  }
+
+  _uploadStatusText(upload) {
+    return `Uploaded: <strong>${this._escapeHtml(upload.file_name)}</strong> (${UploadRules.formatSize(upload.size_bytes)})`;
+  }
+
+  // File names are the participant's own text: escape them before they go into HTML
+  _escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[ch]));
+  }
+
+  _uploadFile(field, input, file) {
+    const uploads = this._uploads;     // replaced when the page re-renders: late results are then ignored
+    const previous = uploads[field.name] && !uploads[field.name].pending ? uploads[field.name] : null;
+    const progress = document.getElementById(`upload-progress-${field.name}`);
+    const status = document.getElementById(`upload-status-${field.name}`);
+    const restoreStatus = () => { if (status) status.innerHTML = previous ? this._uploadStatusText(previous) : ''; };
+    this._clearFieldError(field.name);
+
+    const trackedName = this._fieldNameMap[field.name] || field.name;
+
+    const rejection = UploadRules.checkFile(field, file);
+    if (rejection) {
+      input.value = '';
+      restoreStatus();
+      this._showFieldError(field.name, rejection.message);
+      if (this.tracker) this.tracker.uploadRejected(trackedName, file, rejection.reason);
+      return;
+    }
+    if (!this.tracker) return;
+
+    uploads[field.name] = { pending: true };
+    if (progress) { progress.value = 0; progress.hidden = false; }
+    if (status) status.textContent = `Uploading ${file.name}…`;
+    this.tracker.uploadFile(trackedName, file, {
+      inputName: field.name,
+      onProgress: pct => { if (progress) progress.value = pct; },
+    })
+      .then(meta => {
+        if (this._uploads !== uploads) return;
+        uploads[field.name] = meta;
+        if (status) status.innerHTML = this._uploadStatusText(meta);
+      })
+      .catch(err => {
+        if (this._uploads !== uploads) return;
+        if (previous) uploads[field.name] = previous;
+        else delete uploads[field.name];
+        input.value = '';
+        restoreStatus();
+        this._showFieldError(field.name, err.message);
+      })
+      .finally(() => { if (progress) progress.hidden = true; });
+  }
+
   // ============================================================
   // DOCUMENT PANEL TRACKING
   // ============================================================
@@ -494,14 +1315,103 @@ class ProcedureEngine {
       if (!docId) return;
       acc.addEventListener('toggle', () => {
         if (acc.open) {
-          if (this.tracker) this.tracker.documentOpened(docId);
+          if (this.tracker) this.tracker.documentOpened(docId, 'accordion');
         } else {
-          if (this.tracker) this.tracker.documentClosed(docId);
+          if (this.tracker) this.tracker.documentClosed(docId, 'accordion');
         }
       });
     });
   }
 
+  /**
+   * Forward slide-out drawer events to the tracker. The drawer lives in the
+   * procedure file, so it reports through `docdrawer:*` DOM events rather than
+   * calling the tracker directly. Attached once, since the drawer is appended to <body>.
+   */
+  _attachDrawerTracking() {
+    document.addEventListener('docdrawer:open', e => {
+      if (this.tracker) this.tracker.documentOpened(e.detail.docId, 'drawer');
+    });
+    document.addEventListener('docdrawer:close', e => {
+      if (this.tracker) this.tracker.documentClosed(e.detail.docId, 'drawer');
+    });
+    document.addEventListener('docdrawer:zoom', e => {
+      if (this.tracker) this.tracker.documentZoomed(e.detail.docId, e.detail.zoomLevel, e.detail.method);
+    });
+    document.addEventListener('docdrawer:pan', e => {
+      if (this.tracker) this.tracker.documentPanned(e.detail.docId, e.detail);
+    });
+  }
+
+  // ============================================================
+  // FIELD INTERACTION TRACKING
+  // ============================================================
+
+  /**
+   * Map DOM input names on a page to field names. date_group inputs are
+   * rendered as <name>_day/_month/_year but are tracked as one field; repeat
+   * sub-fields are tracked across items as <name>.<sub>.
+   */
+  _buildFieldNameMap(page) {
+    const map = {};
+    (page.fields || []).forEach(field => {
+      if (field.type === 'repeat') {
+        // Every item of a sub-field is tracked as one field: <name>.<sub>
+        for (let i = 0; i < this._repeatItemCount(field); i++) {
+          const itemMap = this._buildFieldNameMap({ fields: field.fields.map(sub => this._repeatItemField(field, i, sub)) });
+          Object.entries(itemMap).forEach(([input, name]) => { map[input] = name.replace(/\[\d+\]\./, '.'); });
+        }
+      } else if (field.type === 'date_group') {
+        ['day', 'month', 'year'].forEach(part => { map[`${field.name}_${part}`] = field.name; });
+      } else {
+        map[field.name] = field.name;
+      }
+    });
+    return map;
+  }
+
+  _attachFieldTracking() {
+    if (!this.container) return;
+    const fieldOf = el => (el && el.name && this._fieldNameMap[el.name]) || null;
+    const isTextual = el => el.tagName === 'TEXTAREA' ||
+      (el.tagName === 'INPUT' && !['radio', 'checkbox', 'file'].includes(el.type));
+
+    this.container.addEventListener('focusin', e => {
+      const field = fieldOf(e.target);
+      if (field && this.tracker) this.tracker.fieldFocused(field);
+    });
+    this.container.addEventListener('focusout', e => {
+      const field = fieldOf(e.target);
+      // Moving between parts of the same field (date inputs, radio options) is one visit
+      if (!field || fieldOf(e.relatedTarget) === field) return;
+      if (this.tracker) this.tracker.fieldBlurred(field);
+    });
+    this.container.addEventListener('keydown', e => {
+      const field = fieldOf(e.target);
+      if (field && this.tracker) this.tracker.fieldKeystroke(field);
+    });
+    this.container.addEventListener('paste', e => {
+      const field = fieldOf(e.target);
+      if (field && this.tracker) this.tracker.fieldPasted(field);
+    });
+    // Text inputs report every edit; radios/checkboxes/selects report their committed change
+    this.container.addEventListener('input', e => {
+      const field = fieldOf(e.target);
+      if (!field || !this.tracker || !isTextual(e.target)) return;
+      // Browser autofill fires input without a user inputType, or while the field is not focused
+      const autofill = !e.inputType || e.inputType === 'insertReplacementText' || document.activeElement !== e.target;
+      this.tracker.fieldInput(field, {
+        deletion: !!e.inputType && e.inputType.startsWith('delete'),
+        autofill,
+      });
+    });
+    this.container.addEventListener('change', e => {
+      const field = fieldOf(e.target);
+      if (!field || !this.tracker || isTextual(e.target)) return;
+      this.tracker.fieldInput(field);
+    });
+  }
+
   // ============================================================
   // RENDERING
   // ============================================================
@@ -511,6 +1421,7 @@ class ProcedureEngine {
       this.config.documentsPanelPages &&
       this.config.documentsPanelPages.includes(page.id);
 
+    this._uploads = {};
     let innerHtml = '';
     switch (page.type) {
       case 'intro':      innerHtml = this.renderIntro(page); break;
@@ -533,6 +1444,9 @@ class ProcedureEngine {
     }
 
     this.container.innerHTML = html;
+    this._fieldNameMap = this._buildFieldNameMap(page);
+    this._hiddenFields = new Set();
+    this._updateFieldVisibility(page, true);
     this._attachPageListeners(page);
 
     // Attach document tracking after DOM is ready
@@ -593,14 +1507,18 @@ class ProcedureEngine {
           ${page.allowBack ? `<button class="gov-button gov-button--secondary" id="btn-back">Back</button>` : ''}
           <button class="gov-button" id="btn-next">${page.buttonText || 'Continue'}</button>
         </div>
+        ${this._saveForLaterLink(page)}
       </div>`;
   }
 
-  renderField(field) {
+  renderField(field, value) {
     // Fields with render: false are validated and collected but not rendered by the engine.
     // They must be present in the DOM via body or customHtml with matching name attributes.
     if (field.render === false) return '';
-    const existingValue = this.formData[field.name] || '';
+    // value: answer to show instead of formData (used for the items of repeating groups). A draft
+    // put back after a refresh is shown in place of formData, without being committed to it
+    const shown = this._draftValues && Object.prototype.hasOwnProperty.call(this._draftValues, field.name) ? this._draftValues : this.formData;
+    const existingValue = value !== undefined ? value : (shown[field.name] || '');
     let html = `<div class="gov-form-group" id="group-${field.name}">`;
 
     switch (field.type) {
@@ -720,13 +1638,26 @@ class ProcedureEngine {
         break;
       }
 
-      case 'file':
+      case 'repeat': {
+        const items = Array.isArray(existingValue) ? [...existingValue] : [];
+        while (items.length < (field.min || 0)) items.push({});
+        html += this._renderRepeatItems(field, items);
+        break;
+      }
+
+      case 'file': {
+        // A file input can't be pre-filled, so an earlier upload is remembered here and shown as text
+        if (existingValue && existingValue.upload_id) this._uploads[field.name] = existingValue;
+        const upload = this._uploads[field.name];
         html += `
           <label class="gov-label" for="${field.name}">${field.label}</label>
           ${field.hint ? `<span class="gov-hint">${field.hint}</span>` : ''}
           <input class="gov-file-upload" type="file" id="${field.name}" name="${field.name}"
-            ${field.accept ? `accept="${field.accept}"` : ''}>`;
+            ${field.accept ? `accept="${field.accept}"` : ''}>
+          <progress class="gov-file-upload__progress" id="upload-progress-${field.name}" max="100" value="0" hidden></progress>
+          <p class="gov-body gov-file-upload__status" id="upload-status-${field.name}" aria-live="polite">${upload ? this._uploadStatusText(upload) : ''}</p>`;
         break;
+      }
     }
 
     html += '</div>';
@@ -746,10 +1677,16 @@ class ProcedureEngine {
           ${page.allowBack ? `<button class="gov-button gov-button--secondary" id="btn-back">Back</button>` : ''}
           <button class="gov-button" id="btn-next">${page.buttonText || 'Continue'}</button>
         </div>
+        ${this._saveForLaterLink(page)}
       </div>`;
   }
 
   renderReview(page) {
+    // "Change" links (on unless changeLinks: false) go to the page that asks the question
+    const changeLink = (fieldName, label) => (page.changeLinks === false || this._fieldPageIndex(fieldName) < 0 ? '' : `
+              <dd class="gov-summary-list__actions">
+                <a href="#" class="gov-link" data-change-field="${fieldName}">Change<span class="gov-visually-hidden"> ${label.toLowerCase()}</span></a>
+              </dd>`);
     let sectionsHtml = '';
     if (page.sections) {
       page.sections.forEach(section => {
@@ -758,28 +1695,27 @@ class ProcedureEngine {
           const fieldName = typeof fieldDef === 'string' ? fieldDef : fieldDef.name;
           const customLabel = typeof fieldDef === 'object' ? fieldDef.label : null;
           const def = this._findFieldDef(fieldName);
+          // A showIf field that was hidden has no answer and no row
+          if (def && def.showIf && !(fieldName in this.formData)) return;
           const val = this.formData[fieldName];
-          let disp = '\u2014';
-          if (val !== undefined && val !== null && val !== '') {
-            if (Array.isArray(val)) {
-              // For checkbox arrays, try to resolve option labels
-              if (def && def.options) {
-                disp = val.map(v => { const opt = def.options.find(o => o.value === v); return opt ? opt.label : v.replace(/_/g, ' '); }).join(', ');
-              } else {
-                disp = val.map(v => v.replace(/_/g, ' ')).join(', ');
-              }
-            } else if (def && def.options) {
-              const opt = def.options.find(o => o.value === val);
-              disp = opt ? opt.label : val.replace(/_/g, ' ');
-            } else {
-              disp = String(val);
-            }
-          }
           const label = customLabel || (def ? def.label : fieldName.replace(/_/g, ' '));
+          // Repeating groups: one row per item listing its sub-field answers
+          if (def && def.type === 'repeat' && Array.isArray(val) && val.length > 0) {
+            val.forEach((item, i) => {
+              const lines = def.fields.map(sub => `${sub.label}: ${this._displayValue(sub, item[sub.name])}`).join('<br>');
+              sectionsHtml += `
+            <div class="gov-summary-list__row">
+              <dt class="gov-summary-list__key">${label} — ${def.itemLabel || 'Item'} ${i + 1}</dt>
+              <dd class="gov-summary-list__value">${lines}</dd>${changeLink(fieldName, `${label} — ${def.itemLabel || 'Item'} ${i + 1}`)}
+            </div>`;
+            });
+            return;
+          }
+          const disp = this._displayValue(def, val);
           sectionsHtml += `
             <div class="gov-summary-list__row">
               <dt class="gov-summary-list__key">${label}</dt>
-              <dd class="gov-summary-list__value">${disp}</dd>
+              <dd class="gov-summary-list__value">${disp}</dd>${changeLink(fieldName, label)}
             </div>`;
         });
         sectionsHtml += `</dl>`;
@@ -797,6 +1733,7 @@ class ProcedureEngine {
           ${page.allowBack ? `<button class="gov-button gov-button--secondary" id="btn-back">Back</button>` : ''}
           <button class="gov-button" id="btn-next">${page.buttonText || 'Continue'}</button>
         </div>
+        ${this._saveForLaterLink(page)}
       </div>`;
   }
 
@@ -816,6 +1753,7 @@ class ProcedureEngine {
           ${page.allowBack ? `<button class="gov-button gov-button--secondary" id="btn-back">Back</button>` : ''}
           <button class="gov-button" id="btn-next">${page.buttonText || 'Continue'}</button>
         </div>
+        ${this._saveForLaterLink(page)}
       </div>`;
   }
 
@@ -834,6 +1772,25 @@ class ProcedureEngine {
       </div>`;
   }
 
+  // Review-page text for an answer: option labels for choices, '—' when empty
+  _displayValue(def, val) {
+    if (val === undefined || val === null || val === '') return '\u2014';
+    if (val.upload_id) return `${this._escapeHtml(val.file_name)} (${UploadRules.formatSize(val.size_bytes)})`;
+    if (Array.isArray(val)) {
+      if (val.length === 0) return '\u2014';
+      // For checkbox arrays, try to resolve option labels
+      if (def && def.options) {
+        return val.map(v => { const opt = def.options.find(o => o.value === v); return opt ? opt.label : v.replace(/_/g, ' '); }).join(', ');
+      }
+      return val.map(v => v.replace(/_/g, ' ')).join(', ');
+    }
+    if (def && def.options) {
+      const opt = def.options.find(o => (typeof o === 'string' ? o : o.value) === val);
+      return opt ? (typeof opt === 'string' ? opt : opt.label) : val.replace(/_/g, ' ');
+    }
+    return String(val);
+  }
+
   _findFieldDef(fieldName) {
     for (const page of this.pages) {
       if (page.fields) {
@@ -855,6 +1812,23 @@ class ProcedureEngine {
     const backBtn = document.getElementById('btn-back');
     if (backBtn) backBtn.addEventListener('click', () => this.previousPage());
 
+    const saveLaterLink = document.getElementById('btn-save-later');
+    if (saveLaterLink) {
+      saveLaterLink.addEventListener('click', e => {
+        e.preventDefault();
+        this._saveForLater();
+      });
+    }
+
+    if (page.type === 'review') {
+      this.container.querySelectorAll('[data-change-field]').forEach(link => {
+        link.addEventListener('click', e => {
+          e.preventDefault();
+          this._openReviewChange(link.getAttribute('data-change-field'));
+        });
+      });
+    }
+
     const consentBox = document.getElementById('consent');
     const consentBtn = document.getElementById('btn-consent');
     if (consentBox && consentBtn) {
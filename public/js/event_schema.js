@@ -0,0 +1,201 @@
+/**
+ * SludgeEventSchema — Shared event schema for tracker.js and server.js
+ *
+ * Single source of truth for:
+ * - The schema version stamped on every tracker event
+ * - Which server table (JSONL file) each event type is written to
+ * - The fields each event type must carry (and their types)
+ *
+ * Loaded as a plain <script> in the browser (exposes window.SludgeEventSchema)
+ * and via require() on the server, so both sides always agree on the format.
+ * Bump SCHEMA_VERSION whenever an event type's required fields change. Events stamped with an
+ * older version are still accepted if they carry the fields the current schema requires.
+ */
+(function (root, factory) {
+  const schema = factory();
+  if (typeof module === 'object' && module.exports) module.exports = schema;
+  else root.SludgeEventSchema = schema;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SCHEMA_VERSION = 6;
+
+  // Table name → JSONL file on the server
+  const TABLES = {
+    page_events: 'page_events.jsonl',
+    click_events: 'click_events.jsonl',
+    visibility_events: 'visibility_events.jsonl',
+    scroll_events: 'scroll_events.jsonl',
+    field_events: 'field_events.jsonl',
+    form_responses: 'form_responses.jsonl',
+    navigation_events: 'navigation_events.jsonl',
+    document_events: 'document_events.jsonl',
+    validation_events: 'validation_events.jsonl',
+    session_events: 'session_events.jsonl',
+    friction_events: 'friction_events.jsonl',
+  };
+
+  // Events that fail validation are written here (with the reasons) instead of being misfiled
+  const QUARANTINE_TABLE = 'quarantine_events';
+  const QUARANTINE_FILE = 'quarantine_events.jsonl';
+
+  // Fields every event must carry, whatever its type
+  // (seq: per-session sequence number, used by the server to drop retried duplicates)
+  const ENVELOPE_FIELDS = { type: 'string', timestamp: 'number', schemaVersion: 'number', seq: 'number' };
+
+  // Event type → { table, fields: { fieldName: expected type } }
+  // Types: 'string' | 'number' | 'boolean' | 'array' | 'object'
+  const EVENT_TYPES = {
+    page_enter: {
+      table: 'page_events',
+      fields: { pageId: 'string', pageIndex: 'number' },
+    },
+    page_exit: {
+      table: 'page_events',
+      fields: { pageId: 'string', pageIndex: 'number', durationMs: 'number', activeTimeMs: 'number', hiddenTimeMs: 'number' },
+    },
+    doc_open: {
+      table: 'document_events',
+      fields: { docId: 'string', pageId: 'string', source: 'string' },
+    },
+    doc_close: {
+      table: 'document_events',
+      fields: { docId: 'string', pageId: 'string', source: 'string', durationMs: 'number' },
+    },
+    doc_zoom: {
+      table: 'document_events',
+      fields: { docId: 'string', pageId: 'string', source: 'string', zoomLevel: 'number', previousZoomLevel: 'number', method: 'string' },
+    },
+    doc_pan: {
+      table: 'document_events',
+      fields: { docId: 'string', pageId: 'string', source: 'string', zoomLevel: 'number', scrollTopPct: 'number', scrollLeftPct: 'number' },
+    },
+    field_focus: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string' },
+    },
+    field_blur: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string', durationMs: 'number', keystrokes: 'number', edits: 'number', deletions: 'number' },
+    },
+    field_first_input: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string', msSincePageEnter: 'number' },
+    },
+    field_paste: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string' },
+    },
+    field_autofill: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string' },
+    },
+    field_visibility: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string', visible: 'boolean' },
+    },
+    repeat_change: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string', action: 'string', index: 'number', count: 'number' },
+    },
+    file_upload: {
+      table: 'field_events',
+      fields: { pageId: 'string', fieldName: 'string', outcome: 'string', sizeBytes: 'number' },
+    },
+    validation_errors: {
+      table: 'validation_events',
+      fields: { pageId: 'string', errorCount: 'number', fields: 'array' },
+    },
+    form_responses: {
+      table: 'form_responses',
+      fields: { pageId: 'string', data: 'object' },
+    },
+    navigation: {
+      table: 'navigation_events',
+      fields: { action: 'string', fromPageId: 'string', toPageId: 'string' },
+    },
+    review_change: {
+      table: 'navigation_events',
+      fields: { pageId: 'string', fieldName: 'string', targetPageId: 'string', action: 'string' },
+    },
+    visibility_change: {
+      table: 'visibility_events',
+      fields: { hidden: 'boolean', pageId: 'string' },
+    },
+    idle_change: {
+      table: 'visibility_events',
+      fields: { pageId: 'string', idle: 'boolean', reason: 'string' },
+    },
+    click: {
+      table: 'click_events',
+      fields: { pageId: 'string', x: 'number', y: 'number', containerWidth: 'number', target: 'string' },
+    },
+    scroll_depth: {
+      table: 'scroll_events',
+      fields: { pageId: 'string', depthPct: 'number' },
+    },
+    friction: {
+      table: 'friction_events',
+      fields: { pageId: 'string', module: 'string', frictionType: 'string', action: 'string' },
+    },
+    session_resume: {
+      table: 'session_events',
+      fields: { pageId: 'string', pageIndex: 'number', resumeCount: 'number' },
+    },
+    save_for_later: {
+      table: 'session_events',
+      fields: { pageId: 'string', sitting: 'number' },
+    },
+    session_complete: {
+      table: 'session_events',
+      fields: { totalDurationMs: 'number', applicationDurationMs: 'number', totalErrors: 'number' },
+    },
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  /**
+   * Check an event against the schema.
+   * Returns { valid, errors: [string], table } — table is null for unknown types.
+   */
+  function validateEvent(event) {
+    const errors = [];
+    if (!event || typeOf(event) !== 'object') {
+      return { valid: false, errors: ['event is not an object'], table: null };
+    }
+    Object.entries(ENVELOPE_FIELDS).forEach(([name, expected]) => {
+      if (typeOf(event[name]) !== expected) errors.push(`${name}: expected ${expected}, got ${typeOf(event[name])}`);
+    });
+    // Older versions are accepted (events can wait in an outbox across a deploy) as long as the
+    // event still has the fields the current schema requires; versions from the future are not
+    if (typeOf(event.schemaVersion) === 'number' && !(Number.isInteger(event.schemaVersion) && event.schemaVersion >= 1 && event.schemaVersion <= SCHEMA_VERSION)) {
+      errors.push(`schemaVersion: expected 1 to ${SCHEMA_VERSION}, got ${event.schemaVersion}`);
+    }
+    const def = EVENT_TYPES[event.type];
+    if (!def) {
+      errors.push(`type: unknown event type "${event.type}"`);
+      return { valid: false, errors, table: null };
+    }
+    Object.entries(def.fields).forEach(([name, expected]) => {
+      if (typeOf(event[name]) !== expected) errors.push(`${name}: expected ${expected}, got ${typeOf(event[name])}`);
+    });
+    return { valid: errors.length === 0, errors, table: def.table };
+  }
+
+  function tableForType(type) {
+    return EVENT_TYPES[type] ? EVENT_TYPES[type].table : null;
+  }
+
+  return {
+    SCHEMA_VERSION,
+    TABLES,
+    QUARANTINE_TABLE,
+    QUARANTINE_FILE,
+    ENVELOPE_FIELDS,
+    EVENT_TYPES,
+    validateEvent,
+    tableForType,
+  };
+});
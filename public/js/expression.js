@@ -0,0 +1,326 @@
+/**
+ * ProcedureExpression — Small, safe expression language for page routing
+ *
+ * Expressions are parsed by a tiny recursive-descent parser (no eval / Function), so a
+ * procedure file can only read answers and design factors, never run code. Examples:
+ *
+ *   fuel_type == 'electric' OR year(registration_date) < 1996
+ *   number(monthly_income) < 1200 AND household_size > 2
+ *   NOT (vehicle_category in ['M1', 'N1']) AND documents includes 'water_bill'
+ *   days_between(date_of_birth, today()) >= 365 * 18
+ *   factor.procedure == 'short'
+ *
+ * Syntax:
+ * - Logic: AND / OR / NOT (also && || !), parentheses
+ * - Comparisons: == != < <= > >=  — numeric when both sides look like numbers, text otherwise.
+ *   Empty answers ('' / missing / []) equal null; ordering comparisons with null are false
+ * - Membership: `x in [...]`, `x not in [...]`; `list includes value` for checkbox arrays
+ * - Arithmetic: +, - and * (numbers, or date day-numbers ± days)
+ * - Literals: numbers, 'strings' / "strings", true, false, null, [lists]
+ * - Names: a field name (formData) or factor.<name> (assigned design level)
+ * - Functions: date(x) (D/M/YYYY as stored by date_group fields, or YYYY-MM-DD → day number),
+ *   today(), days_between(a, b), years_between(a, b), year(x), count(list), number(x), lower(x)
+ *
+ * Loaded as a plain <script> in the browser (exposes window.ProcedureExpression)
+ * and via require() in Node (used by the procedure validator).
+ */
+(function (root, factory) {
+  const expression = factory();
+  if (typeof module === 'object' && module.exports) module.exports = expression;
+  else root.ProcedureExpression = expression;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const KEYWORDS = ['and', 'or', 'not', 'in', 'includes', 'true', 'false', 'null'];
+  const SYMBOLS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '(', ')', '[', ']', ',', '+', '-', '*'];
+  const DAY_MS = 86400000;
+
+  // ============================================================
+  // TOKENIZER
+  // ============================================================
+
+  function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    const fail = msg => { throw new Error(`Expression error at ${i + 1}: ${msg} in "${source}"`); };
+    while (i < source.length) {
+      const ch = source[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+        const m = /^[0-9]*\.?[0-9]+/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: Number(m[0]), pos: i });
+        i += m[0].length;
+        continue;
+      }
+      if (ch === '\'' || ch === '"') {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== ch) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j++];
+        }
+        if (j >= source.length) fail('unterminated string');
+        tokens.push({ type: 'string', value, pos: i });
+        i = j + 1;
+        continue;
+      }
+      if (/[A-Za-z_]/.test(ch)) {
+        const m = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(source.slice(i));
+        const lower = m[0].toLowerCase();
+        tokens.push(KEYWORDS.includes(lower) ? { type: lower, pos: i } : { type: 'name', value: m[0], pos: i });
+        i += m[0].length;
+        continue;
+      }
+      const symbol = SYMBOLS.find(s => source.startsWith(s, i));
+      if (!symbol) fail(`unexpected "${ch}"`);
+      tokens.push({ type: symbol, pos: i });
+      i += symbol.length;
+    }
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+  }
+
+  // ============================================================
+  // PARSER
+  // ============================================================
+  // or := and (OR and)* ; and := not (AND not)* ; not := NOT not | comparison
+  // comparison := sum (op sum)? ; sum := product ((+|-) product)* ; product := unary (* unary)*
+  // unary := - unary | primary
+
+  function parse(source) {
+    if (typeof source !== 'string' || source.trim() === '') throw new Error('Expression error: empty expression');
+    const tokens = tokenize(source);
+    let pos = 0;
+    const peek = (offset = 0) => tokens[pos + offset];
+    const next = () => tokens[pos++];
+    const fail = (msg, token = peek()) => { throw new Error(`Expression error at ${token.pos + 1}: ${msg} in "${source}"`); };
+    const expect = type => (peek().type === type ? next() : fail(`expected "${type}"`));
+
+    function parseOr() {
+      let left = parseAnd();
+      while (peek().type === 'or' || peek().type === '||') { next(); left = { type: 'or', left, right: parseAnd() }; }
+      return left;
+    }
+    function parseAnd() {
+      let left = parseNot();
+      while (peek().type === 'and' || peek().type === '&&') { next(); left = { type: 'and', left, right: parseNot() }; }
+      return left;
+    }
+    function parseNot() {
+      if (peek().type === 'not' || peek().type === '!') { next(); return { type: 'not', arg: parseNot() }; }
+      return parseComparison();
+    }
+    function parseComparison() {
+      const left = parseSum();
+      const t = peek().type;
+      if (['==', '!=', '<', '<=', '>', '>=', 'in', 'includes'].includes(t)) {
+        next();
+        return { type: 'compare', op: t, left, right: parseSum() };
+      }
+      if (t === 'not' && peek(1).type === 'in') {
+        next(); next();
+        return { type: 'compare', op: 'not in', left, right: parseSum() };
+      }
+      return left;
+    }
+    function parseSum() {
+      let left = parseProduct();
+      while (peek().type === '+' || peek().type === '-') { const op = next().type; left = { type: 'arith', op, left, right: parseProduct() }; }
+      return left;
+    }
+    function parseProduct() {
+      let left = parseUnary();
+      while (peek().type === '*') { next(); left = { type: 'arith', op: '*', left, right: parseUnary() }; }
+      return left;
+    }
+    function parseUnary() {
+      if (peek().type === '-') { next(); return { type: 'arith', op: '-', left: { type: 'literal', value: 0 }, right: parseUnary() }; }
+      return parsePrimary();
+    }
+    function parsePrimary() {
+      const token = next();
+      switch (token.type) {
+        case 'number':
+        case 'string': return { type: 'literal', value: token.value };
+        case 'true': return { type: 'literal', value: true };
+        case 'false': return { type: 'literal', value: false };
+        case 'null': return { type: 'literal', value: null };
+        case '(': { const inner = parseOr(); expect(')'); return inner; }
+        case '[': {
+          const items = [];
+          if (peek().type !== ']') {
+            do { items.push(parseSum()); } while (peek().type === ',' && next());
+          }
+          expect(']');
+          return { type: 'list', items };
+        }
+        case 'name': {
+          if (peek().type !== '(') return { type: 'var', name: token.value };
+          if (!has(FUNCTIONS, token.value)) fail(`unknown function "${token.value}"`, token);
+          next();
+          const args = [];
+          if (peek().type !== ')') {
+            do { args.push(parseOr()); } while (peek().type === ',' && next());
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args };
+        }
+        default: return fail(token.type === 'end' ? 'unexpected end' : `unexpected "${token.value !== undefined ? token.value : token.type}"`, token);
+      }
+    }
+
+    const ast = parseOr();
+    if (peek().type !== 'end') fail(`unexpected "${peek().value !== undefined ? peek().value : peek().type}"`);
+    return ast;
+  }
+
+  // ============================================================
+  // EVALUATION
+  // ============================================================
+
+  // Empty answers behave as null
+  function norm(value) {
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+    return value;
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) return Number(value);
+    return NaN;
+  }
+
+  // Day number (days since 1970-01-01 UTC) from D/M/YYYY or YYYY-MM-DD; numbers pass through
+  function toDay(value) {
+    value = norm(value);
+    if (value === null) return null;
+    if (typeof value === 'number') return value;
+    const s = String(value).trim();
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+    const [y, mo, d] = m ? [m[1], m[2], m[3]] : ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s)) ? [m[3], m[2], m[1]] : []);
+    if (!y) return null;
+    const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+    if (date.getUTCMonth() !== Number(mo) - 1 || date.getUTCDate() !== Number(d)) return null;
+    return Math.round(date.getTime() / DAY_MS);
+  }
+
+  function looseEquals(a, b) {
+    a = norm(a); b = norm(b);
+    if (a === null || b === null) return a === b;
+    const na = toNumber(a), nb = toNumber(b);
+    if (!isNaN(na) && !isNaN(nb)) return na === nb;
+    return String(a) === String(b);
+  }
+
+  function order(a, b) {
+    a = norm(a); b = norm(b);
+    if (a === null || b === null) return null;
+    const na = toNumber(a), nb = toNumber(b);
+    if (!isNaN(na) && !isNaN(nb)) return na - nb;
+    return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+  }
+
+  function truthy(value) {
+    value = norm(value);
+    return !(value === null || value === false || value === 0 || (typeof value === 'number' && isNaN(value)));
+  }
+
+  // Own keys only: names like constructor or toString must not reach Object.prototype
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  const asList = value => (Array.isArray(value) ? value : (norm(value) === null ? [] : [value]));
+
+  const FUNCTIONS = {
+    date: v => toDay(v),
+    today: () => Math.floor(Date.now() / DAY_MS),
+    days_between: (a, b) => { const da = toDay(a), db = toDay(b); return da === null || db === null ? null : db - da; },
+    years_between: (a, b) => {
+      const da = toDay(a), db = toDay(b);
+      if (da === null || db === null) return null;
+      const x = new Date(da * DAY_MS), y = new Date(db * DAY_MS);
+      let years = y.getUTCFullYear() - x.getUTCFullYear();
+      if (y.getUTCMonth() < x.getUTCMonth() || (y.getUTCMonth() === x.getUTCMonth() && y.getUTCDate() < x.getUTCDate())) years--;
+      return years;
+    },
+    year: v => { const d = toDay(v); return d === null ? null : new Date(d * DAY_MS).getUTCFullYear(); },
+    count: v => asList(v).length,
+    number: v => { const n = toNumber(norm(v)); return isNaN(n) ? null : n; },
+    lower: v => (norm(v) === null ? null : String(v).toLowerCase()),
+  };
+
+  function evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'literal': return node.value;
+      case 'list': return node.items.map(item => evaluateNode(item, scope));
+      case 'var': {
+        const [values, name] = node.name.startsWith('factor.') ? [scope.factors || {}, node.name.slice(7)] : [scope.fields || {}, node.name];
+        return has(values, name) ? norm(values[name]) ?? null : null;
+      }
+      case 'call': return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope)));
+      case 'not': return !truthy(evaluateNode(node.arg, scope));
+      case 'and': return truthy(evaluateNode(node.left, scope)) && truthy(evaluateNode(node.right, scope));
+      case 'or': return truthy(evaluateNode(node.left, scope)) || truthy(evaluateNode(node.right, scope));
+      case 'arith': {
+        const a = toNumber(norm(evaluateNode(node.left, scope)));
+        const b = toNumber(norm(evaluateNode(node.right, scope)));
+        if (isNaN(a) || isNaN(b)) return null;
+        return node.op === '+' ? a + b : (node.op === '-' ? a - b : a * b);
+      }
+      case 'compare': {
+        const a = evaluateNode(node.left, scope);
+        const b = evaluateNode(node.right, scope);
+        switch (node.op) {
+          case '==': return looseEquals(a, b);
+          case '!=': return !looseEquals(a, b);
+          case 'in': return asList(b).some(item => looseEquals(a, item));
+          case 'not in': return !asList(b).some(item => looseEquals(a, item));
+          case 'includes': return asList(a).some(item => looseEquals(item, b));
+          default: {
+            const cmp = order(a, b);
+            if (cmp === null) return false;
+            return node.op === '<' ? cmp < 0 : node.op === '<=' ? cmp <= 0 : node.op === '>' ? cmp > 0 : cmp >= 0;
+          }
+        }
+      }
+      default: throw new Error(`Expression error: unknown node "${node.type}"`);
+    }
+  }
+
+  const cache = new Map();
+
+  // Parse once per expression string (parsed trees are cached)
+  function compile(source) {
+    if (!cache.has(source)) cache.set(source, parse(source));
+    return cache.get(source);
+  }
+
+  /**
+   * Evaluate an expression against { fields: formData, factors } and return a boolean.
+   * Throws on syntax errors.
+   */
+  function evaluate(source, scope) {
+    return truthy(evaluateNode(compile(source), scope || {}));
+  }
+
+  // Names an expression reads: { fields: [...], factors: [...] } (for the procedure validator)
+  function identifiers(source) {
+    const fields = new Set();
+    const factors = new Set();
+    (function walk(node) {
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'var') {
+        if (node.name.startsWith('factor.')) factors.add(node.name.slice(7));
+        else fields.add(node.name);
+      }
+      [node.left, node.right, node.arg, ...(node.items || []), ...(node.args || [])].forEach(walk);
+    })(compile(source));
+    return { fields: [...fields], factors: [...factors] };
+  }
+
+  return {
+    FUNCTIONS: Object.keys(FUNCTIONS),
+    parse,
+    compile,
+    evaluate,
+    identifiers,
+  };
+});
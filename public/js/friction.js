@@ -0,0 +1,202 @@
+/**
+ * Friction — Switchable sludge: extra burden a procedure or a condition can add to the application
+ *
+ * Modules are declared on the procedure (friction: [...], each with `pages`) or on a page
+ * (friction: [...], applying to that page):
+ *   { type, id, pages, on, when, once, ...options }
+ *
+ *   type   one of TYPES below
+ *   id     name used in pageTimings and the CSV export (default: the type for procedure-level
+ *          modules, <type>_<pageId> for page-level ones); ids must be unique within a procedure
+ *   pages  procedure-level modules only: ids of the pages the module is added to
+ *   on     'enter' shows the step before the page, 'exit' after a valid Continue and before moving
+ *          on (default per type); session_expired is timed instead and takes no `on`
+ *   when   expression (expression.js syntax) over answers and factors, checked each time the step
+ *          would run — e.g. "factor.friction == 'high'" switches a module on for one condition
+ *   once   run only on the first visit to the page (default true); false repeats it on every visit
+ *
+ * On a page, its own modules run before the procedure-level ones listing it.
+ *
+ * Types and their options:
+ *   delay              "Processing" screen: ms (default 3000), or minMs and maxMs for a random wait; message
+ *   reentry            re-type earlier answers, which must match them: fields (required), title, message
+ *   session_expired    "Your session has expired" interruption afterMs (default 30000) on the page, then a
+ *                      sign-in step that asks signInFields (earlier answers, optional) again; keepInput
+ *                      (default false) puts back what was typed on the page before the interruption
+ *   captcha            type the characters shown: length (default 6), title, message
+ *   download_reupload  download a form and upload it again: fileName (its extension is the one the upload
+ *                      must have), fileUrl (a real file to download; default a generated text file), title,
+ *                      message. The chosen file is only checked in the browser, not sent to the server
+ *
+ * The engine runs the steps; the tracker times each run separately and attaches it to the page's
+ * pageTimings entry (friction: [{ id, type, trigger, durationMs, attempts, ... }], frictionMs).
+ *
+ * Loaded as a plain <script> in the browser (exposes window.Friction)
+ * and via require() in Node (used by the procedure validator).
+ */
+(function (root, factory) {
+  const friction = factory();
+  if (typeof module === 'object' && module.exports) module.exports = friction;
+  else root.Friction = friction;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // Type → default trigger and option defaults
+  const TYPES = {
+    delay: {
+      on: 'exit',
+      defaults: { ms: 3000, message: 'We are processing your answers. Please wait, this can take a few seconds.' },
+    },
+    reentry: {
+      on: 'enter',
+      defaults: { title: 'Confirm your details', message: 'For your security, enter the following details again.' },
+    },
+    session_expired: {
+      on: 'timer',
+      defaults: { afterMs: 30000, keepInput: false, signInFields: [] },
+    },
+    captcha: {
+      on: 'exit',
+      defaults: { length: 6, title: 'Confirm you are not a robot', message: 'Type the characters you see in the box below.' },
+    },
+    download_reupload: {
+      on: 'exit',
+      defaults: {
+        fileName: 'declaration-form.txt',
+        title: 'Download and upload your declaration',
+        message: 'Download the declaration form, save it to your device and upload it again to confirm you have read it.',
+      },
+    },
+  };
+
+  const TRIGGERS = ['enter', 'exit'];
+
+  // Field types an answer can be re-typed into (reentry fields, session_expired signInFields)
+  const REENTRY_FIELD_TYPES = ['text', 'email', 'tel', 'number', 'textarea', 'select', 'radio', 'date_group'];
+
+  // No 0/O or 1/I/L, so a code can't be misread
+  const CAPTCHA_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+  // Every module declared in a config: [{ where, pageId (null at procedure level), module }]
+  function declarations(config) {
+    const found = [];
+    (Array.isArray(config.friction) ? config.friction : []).forEach((module, i) => {
+      found.push({ where: `friction[${i}]`, pageId: null, module });
+    });
+    (config.pages || []).forEach(page => {
+      (Array.isArray(page.friction) ? page.friction : []).forEach((module, i) => {
+        found.push({ where: `page "${page.id}": friction[${i}]`, pageId: page.id, module });
+      });
+    });
+    return found;
+  }
+
+  // Declaration with its defaults filled in, as it applies to a page
+  function normalize(module, pageId) {
+    const type = TYPES[module.type];
+    return {
+      ...(type ? type.defaults : {}),
+      ...module,
+      id: module.id || (pageId ? `${module.type}_${pageId}` : module.type),
+      on: type && type.on === 'timer' ? 'timer' : (module.on || (type ? type.on : 'enter')),
+      once: module.once !== false,
+    };
+  }
+
+  // Modules that apply to a page, in the order their steps run (the page's own, then procedure-level
+  // ones listing it), with defaults filled in
+  function modulesFor(config, page) {
+    const pageLevel = (Array.isArray(page.friction) ? page.friction : []).map(module => normalize(module, page.id));
+    const procedureLevel = (Array.isArray(config.friction) ? config.friction : [])
+      .filter(module => Array.isArray(module.pages) && module.pages.includes(page.id))
+      .map(module => normalize(module, null));
+    return [...pageLevel, ...procedureLevel].filter(module => TYPES[module.type]);
+  }
+
+  /**
+   * Check a module's type and options (pages, fields and `when` are checked by the validator,
+   * which knows the procedure). Returns a list of problems, empty if there are none.
+   */
+  function checkOptions(module) {
+    const problems = [];
+    const isDuration = n => typeof n === 'number' && n >= 0;
+    if (!TYPES[module.type]) return [`unknown friction type "${module.type}"`];
+    if (module.type === 'session_expired') {
+      if (module.on !== undefined) problems.push('session_expired is timed with afterMs and takes no `on`');
+      if (module.afterMs !== undefined && !isDuration(module.afterMs)) problems.push('afterMs must be a number of milliseconds');
+      if (module.signInFields !== undefined && !Array.isArray(module.signInFields)) problems.push('signInFields must be an array of field names');
+    } else if (module.on !== undefined && !TRIGGERS.includes(module.on)) {
+      problems.push(`on must be 'enter' or 'exit' (got "${module.on}")`);
+    }
+    if (module.type === 'delay') {
+      if (module.ms !== undefined && !isDuration(module.ms)) problems.push('ms must be a number of milliseconds');
+      if ((module.minMs !== undefined) !== (module.maxMs !== undefined)) problems.push('minMs and maxMs must be given together');
+      else if (module.minMs !== undefined) {
+        if (!isDuration(module.minMs) || !isDuration(module.maxMs)) problems.push('minMs and maxMs must be numbers of milliseconds');
+        else if (module.minMs > module.maxMs) problems.push(`minMs (${module.minMs}) is greater than maxMs (${module.maxMs})`);
+      }
+    }
+    if (module.type === 'reentry' && !(Array.isArray(module.fields) && module.fields.length > 0)) {
+      problems.push('reentry needs a fields array with at least one field name');
+    }
+    if (module.type === 'captcha' && module.length !== undefined && !(Number.isInteger(module.length) && module.length >= 1 && module.length <= 12)) {
+      problems.push('length must be a whole number from 1 to 12');
+    }
+    if (module.type === 'download_reupload' && module.fileName !== undefined && !/\.[a-z0-9]+$/i.test(module.fileName)) {
+      problems.push(`fileName "${module.fileName}" has no extension`);
+    }
+    return problems;
+  }
+
+  // Names of the earlier answers a module asks for again
+  function reenteredFields(module) {
+    if (module.type === 'reentry') return module.fields || [];
+    if (module.type === 'session_expired') return module.signInFields || [];
+    return [];
+  }
+
+  // How long a delay module waits: ms, or a random wait between minMs and maxMs
+  function delayMs(module, random = Math.random) {
+    if (module.minMs !== undefined && module.maxMs !== undefined) {
+      return Math.round(module.minMs + random() * (module.maxMs - module.minMs));
+    }
+    return module.ms;
+  }
+
+  function captchaCode(length = TYPES.captcha.defaults.length, random = Math.random) {
+    let code = '';
+    for (let i = 0; i < length; i++) code += CAPTCHA_ALPHABET[Math.floor(random() * CAPTCHA_ALPHABET.length)];
+    return code;
+  }
+
+  // Comparable form of an answer: case, spacing and leading zeros in D/M/YYYY dates are ignored
+  function answerKey(value) {
+    if (Array.isArray(value)) return value.map(answerKey).sort().join('|');
+    return String(value == null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ')
+      .split('/').map(part => (/^\d+$/.test(part) ? String(parseInt(part, 10)) : part)).join('/');
+  }
+
+  function sameAnswer(expected, entered) {
+    return answerKey(expected) === answerKey(entered);
+  }
+
+  // Extension of a file name, with the dot ('.pdf'), or '' if it has none
+  function fileExtension(fileName) {
+    const match = /\.[a-z0-9]+$/i.exec(fileName || '');
+    return match ? match[0].toLowerCase() : '';
+  }
+
+  return {
+    TYPES,
+    TRIGGERS,
+    REENTRY_FIELD_TYPES,
+    declarations,
+    normalize,
+    modulesFor,
+    checkOptions,
+    reenteredFields,
+    delayMs,
+    captchaCode,
+    sameAnswer,
+    fileExtension,
+  };
+});
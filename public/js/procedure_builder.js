@@ -0,0 +1,157 @@
+/**
+ * ProcedureBuilder — Derive procedure variants safely from a base procedure
+ *
+ * A variant built with `{ ...BASE }` shares the base's `pages` array (and every page
+ * and field object in it), so editing the variant silently edits the base. This helper
+ * deep-clones the base first, then applies the requested changes:
+ * - removePages:   ['pageId', ...]
+ * - replacePages:  { pageId: newPage | (page) => newPage }
+ * - insertPages:   [{ before: 'pageId' | after: 'pageId', pages: [page, ...] }]
+ * - fields:        { fieldName: { ...properties to override on every field with that name } }
+ * - documents:     { html, pages, show } — swap the documents panel (documentsPanelHtml,
+ *                  documentsPanelPages, showDocumentsPanel)
+ * - set:           { ...top-level properties (title, version, stepperSections...) }
+ *
+ * Removing a page also drops it from documentsPanelPages and drops review rows for fields
+ * that were only defined on removed pages. The result is checked with checkProcedureIntegrity
+ * and an Error listing every problem is thrown if a reference no longer resolves.
+ *
+ * Loaded as a plain <script> in the browser (exposes window.ProcedureBuilder)
+ * and via require() in Node (used by the procedure validator).
+ */
+(function (root, factory) {
+  const builder = factory();
+  if (typeof module === 'object' && module.exports) module.exports = builder;
+  else root.ProcedureBuilder = builder;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // Plain object from any realm (the Node validator loads procedure files in a vm sandbox)
+  function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || Object.getPrototypeOf(proto) === null;
+  }
+
+  // Deep clone of plain objects and arrays; functions (validation, etc.) are kept by reference
+  function cloneProcedure(value) {
+    if (Array.isArray(value)) return value.map(cloneProcedure);
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = cloneProcedure(value[key]); });
+      return copy;
+    }
+    return value;
+  }
+
+  function fieldNamesOf(pages) {
+    const names = new Set();
+    pages.forEach(p => (p.fields || []).forEach(f => names.add(f.name)));
+    return names;
+  }
+
+  // Review section entries are a field name or { name, label }
+  const reviewFieldName = f => (typeof f === 'string' ? f : f.name);
+
+  /**
+   * Check that every page reference in a procedure resolves.
+   * Returns a list of problems (empty when the procedure is consistent).
+   */
+  function checkProcedureIntegrity(procedure) {
+    const errors = [];
+    const pages = procedure.pages || [];
+    const pageIds = new Set();
+    pages.forEach((p, i) => {
+      if (!p.id) errors.push(`page ${i} has no id`);
+      else if (pageIds.has(p.id)) errors.push(`duplicate page id "${p.id}"`);
+      pageIds.add(p.id);
+    });
+    const fieldNames = fieldNamesOf(pages);
+
+    pages.forEach(p => {
+      if (p.skipIf && !pageIds.has(p.skipIf.targetPageId)) {
+        errors.push(`page "${p.id}": skipIf.targetPageId "${p.skipIf.targetPageId}" does not exist`);
+      }
+      (p.routes || []).forEach((route, i) => {
+        if (!route.goTo) errors.push(`page "${p.id}": routes[${i}] has no goTo`);
+        else if (!pageIds.has(route.goTo)) errors.push(`page "${p.id}": routes[${i}].goTo "${route.goTo}" does not exist`);
+      });
+      if (p.type === 'review') {
+        (p.sections || []).forEach(sec => (sec.fields || []).forEach(f => {
+          const name = reviewFieldName(f);
+          if (!fieldNames.has(name)) errors.push(`page "${p.id}": review section "${sec.title}" lists unknown field "${name}"`);
+        }));
+      }
+    });
+    (procedure.documentsPanelPages || []).forEach(id => {
+      if (!pageIds.has(id)) errors.push(`documentsPanelPages lists unknown page "${id}"`);
+    });
+    return errors;
+  }
+
+  function requirePage(pages, id, change) {
+    const index = pages.findIndex(p => p.id === id);
+    if (index < 0) throw new Error(`${change}: no page "${id}"`);
+    return index;
+  }
+
+  /**
+   * Build a variant of `base`. `changes.id` is required so variants can be told apart in the data.
+   * Throws if a change refers to a missing page or field, or if the result fails the integrity check.
+   */
+  function deriveProcedure(base, changes) {
+    if (!changes || !changes.id) throw new Error('deriveProcedure: the variant needs an id');
+    if (changes.id === base.id) throw new Error(`deriveProcedure: variant id "${changes.id}" is the same as the base`);
+    const variant = cloneProcedure(base);
+    variant.id = changes.id;
+    if (changes.set) Object.assign(variant, cloneProcedure(changes.set));
+
+    Object.entries(changes.replacePages || {}).forEach(([id, replacement]) => {
+      const index = requirePage(variant.pages, id, 'replacePages');
+      variant.pages[index] = cloneProcedure(typeof replacement === 'function' ? replacement(variant.pages[index]) : replacement);
+    });
+
+    if (changes.removePages && changes.removePages.length > 0) {
+      changes.removePages.forEach(id => requirePage(variant.pages, id, 'removePages'));
+      const removedFields = fieldNamesOf(variant.pages.filter(p => changes.removePages.includes(p.id)));
+      variant.pages = variant.pages.filter(p => !changes.removePages.includes(p.id));
+      const remainingFields = fieldNamesOf(variant.pages);
+      if (variant.documentsPanelPages) {
+        variant.documentsPanelPages = variant.documentsPanelPages.filter(id => !changes.removePages.includes(id));
+      }
+      variant.pages.filter(p => p.type === 'review').forEach(p => {
+        p.sections = (p.sections || [])
+          .map(sec => ({ ...sec, fields: sec.fields.filter(f => remainingFields.has(reviewFieldName(f)) || !removedFields.has(reviewFieldName(f))) }))
+          .filter(sec => sec.fields.length > 0);
+      });
+    }
+
+    (changes.insertPages || []).forEach(insert => {
+      const anchor = insert.before || insert.after;
+      const index = requirePage(variant.pages, anchor, 'insertPages');
+      variant.pages.splice(insert.before ? index : index + 1, 0, ...cloneProcedure(insert.pages || []));
+    });
+
+    Object.entries(changes.fields || {}).forEach(([name, overrides]) => {
+      const matches = variant.pages.flatMap(p => (p.fields || []).filter(f => f.name === name));
+      if (matches.length === 0) throw new Error(`fields: no field "${name}"`);
+      matches.forEach(f => Object.assign(f, cloneProcedure(overrides)));
+    });
+
+    if (changes.documents) {
+      const docs = changes.documents;
+      if (docs.html !== undefined) variant.documentsPanelHtml = docs.html;
+      if (docs.pages !== undefined) variant.documentsPanelPages = [...docs.pages];
+      if (docs.show !== undefined) variant.showDocumentsPanel = docs.show;
+    }
+
+    const errors = checkProcedureIntegrity(variant);
+    if (errors.length > 0) throw new Error(`Procedure "${variant.id}" is inconsistent: ${errors.join('; ')}`);
+    return variant;
+  }
+
+  return {
+    cloneProcedure,
+    deriveProcedure,
+    checkProcedureIntegrity,
+  };
+});
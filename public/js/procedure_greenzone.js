@@ -56,8 +56,9 @@ const APPLICANT_DOCUMENTS = [
   { id: 'water_bill',         name: 'Water Bill (proof of residence)',       image: '/images/water_bill.png' },
 ];
 
-// Build the documents panel HTML with data attributes for tracking
-function buildDocumentsPanel() {
+// Build the documents panel HTML with data attributes for tracking.
+// Pass another list of { id, name, image } to build a panel for a variant's document set.
+function buildDocumentsPanel(documents = APPLICANT_DOCUMENTS) {
   let html = '<div class="documents-panel">';
   html += '<div class="documents-panel-header">';
   html += '<span class="documents-panel-icon">📁</span>';
@@ -65,11 +66,11 @@ function buildDocumentsPanel() {
   html += '<button class="documents-panel-toggle" onclick="toggleDocumentsPanel()" aria-label="Toggle documents panel">−</button>';
   html += '</div>';
   html += '<div class="documents-panel-body" id="documents-panel-body">';
-  APPLICANT_DOCUMENTS.forEach((doc) => {
+  documents.forEach((doc) => {
     html += `<details class="document-accordion" data-doc-id="${doc.id}">`;
     html += `<summary class="document-accordion-title">${doc.name}</summary>`;
     html += `<div class="document-accordion-content">`;
-    html += `<img src="${doc.image}" alt="${doc.name}" style="width:100%; height:auto; display:block; border-radius:4px;" onclick="openDocDrawer('${doc.image}', '${doc.name.replace(/'/g, "\\'")}')">`;
+    html += `<img src="${doc.image}" alt="${doc.name}" style="width:100%; height:auto; display:block; border-radius:4px;" onclick="openDocDrawer('${doc.image}', '${doc.name.replace(/'/g, "\\'")}', '${doc.id}')">`;
     html += `<div class="doc-zoom-hint">Click to view alongside form</div>`;
     html += `</div>`;
     html += '</details>';
@@ -80,11 +81,22 @@ function buildDocumentsPanel() {
 
 // Document Drawer: slide-out panel on the right — form stays fully interactive
 // Includes zoom controls (+/−/reset) and Ctrl+scroll zoom
-window.openDocDrawer = function(src, title) {
-  // Close any existing drawer first
+//
+// Tracking: the drawer dispatches `docdrawer:open|close|zoom|pan` events on `document`
+// (detail carries docId + zoom/pan data). The engine forwards them to the tracker.
+function emitDrawerEvent(name, detail) {
+  document.dispatchEvent(new CustomEvent(`docdrawer:${name}`, { detail }));
+}
+
+window.openDocDrawer = function(src, title, docId) {
+  // Close any existing drawer first (recording its close before it disappears)
   const existingDrawer = document.querySelector('.doc-drawer');
-  if (existingDrawer) existingDrawer.remove();
+  if (existingDrawer) {
+    if (existingDrawer.dataset.docId) emitDrawerEvent('close', { docId: existingDrawer.dataset.docId });
+    existingDrawer.remove();
+  }
 
+  docId = docId || title;
   let zoomLevel = 1;
   const minZoom = 0.5;
   const maxZoom = 4;
@@ -92,6 +104,7 @@ window.openDocDrawer = function(src, title) {
 
   const drawer = document.createElement('div');
   drawer.className = 'doc-drawer';
+  drawer.dataset.docId = docId;
   drawer.innerHTML = `
     <div class="doc-drawer__header">
       <span class="doc-drawer__title">${title}</span>
@@ -109,29 +122,31 @@ window.openDocDrawer = function(src, title) {
   `;
 
   document.body.appendChild(drawer);
+  emitDrawerEvent('open', { docId });
 
   const img = drawer.querySelector('.doc-drawer__content img');
   const content = drawer.querySelector('.doc-drawer__content');
   const levelDisplay = drawer.querySelector('.doc-drawer__zoom-level');
 
-  function updateZoom() {
+  function updateZoom(method) {
     img.style.width = (zoomLevel * 100) + '%';
     levelDisplay.textContent = Math.round(zoomLevel * 100) + '%';
+    emitDrawerEvent('zoom', { docId, zoomLevel, method });
   }
 
   drawer.querySelector('[data-action="zoom-in"]').addEventListener('click', () => {
     zoomLevel = Math.min(maxZoom, zoomLevel + zoomStep);
-    updateZoom();
+    updateZoom('button_in');
   });
 
   drawer.querySelector('[data-action="zoom-out"]').addEventListener('click', () => {
     zoomLevel = Math.max(minZoom, zoomLevel - zoomStep);
-    updateZoom();
+    updateZoom('button_out');
   });
 
   drawer.querySelector('[data-action="zoom-reset"]').addEventListener('click', () => {
     zoomLevel = 1;
-    updateZoom();
+    updateZoom('reset');
   });
 
   // Ctrl+scroll wheel zoom (regular scroll pans the document)
@@ -143,16 +158,36 @@ window.openDocDrawer = function(src, title) {
       } else {
         zoomLevel = Math.max(minZoom, zoomLevel - zoomStep);
       }
-      updateZoom();
+      updateZoom('wheel');
     }
   }, { passive: false });
 
+  // Pan position (throttled): how far through the scrollable image area, as 0–100%
+  let panTimer = null;
+  content.addEventListener('scroll', () => {
+    if (panTimer) return;
+    panTimer = setTimeout(() => {
+      panTimer = null;
+      const maxTop = content.scrollHeight - content.clientHeight;
+      const maxLeft = content.scrollWidth - content.clientWidth;
+      emitDrawerEvent('pan', {
+        docId,
+        scrollTopPct: maxTop > 0 ? Math.round(content.scrollTop / maxTop * 100) : 0,
+        scrollLeftPct: maxLeft > 0 ? Math.round(content.scrollLeft / maxLeft * 100) : 0,
+      });
+    }, 500);
+  });
+
   // Trigger slide-in animation
   requestAnimationFrame(() => {
     drawer.classList.add('doc-drawer--open');
   });
 
+  let closed = false;
   const close = () => {
+    if (closed) return;
+    closed = true;
+    emitDrawerEvent('close', { docId });
     drawer.classList.remove('doc-drawer--open');
     setTimeout(() => { drawer.remove(); }, 250);
   };
@@ -953,17 +988,58 @@ const GREENZONE_PROCEDURE = {
 // ============================================================
 // CONDITION ROUTING
 // ============================================================
-// You can create variants by modifying the procedure above.
-// For example, a SHORT version could skip some vehicle detail pages,
-// or a MULTI-SESSION version could add a break point.
+// Variants are selected by the server-assigned procedure (the 'procedure' factor in
+// src/study_config.js, or ?PROCEDURE=<key> to force one) and looked up in PROCEDURE_CONFIGS.
+// Each variant needs its own id so sessions can be told apart in the data.
+
+// Build variants with ProcedureBuilder.deriveProcedure (public/js/procedure_builder.js) rather
+// than spreading GREENZONE_PROCEDURE: it deep-clones the base, so a variant never edits it, and
+// throws if a skipIf target, review field or documentsPanelPages entry no longer resolves.
+// To show a different document set: documents: { html: buildDocumentsPanel(OTHER_DOCUMENTS) }.
+
+// SHORT: no proof-of-residence step and no fuel type / environmental class pages.
+// The review page drops the corresponding rows.
+const GREENZONE_SHORT = ProcedureBuilder.deriveProcedure(GREENZONE_PROCEDURE, {
+  id: 'greenzone_permit_short_v1',
+  removePages: ['doc_upload_residence', 'vehicle_fuel', 'vehicle_env_class'],
+});
 
-const GREENZONE_SHORT = { ...GREENZONE_PROCEDURE, id: 'greenzone_permit_short_v1' };
-// Modify GREENZONE_SHORT.pages to remove pages for shorter version
+// UPLOAD: the proof-of-residence page also asks for the file itself, which the participant saves
+// from the documents panel and uploads again. This adds a device- and browser-dependent step (hard
+// on mobile), so it is a variant for studies that want it rather than part of the default flow.
+const GREENZONE_UPLOAD = ProcedureBuilder.deriveProcedure(GREENZONE_PROCEDURE, {
+  id: 'greenzone_permit_upload_v1',
+  replacePages: {
+    doc_upload_residence: ({ body, ...page }) => ({
+      ...page,
+      type: 'upload',
+      caption: 'Proof of residence',
+      description: 'Select the document you will submit as proof of residence, then upload it. A valid proof of residence must show the applicant\'s current address and be issued within the last 4 months.',
+      fields: [...page.fields, {
+        name: 'residence_document_file',
+        label: 'Upload your proof of residence',
+        type: 'file',
+        required: true,
+        hint: 'Save the document from the documents panel to your device (right-click the image and choose "Save image as"), then upload it. PNG, JPEG or PDF, up to 5MB.',
+        accept: 'image/png,image/jpeg,application/pdf',
+        maxSizeMb: 5,
+        errorMessage: 'Upload your proof of residence',
+      }],
+    }),
+    application_review: page => ({
+      ...page,
+      sections: page.sections.map(sec => (sec.fields.some(f => f.name === 'residence_document')
+        ? { ...sec, fields: [...sec.fields, { name: 'residence_document_file', label: 'Uploaded file' }] }
+        : sec)),
+    }),
+  },
+});
 
 // Export for use by the engine
 window.PROCEDURE_CONFIGS = {
   default: GREENZONE_PROCEDURE,
   greenzone: GREENZONE_PROCEDURE,
   short: GREENZONE_SHORT,
+  upload: GREENZONE_UPLOAD,
   // Add more conditions as needed
 };
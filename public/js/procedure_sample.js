@@ -25,6 +25,18 @@ const SAMPLE_PROCEDURE = {
   // Prolific completion URL (set this when deploying)
   prolificCompletionUrl: 'https://app.prolific.com/submissions/complete?cc=XXXXXXX',
 
+  // Multi-session version: a "Save and come back later" link on every form, upload and review page
+  saveForLater: true,
+
+  // Extra sludge (friction.js): a processing wait after some sections, identity checks further on
+  // and a CAPTCHA before submitting
+  friction: [
+    { type: 'delay', pages: ['personal_details', 'address', 'income'], minMs: 2000, maxMs: 5000 },
+    { type: 'reentry', id: 'confirm_identity', pages: ['savings'], fields: ['national_id', 'dob'] },
+    { type: 'session_expired', pages: ['household'], afterMs: 60000, signInFields: ['email'] },
+    { type: 'captcha', pages: ['review'] },
+  ],
+
   pages: [
     // ============================================================
     // INTRODUCTION
@@ -319,9 +331,11 @@ const SAMPLE_PROCEDURE = {
         {
           name: 'service_charge_amount',
           type: 'number',
-          label: 'If yes, how much are the service charges?',
+          label: 'How much are the service charges?',
           hint: 'Enter the amount per payment period. If you don\'t know the exact amount, provide your best estimate.',
-          required: false,
+          showIf: "service_charges == 'yes'",
+          required: true,
+          errorMessage: 'Enter the service charge amount',
           widthClass: 'gov-input--width-10',
         },
       ],
@@ -533,6 +547,39 @@ const SAMPLE_PROCEDURE = {
           ],
           errorMessage: 'Select whether non-dependent adults live with you',
         },
+        {
+          name: 'non_dependant_details',
+          type: 'repeat',
+          label: 'Tell us about each non-dependent adult',
+          itemLabel: 'Adult',
+          min: 1,
+          max: 6,
+          showIf: "non_dependants == 'yes'",
+          fields: [
+            {
+              name: 'full_name',
+              type: 'text',
+              label: 'Full name',
+              required: true,
+              errorMessage: 'Enter their full name',
+            },
+            {
+              name: 'relationship',
+              type: 'select',
+              label: 'Relationship to you',
+              required: true,
+              options: ['Adult child', 'Parent', 'Other relative', 'Friend', 'Lodger'],
+              errorMessage: 'Select their relationship to you',
+            },
+            {
+              name: 'weekly_contribution',
+              type: 'number',
+              label: 'How much do they pay towards the household each week?',
+              hint: 'Enter the amount in dollars. Leave blank if they pay nothing.',
+              widthClass: 'gov-input--width-5',
+            },
+          ],
+        },
       ],
       allowBack: true,
       buttonText: 'Continue',
@@ -607,7 +654,7 @@ const SAMPLE_PROCEDURE = {
         },
         {
           title: 'Household',
-          fields: ['household_size', 'has_partner', 'dependent_children'],
+          fields: ['household_size', 'has_partner', 'dependent_children', 'non_dependants', 'non_dependant_details'],
         },
       ],
       declaration: 'By submitting this application, I declare that the information I have given is correct and complete to the best of my knowledge and belief. I understand that I must report any changes in my circumstances and that providing false information may result in prosecution.',
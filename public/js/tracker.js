@@ -4,32 +4,77 @@
  * Tracks:
  * - Session metadata (Prolific IDs, condition, timestamps)
  * - Per-page timing (enter/exit, duration)
- * - Document panel interactions (which docs opened, duration each)
+ * - Document interactions (accordion panel + slide-out drawer: duration, zoom levels, pan position)
  * - Validation errors (per field, per page, totals)
- * - Form responses
- * - UI events (clicks, scrolls, tab visibility)
+ * - Form responses, plus each field's revision history (every committed change with time, page and visit number)
+ * - Per-field interactions (focus time/visits, keystrokes, edits, deletions, pastes, autofill, time to first input)
+ * - UI events (throttled clicks with target + page-relative coordinates, max scroll depth per page, tab visibility)
+ * - Engagement: idle detection (no input/mouse/scroll for idleThresholdMs, or window blurred) → per-page
+ *   idle and engaged time, separate from hidden-tab time
+ * - Friction modules (friction.js): every step run is timed separately (with its attempts) and
+ *   attached to the page it ran on (pageTimings[].friction, frictionMs)
  * - Aggregate metrics (total time, total errors, total doc time)
  *
+ * Event format:
+ * - Every event is stamped with the shared schema version (event_schema.js, loaded first)
+ *   and a per-session sequence number (seq) the server uses to drop duplicates
+ * - Event types and required fields are defined there; the server routes and validates with the same schema
+ *
+ * Timing:
+ * - Durations are measured with performance.now() (monotonic), so they are unaffected by
+ *   system clock changes; wall-clock Date.now() is only used for timestamps
+ * - Session duration is the sum of elapsed time across page loads — time away between a
+ *   refresh/close and the resume is not counted
+ * - The server timestamps every call and reconstructs page dwell times independently
+ *
+ * Delivery:
+ * - Events wait in an outbox mirrored to localStorage until the server acknowledges them,
+ *   so a closed tab or crashed browser resends them on the next visit
+ * - Failed flushes and failed progress/snapshot/complete calls are retried with exponential backoff
+ * - On pagehide / tab hidden, everything pending is sent with navigator.sendBeacon
+ *
  * Session persistence:
  * - Resumes existing sessions on page refresh (via Prolific PID or cookie)
- * - Saves progress (page index + form data) on every page transition
+ * - Keeps the design cell assigned by the server (factor levels in this.factors);
+ *   URL parameters FACTOR_<name>=<level> force a level, CONDITION forces the estimation factor
+ *   and PROCEDURE the procedure variant; the assigned variant is restored on resume
+ * - Saves progress (page index, form data, Back history) on every page transition, plus debounced
+ *   autosaves of the current page's input (saveProgress with autosave: true)
+ * - Records every refresh/resume (session_resume event: resume count and the page it happened on)
+ * - "Save and come back later": saveForLater() gets a resume code from the server and ends the
+ *   current sitting; the session can then be resumed from any device with RESUME_CODE=<code>.
+ *   Sittings are timestamped, so application time is reported within sittings and across breaks
  * - Prevents duplicate participation
+ * - Reports a full study (recruitment quota reached) instead of creating a session
  */
 class SludgeTracker {
   constructor(options = {}) {
     this.apiBase = options.apiBase || '';
     this.flushInterval = options.flushInterval || 10000;
+    this.clickThrottleMs = options.clickThrottleMs || 250;  // min gap between recorded click events
+    this.containerId = options.containerId || 'page-container';  // click coordinates are relative to this
+    this.idleThresholdMs = options.idleThresholdMs || 60000;  // inactivity before a visible page counts as idle
     this.sessionId = null;
-    this.eventBuffer = [];
+    this.condition = null;
+    this.factors = {};              // design cell levels assigned by the server: { factorName: level }
+    this.procedure = null;          // procedure variant assigned by the server (key of PROCEDURE_CONFIGS)
+    this.eventBuffer = [];          // outbox: events not yet acknowledged by the server
     this.flushTimer = null;
 
+    // ── Delivery (outbox persistence + retry) ──
+    this._seq = 0;                  // last sequence number assigned in this session
+    this._pendingRequests = {};     // API path -> body of a progress/snapshot/complete call that failed
+    this._flushPromise = null;      // in-flight flush, shared by concurrent callers
+    this._retryDelayMs = 0;         // current backoff (0 = no failure outstanding)
+    this._retryAt = 0;              // no automatic flush before this time
+
     // ── Per-page timing ──
     this.pageTimings = [];          // {pageId, pageIndex, enterTime, exitTime, durationMs}
-    this.currentPageEntry = null;   // {pageId, pageIndex, enterTime}
+    this.currentPageEntry = null;   // {pageId, pageIndex, enterTime, enterMono}
 
     // ── Document interactions ──
     this.docInteractions = [];      // {docId, pageId, openTime, closeTime, durationMs}
-    this.openDocs = {};             // docId -> {openTime, pageId}
+    this.openDocs = {};             // source:docId -> {openTime, openMono, pageId, ...}
 
     // ── Validation errors ──
     this.validationErrors = [];     // {pageId, fieldName, errorMessage, timestamp}
@@ -39,15 +84,51 @@ class SludgeTracker {
 
     // ── Form data ──
     this.formResponses = {};        // pageId -> {field: value, ...}
+    this.valueHistory = {};         // fieldName -> [{value, at, pageId, visit}] — each committed change, in order
+
+    // ── Review page "Change" links ──
+    this.reviewChanges = [];        // {reviewPageId, fieldName, targetPageId, openedAt, outcome, amendedFields, durationMs}
+    this._openReviewChange = null;  // change in progress: {..., openMono}
+
+    // ── Refresh / resume ──
+    this.resumes = [];              // {at, pageId, pageIndex} — one per page load that resumed the session
+    this.sittings = [];             // {number, startedAt, resumedWith, endedAt, endedBy} — a sitting ends with "Save and come back later"
+
+    // ── Friction modules ──
+    this._currentPageFriction = []; // runs on the current page: {id, type, trigger, pageId, startedAt, durationMs, attempts, ...}
+    this._openFriction = null;      // step on screen: {id, type, trigger, pageId, startedAt, startMono}
+
+    // ── Field interactions ──
+    this.fieldInteractions = {};    // fieldName -> {pageId, focusCount, focusMs, keystrokes, edits, deletions, pastes, autofills, firstInputMs, hidden, visibilityChanges, upload*}
+    this._focusedField = null;      // {fieldName, pageId, since, keystrokes, edits, deletions}
 
     // ── Session timing ──
-    this.sessionStartTime = null;
+    this.sessionStartTime = null;       // wall-clock, for the record
     this.sessionEndTime = null;
+    this._elapsedBeforeLoadMs = 0;      // session time accumulated in earlier page loads (restored on resume)
+    this._loadMono = this._mono();      // monotonic mark for the current page load
 
     // ── Tab visibility / active time ──
-    this._hiddenSince = null;         // timestamp when tab became hidden (null if visible)
+    this._hiddenSince = null;         // monotonic time when tab became hidden (null if visible)
     this._currentPageHiddenMs = 0;    // accumulated hidden time for current page
     this._setupVisibilityTracking();
+
+    // ── Idle detection / engaged time ──
+    this._idle = false;               // no activity for idleThresholdMs
+    this._windowBlurred = typeof document.hasFocus === 'function' ? !document.hasFocus() : false;
+    this._lastActivityMono = this._mono();
+    this._idleTimer = null;
+    this._idleSince = null;           // monotonic time the current visible-but-idle period began
+    this._currentPageIdleMs = 0;      // accumulated idle time for current page
+    this._setupIdleTracking();
+
+    // ── Clicks & scroll depth (per page) ──
+    this._currentPageClicks = 0;
+    this._currentPageMaxScrollPct = 0;
+    this._lastClickEventTime = 0;
+    this._setupClickTracking();
+    this._setupScrollTracking();
+    this._setupUnloadDelivery();
   }
 
   // ============================================================
@@ -58,17 +139,23 @@ class SludgeTracker {
     const urlParams = new URLSearchParams(window.location.search);
     const prolificPid = urlParams.get('PROLIFIC_PID') || null;
     const cookieSid = this._getCookie('sludge_session_id');
+    const resumeCode = urlParams.get('RESUME_CODE') || null;
 
-    // 1. Try to resume an existing session
+    // 1. Try to resume an existing session (a resume code wins: it may come from another device)
     try {
       const resumeParams = [];
-      if (prolificPid) resumeParams.push(`pid=${encodeURIComponent(prolificPid)}`);
-      else if (cookieSid) resumeParams.push(`sid=${encodeURIComponent(cookieSid)}`);
+      let resumedWith = null;
+      if (resumeCode) { resumeParams.push(`code=${encodeURIComponent(resumeCode)}`); resumedWith = 'code'; }
+      else if (prolificPid) { resumeParams.push(`pid=${encodeURIComponent(prolificPid)}`); resumedWith = 'pid'; }
+      else if (cookieSid) { resumeParams.push(`sid=${encodeURIComponent(cookieSid)}`); resumedWith = 'cookie'; }
 
       if (resumeParams.length > 0) {
         const resumeResp = await fetch(`${this.apiBase}/api/session/resume?${resumeParams.join('&')}`);
         const resumeData = await resumeResp.json();
 
+        // A mistyped or unknown code must not silently start a new application
+        if (resumeCode && !resumeData.found) return { invalid_resume_code: true };
+
         if (resumeData.found) {
           if (resumeData.is_complete) {
             // Already completed — signal to caller
@@ -77,19 +164,32 @@ class SludgeTracker {
           // Resume existing session
           this.sessionId = resumeData.session_id;
           this.condition = resumeData.condition || null;
+          this.factors = resumeData.factors || {};
+          this.procedure = resumeData.procedure || null;
           this.sessionStartTime = Date.now();
+          this._loadMono = this._mono();
           // Restore tracker state (pageTimings, docInteractions, errors) if available
           if (resumeData.trackerState) {
             this._restoreTrackerState(resumeData.trackerState);
           }
           this._setCookie('sludge_session_id', this.sessionId, 7);
+          this._loadOutbox();
+          // Storage may hold no outbox for this session (private mode, cleared, another device):
+          // carry on from the server's last sequence number so new events aren't taken for duplicates
+          this._seq = Math.max(this._seq, resumeData.lastSeq || 0);
+          this._recordResume(resumeData.currentPageId || null, resumeData.currentPageIndex || 0, resumedWith);
           this._startFlushing();
           return {
             sessionId: this.sessionId,
             condition: this.condition,
+            factors: this.factors,
+            procedure: this.procedure,
             resumeState: {
               currentPageIndex: resumeData.currentPageIndex || 0,
               formData: resumeData.formData || {},
+              pageHistory: resumeData.pageHistory || [],
+              reviewChange: resumeData.reviewChange || null,
+              pageDraft: resumeData.pageDraft || null,
             },
           };
         }
@@ -107,40 +207,74 @@ class SludgeTracker {
           prolificPid: prolificPid || 'unknown',
           studyId: urlParams.get('STUDY_ID') || 'unknown',
           sessionId: urlParams.get('SESSION_ID') || this._uuid(),
-          procedureId: urlParams.get('PROCEDURE') || 'default',
+          procedureId: urlParams.get('PROCEDURE') || null,
           condition: urlParams.get('CONDITION') || 'default',
+          factors: this._getFactorParams(urlParams),
           userAgent: navigator.userAgent,
           screenWidth: window.screen.width,
           screenHeight: window.screen.height,
           windowWidth: window.innerWidth,
           windowHeight: window.innerHeight,
+          platform: (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || null,
         }),
       });
       const data = await resp.json();
+      if (data.study_full) {
+        // Recruitment quota reached — no session was created
+        return { study_full: true, redirectUrl: data.redirect_url || null, completionCode: data.completion_code || null };
+      }
       this.sessionId = data.session_id;
       this.condition = data.condition || null;
+      this.factors = data.factors || {};
+      this.procedure = data.procedure || null;
       this.sessionStartTime = Date.now();
+      this._loadMono = this._mono();
       this._setCookie('sludge_session_id', this.sessionId, 7);
+      this._loadOutbox();
+      this.sittings.push({ number: 1, startedAt: this.sessionStartTime, resumedWith: null, endedAt: null, endedBy: null });
       this._startFlushing();
-      return { sessionId: this.sessionId, condition: this.condition };
+      return { sessionId: this.sessionId, condition: this.condition, factors: this.factors, procedure: this.procedure };
     } catch (e) {
       console.error('Tracker init failed:', e);
       return null;
     }
   }
 
+  // FACTOR_<name>=<level> URL parameters → { name: level } (the server ignores unknown factors/levels)
+  _getFactorParams(urlParams) {
+    const factors = {};
+    urlParams.forEach((value, key) => {
+      if (key.startsWith('FACTOR_')) factors[key.slice('FACTOR_'.length)] = value;
+    });
+    return factors;
+  }
+
   // ============================================================
   // PROGRESS PERSISTENCE
   // ============================================================
 
   _getTrackerState() {
+    // A "Change" link still open: keep the time spent so far (monotonic marks don't survive a reload)
+    let openReviewChange = null;
+    if (this._openReviewChange) {
+      const { openMono, ...open } = this._openReviewChange;
+      openReviewChange = { ...open, elapsedMs: Math.round(this._mono() - openMono) };
+    }
     return {
       pageTimings: this.pageTimings,
       docInteractions: this.docInteractions,
       errorCountsByPage: this.errorCountsByPage,
       errorCountsByField: this.errorCountsByField,
       totalErrors: this.totalErrors,
+      fieldInteractions: this.fieldInteractions,
+      reviewChanges: this.reviewChanges,
+      openReviewChange,
+      valueHistory: this.valueHistory,
+      resumes: this.resumes,
+      sittings: this.sittings,
+      currentPageFriction: this._currentPageFriction,
       sessionStartTime: this.sessionStartTime,
+      sessionElapsedMs: this._sessionElapsedMs(),
     };
   }
 
@@ -151,28 +285,142 @@ class SludgeTracker {
     this.errorCountsByPage = state.errorCountsByPage || {};
     this.errorCountsByField = state.errorCountsByField || {};
     this.totalErrors = state.totalErrors || 0;
+    this.fieldInteractions = state.fieldInteractions || {};
+    this.reviewChanges = state.reviewChanges || [];
+    if (state.openReviewChange) {
+      const { elapsedMs, ...open } = state.openReviewChange;
+      this._openReviewChange = { ...open, openMono: this._mono() - (elapsedMs || 0) };
+    }
+    this.valueHistory = state.valueHistory || {};
+    this.resumes = state.resumes || [];
+    this.sittings = state.sittings || [];
+    // Steps already run on the page the participant is resuming on (attached to it when they leave)
+    this._currentPageFriction = state.currentPageFriction || [];
     if (state.sessionStartTime) {
       this.sessionStartTime = state.sessionStartTime;
     }
+    if (state.sessionElapsedMs != null) {
+      this._elapsedBeforeLoadMs = state.sessionElapsedMs;
+    } else if (state.sessionStartTime) {
+      // Saved before elapsed time was tracked — fall back to wall-clock time since start
+      this._elapsedBeforeLoadMs = Date.now() - state.sessionStartTime;
+    }
+  }
+
+  // Monotonic clock for durations (immune to system clock changes)
+  _mono() {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+  }
+
+  // Session time so far: earlier page loads + this one, excluding time away in between
+  _sessionElapsedMs() {
+    return Math.round(this._elapsedBeforeLoadMs + (this._mono() - this._loadMono));
   }
 
-  async saveProgress(currentPageIndex, formData, currentPageId) {
+  /**
+   * Save the participant's place. navigation: { pageHistory, reviewChange } from the engine, plus
+   * { pageDraft, autosave: true } for an autosave of the current page's input, or { pageDraft,
+   * resumed: true } for the save made when a page load picks the session up again. An autosave
+   * carries only the draft and the navigation (no formData or tracker state) and is not queued
+   * when it fails (it would replace a queued transition); the next autosave or transition supersedes it.
+   */
+  async saveProgress(currentPageIndex, formData, currentPageId, navigation = {}) {
     if (!this.sessionId) return;
+    const position = {
+      session_id: this.sessionId,
+      currentPageIndex,
+      currentPageId: currentPageId || null,
+      pageHistory: navigation.pageHistory || [],
+      reviewChange: navigation.reviewChange || null,
+      pageDraft: navigation.pageDraft || null,
+    };
+    if (navigation.autosave) {
+      const draft = { ...position, autosave: true, clientSentAt: Date.now(), clientElapsedMs: this._sessionElapsedMs() };
+      try { await this._post('/api/session/progress', draft); } catch (e) { console.warn('Autosave failed:', e); }
+      return;
+    }
+    const body = {
+      ...position,
+      formData,
+      resumed: !!navigation.resumed,
+      trackerState: this._getTrackerState(),
+      // Page just left — lets the server attribute the time since the previous call to it
+      exitedPageId: !navigation.resumed && this.pageTimings.length ? this.pageTimings[this.pageTimings.length - 1].pageId : null,
+      clientSentAt: Date.now(),
+      clientElapsedMs: this._sessionElapsedMs(),
+    };
+    const sent = await this._postOrQueue('/api/session/progress', body);
+    if (!sent) console.warn('Failed to save progress — queued for retry');
+  }
+
+  // A page load that picked up an existing session (refresh, or coming back to the link).
+  // resumedWith: 'code' | 'pid' | 'cookie'. After "Save and come back later" it starts a new sitting
+  _recordResume(pageId, pageIndex, resumedWith) {
+    const now = Date.now();
+    // Sessions saved before sittings were tracked: the first sitting began with the session
+    if (this.sittings.length === 0) {
+      this.sittings.push({ number: 1, startedAt: this.sessionStartTime || now, resumedWith: null, endedAt: null, endedBy: null });
+    }
+    const last = this.sittings[this.sittings.length - 1];
+    const newSitting = !!last.endedAt;
+    if (newSitting) {
+      this.sittings.push({ number: last.number + 1, startedAt: now, resumedWith, endedAt: null, endedBy: null });
+    }
+    this.resumes.push({ at: now, pageId, pageIndex, resumedWith, sitting: this._sittingNumber() });
+    this._pushEvent('session_resume', {
+      pageId: pageId || '', pageIndex, resumeCount: this.resumes.length,
+      resumedWith, sitting: this._sittingNumber(), newSitting,
+      breakMs: newSitting ? now - last.endedAt : null,
+    });
+  }
+
+  _sittingNumber() {
+    return this.sittings.length > 0 ? this.sittings[this.sittings.length - 1].number : 1;
+  }
+
+  /**
+   * "Save and come back later": ask the server for a resume code, then end the sitting (the current
+   * page is exited, so the break is not counted as time on it) and save progress. Returns the code,
+   * or null if none could be issued — the participant then stays on the page and nothing is ended.
+   */
+  async saveForLater(currentPageIndex, formData, currentPageId, navigation = {}) {
+    if (!this.sessionId) return null;
+    let resumeCode;
     try {
-      await fetch(`${this.apiBase}/api/session/progress`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          session_id: this.sessionId,
-          currentPageIndex,
-          currentPageId: currentPageId || null,
-          formData,
-          trackerState: this._getTrackerState(),
-        }),
-      });
+      const resp = await this._post('/api/session/save-for-later', { session_id: this.sessionId, currentPageId: currentPageId || null });
+      resumeCode = (await resp.json()).resume_code;
     } catch (e) {
-      console.warn('Failed to save progress:', e);
+      console.warn('Save for later failed:', e);
+      return null;
+    }
+    if (!resumeCode) return null;
+
+    this.exitPage();
+    const sitting = this.sittings[this.sittings.length - 1];
+    if (sitting && !sitting.endedAt) {
+      sitting.endedAt = Date.now();
+      sitting.endedBy = 'save_for_later';
     }
+    this._pushEvent('save_for_later', { pageId: currentPageId || '', sitting: this._sittingNumber() });
+    await this.saveProgress(currentPageIndex, formData, currentPageId, navigation);
+    await this._flush(true);
+    return resumeCode;
+  }
+
+  /**
+   * Sittings with the application time spent in each (application pages only, as applicationDurationMs),
+   * and applicationElapsedMs: wall-clock time from entering the first application page to leaving the
+   * last one, breaks included
+   */
+  _sittingSummary(appTimings) {
+    const sittings = this.sittings.map(sitting => ({
+      ...sitting,
+      applicationMs: appTimings.filter(t => (t.sitting || 1) === sitting.number).reduce((sum, t) => sum + t.durationMs, 0),
+    }));
+    const applicationElapsedMs = appTimings.length > 0
+      ? Math.max(...appTimings.map(t => t.exitTime)) - Math.min(...appTimings.map(t => t.enterTime))
+      : 0;
+    return { sittings, applicationElapsedMs };
   }
 
   /**
@@ -183,19 +431,16 @@ class SludgeTracker {
   async sendSnapshot() {
     if (!this.sessionId) return;
 
-    // Close the current page entry so its timing is included
-    const currentEntry = this.currentPageEntry;
-    if (currentEntry && !currentEntry.exitTime) {
-      currentEntry.exitTime = Date.now();
-      currentEntry.durationMs = currentEntry.exitTime - currentEntry.entryTime;
-    }
-
-    const totalDurationMs = Date.now() - this.sessionStartTime;
+    const totalDurationMs = this._sessionElapsedMs();
 
-    // Aggregate page timings (same logic as completeSession)
-    const pageSummary = this.pageTimings.map(t => ({
-      pageId: t.pageId, entryTime: t.entryTime, exitTime: t.exitTime || Date.now(), durationMs: t.durationMs || (Date.now() - t.entryTime),
-    }));
+    // Aggregate page timings (same logic as completeSession), including time so far on the current page
+    const pageSummary = this.pageTimings.map(t => ({ pageId: t.pageId, durationMs: t.durationMs }));
+    if (this.currentPageEntry) {
+      pageSummary.push({
+        pageId: this.currentPageEntry.pageId,
+        durationMs: Math.round(this._mono() - this.currentPageEntry.enterMono),
+      });
+    }
 
     const nonAppPages = ['consent', 'instructions', 'confirm_instructions',
       'application_submitted', 'demographics', 'attention_check',
@@ -203,34 +448,35 @@ class SludgeTracker {
     const applicationDurationMs = pageSummary
       .filter(t => !nonAppPages.includes(t.pageId))
       .reduce((sum, t) => sum + t.durationMs, 0);
+    // Active/engaged splits come from finished pages (the current page is never an application page here)
+    const appTimings = this.pageTimings.filter(t => !nonAppPages.includes(t.pageId));
+    const { sittings, applicationElapsedMs } = this._sittingSummary(appTimings);
 
-    try {
-      await fetch(`${this.apiBase}/api/session/snapshot`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          session_id: this.sessionId,
-          totalDurationMs,
-          applicationDurationMs,
-          totalDocTimeMs: this.docInteractions.reduce((s, d) => s + d.durationMs, 0),
-          totalDocOpens: this.docInteractions.length,
-          totalErrors: this.totalErrors,
-          errorCountsByPage: this.errorCountsByPage,
-          errorCountsByField: this.errorCountsByField,
-          pageTimings: this.pageTimings,
-          docInteractions: this.docInteractions,
-          formResponses: this.formResponses,
-        }),
-      });
-    } catch (e) {
-      console.warn('Failed to send snapshot:', e);
-    }
-
-    // Re-open the current page entry so tracking continues
-    if (currentEntry && currentEntry.exitTime) {
-      currentEntry.exitTime = null;
-      currentEntry.durationMs = 0;
-    }
+    const sent = await this._postOrQueue('/api/session/snapshot', {
+      session_id: this.sessionId,
+      totalDurationMs,
+      applicationDurationMs,
+      activeApplicationDurationMs: appTimings.reduce((sum, t) => sum + (t.activeTimeMs ?? t.durationMs), 0),
+      engagedApplicationDurationMs: appTimings.reduce((sum, t) => sum + (t.engagedTimeMs ?? t.activeTimeMs ?? t.durationMs), 0),
+      totalHiddenMs: this.pageTimings.reduce((sum, t) => sum + (t.hiddenTimeMs || 0), 0),
+      idleMs: this.pageTimings.reduce((sum, t) => sum + (t.idleMs || 0), 0),
+      clientSentAt: Date.now(),
+      totalDocTimeMs: this.docInteractions.reduce((s, d) => s + d.durationMs, 0),
+      totalDocOpens: this.docInteractions.length,
+      totalErrors: this.totalErrors,
+      errorCountsByPage: this.errorCountsByPage,
+      errorCountsByField: this.errorCountsByField,
+      pageTimings: this.pageTimings,
+      docInteractions: this.docInteractions,
+      fieldInteractions: this.fieldInteractions,
+      formResponses: this.formResponses,
+      reviewChanges: this.reviewChanges,
+      valueHistory: this.valueHistory,
+      resumes: this.resumes,
+      sittings,
+      applicationElapsedMs,
+    });
+    if (!sent) console.warn('Failed to send snapshot — queued for retry');
   }
 
   // ============================================================
@@ -260,11 +506,16 @@ class SludgeTracker {
       this.exitPage();
     }
     this._currentPageHiddenMs = 0;
-    this._hiddenSince = document.hidden ? Date.now() : null;
+    this._hiddenSince = document.hidden ? this._mono() : null;
+    this._currentPageIdleMs = 0;
+    if (this._idleSince != null) this._idleSince = this._mono();
+    this._currentPageClicks = 0;
+    this._currentPageMaxScrollPct = 0;
     this.currentPageEntry = {
       pageId,
       pageIndex,
       enterTime: Date.now(),
+      enterMono: this._mono(),
     };
     this._pushEvent('page_enter', { pageId, pageIndex });
   }
@@ -272,13 +523,23 @@ class SludgeTracker {
   exitPage() {
     if (!this.currentPageEntry) return;
     const exitTime = Date.now();
+    const exitMono = this._mono();
     // If tab is currently hidden, flush the pending hidden time
-    if (this._hiddenSince) {
-      this._currentPageHiddenMs += (exitTime - this._hiddenSince);
+    if (this._hiddenSince != null) {
+      this._currentPageHiddenMs += Math.round(exitMono - this._hiddenSince);
       this._hiddenSince = null;
     }
-    const durationMs = exitTime - this.currentPageEntry.enterTime;
+    // Same for an ongoing idle period (it carries on into the next page)
+    if (this._idleSince != null) {
+      this._currentPageIdleMs += Math.round(exitMono - this._idleSince);
+      this._idleSince = exitMono;
+    }
+    this._blurFocusedField();
+    // The exiting page is still rendered here, so this catches pages that fit the viewport
+    this._updateScrollDepth();
+    const durationMs = Math.round(exitMono - this.currentPageEntry.enterMono);
     const activeTimeMs = Math.max(0, durationMs - this._currentPageHiddenMs);
+    const engagedTimeMs = Math.max(0, activeTimeMs - this._currentPageIdleMs);
     const timing = {
       pageId: this.currentPageEntry.pageId,
       pageIndex: this.currentPageEntry.pageIndex,
@@ -287,7 +548,17 @@ class SludgeTracker {
       durationMs,
       activeTimeMs,
       hiddenTimeMs: this._currentPageHiddenMs,
+      idleMs: this._currentPageIdleMs,
+      engagedTimeMs,
+      clickCount: this._currentPageClicks,
+      maxScrollDepthPct: this._currentPageMaxScrollPct,
+      sitting: this._sittingNumber(),
     };
+    if (this._currentPageFriction.length > 0) {
+      timing.friction = this._currentPageFriction;
+      timing.frictionMs = this._currentPageFriction.reduce((sum, f) => sum + f.durationMs, 0);
+      this._currentPageFriction = [];
+    }
     this.pageTimings.push(timing);
     this._pushEvent('page_exit', {
       pageId: timing.pageId,
@@ -295,44 +566,318 @@ class SludgeTracker {
       durationMs: timing.durationMs,
       activeTimeMs: timing.activeTimeMs,
       hiddenTimeMs: timing.hiddenTimeMs,
+      idleMs: timing.idleMs,
+      engagedTimeMs: timing.engagedTimeMs,
+      clickCount: timing.clickCount,
+      maxScrollDepthPct: timing.maxScrollDepthPct,
     });
     this._closeAllOpenDocs();
     this.currentPageEntry = null;
     this._currentPageHiddenMs = 0;
+    this._currentPageIdleMs = 0;
+  }
+
+  // ============================================================
+  // FRICTION MODULES
+  // ============================================================
+  // Each step a friction module adds is timed on its own and kept with the page it ran on, so the
+  // added burden can be told apart from the page's own time (durationMs includes both).
+
+  frictionStarted(pageId, module) {
+    this._openFriction = { id: module.id, type: module.type, trigger: module.on, pageId, startedAt: Date.now(), startMono: this._mono() };
+    this._pushEvent('friction', { pageId, module: module.id, frictionType: module.type, action: 'start', trigger: module.on });
+  }
+
+  // The step on screen ended. details: what the engine reports for it ({ attempts, delayMs, ... })
+  frictionEnded(details = {}) {
+    const open = this._openFriction;
+    if (!open) return;
+    const { startMono, ...run } = open;
+    const entry = { ...run, durationMs: Math.round(this._mono() - startMono), attempts: 0, ...details };
+    this._currentPageFriction.push(entry);
+    this._openFriction = null;
+    this._pushEvent('friction', {
+      pageId: entry.pageId, module: entry.id, frictionType: entry.type, action: 'end', trigger: entry.trigger,
+      durationMs: entry.durationMs, attempts: entry.attempts,
+    });
+  }
+
+  // "<id>:<pageId>" of every module run so far (the engine runs each `once` module a single time per page)
+  frictionRuns() {
+    return [...this.pageTimings.flatMap(t => t.friction || []), ...this._currentPageFriction].map(f => `${f.id}:${f.pageId}`);
   }
 
   // ============================================================
   // DOCUMENT TRACKING
   // ============================================================
 
-  documentOpened(docId) {
+  // Documents can be viewed in two places: the accordion panel ('accordion') and the
+  // slide-out drawer ('drawer'). Each source is tracked as its own interaction, so
+  // open entries are keyed by source + docId.
+  documentOpened(docId, source = 'accordion') {
     const pageId = this.currentPageEntry?.pageId || 'unknown';
-    this.openDocs[docId] = { openTime: Date.now(), pageId };
-    this._pushEvent('doc_open', { docId, pageId });
+    const openTime = Date.now();
+    const openMono = this._mono();
+    const entry = { docId, source, openTime, openMono, pageId };
+    if (source === 'drawer') {
+      entry.zoomLevel = 1;
+      entry.zoomSince = openMono;
+      entry.zoomTimeMs = {};        // zoom % -> ms spent at that level
+      entry.zoomChanges = 0;
+      entry.maxZoomLevel = 1;
+      entry.panEvents = 0;
+      entry.maxScrollTopPct = 0;
+      entry.maxScrollLeftPct = 0;
+    }
+    this.openDocs[`${source}:${docId}`] = entry;
+    this._pushEvent('doc_open', { docId, pageId, source });
   }
 
-  documentClosed(docId) {
-    if (!this.openDocs[docId]) return;
+  documentClosed(docId, source = 'accordion') {
+    const key = `${source}:${docId}`;
+    if (!this.openDocs[key]) return;
     const closeTime = Date.now();
-    const entry = this.openDocs[docId];
+    const closeMono = this._mono();
+    const entry = this.openDocs[key];
     const interaction = {
       docId,
       pageId: entry.pageId,
+      source,
       openTime: entry.openTime,
       closeTime,
-      durationMs: closeTime - entry.openTime,
+      durationMs: Math.round(closeMono - entry.openMono),
     };
+    if (source === 'drawer') {
+      this._accumulateZoomTime(entry, closeMono);
+      interaction.zoomChanges = entry.zoomChanges;
+      interaction.zoomTimeMs = entry.zoomTimeMs;
+      interaction.maxZoomLevel = entry.maxZoomLevel;
+      interaction.panEvents = entry.panEvents;
+      interaction.maxScrollTopPct = entry.maxScrollTopPct;
+      interaction.maxScrollLeftPct = entry.maxScrollLeftPct;
+    }
     this.docInteractions.push(interaction);
     this._pushEvent('doc_close', {
       docId,
       pageId: entry.pageId,
+      source,
       durationMs: interaction.durationMs,
     });
-    delete this.openDocs[docId];
+    delete this.openDocs[key];
+  }
+
+  /**
+   * Record a zoom level change in the document drawer.
+   * method: 'button_in' | 'button_out' | 'reset' | 'wheel'
+   */
+  documentZoomed(docId, zoomLevel, method) {
+    const entry = this.openDocs[`drawer:${docId}`];
+    if (!entry) return;
+    const now = this._mono();
+    const previousZoomLevel = entry.zoomLevel;
+    if (zoomLevel === previousZoomLevel) return; // clamped at min/max — no actual change
+    this._accumulateZoomTime(entry, now);
+    entry.zoomLevel = zoomLevel;
+    entry.zoomSince = now;
+    entry.zoomChanges++;
+    entry.maxZoomLevel = Math.max(entry.maxZoomLevel, zoomLevel);
+    this._pushEvent('doc_zoom', { docId, pageId: entry.pageId, source: 'drawer', zoomLevel, previousZoomLevel, method });
+  }
+
+  /**
+   * Record the scroll/pan position within the document drawer.
+   * position: { scrollTopPct, scrollLeftPct } — 0–100, how far through the scrollable area
+   */
+  documentPanned(docId, position) {
+    const entry = this.openDocs[`drawer:${docId}`];
+    if (!entry) return;
+    entry.panEvents++;
+    entry.maxScrollTopPct = Math.max(entry.maxScrollTopPct, position.scrollTopPct);
+    entry.maxScrollLeftPct = Math.max(entry.maxScrollLeftPct, position.scrollLeftPct);
+    this._pushEvent('doc_pan', {
+      docId, pageId: entry.pageId, source: 'drawer',
+      zoomLevel: entry.zoomLevel,
+      scrollTopPct: position.scrollTopPct,
+      scrollLeftPct: position.scrollLeftPct,
+    });
+  }
+
+  _accumulateZoomTime(entry, now) {
+    const key = String(Math.round(entry.zoomLevel * 100));
+    entry.zoomTimeMs[key] = (entry.zoomTimeMs[key] || 0) + Math.round(now - entry.zoomSince);
+    entry.zoomSince = now;
   }
 
   _closeAllOpenDocs() {
-    Object.keys(this.openDocs).forEach(docId => this.documentClosed(docId));
+    Object.values(this.openDocs).forEach(entry => this.documentClosed(entry.docId, entry.source));
+  }
+
+  // ============================================================
+  // FIELD INTERACTIONS
+  // ============================================================
+  // Called by the engine's delegated listeners. Only counts are recorded — never values.
+
+  _fieldEntry(fieldName) {
+    if (!this.fieldInteractions[fieldName]) {
+      this.fieldInteractions[fieldName] = {
+        pageId: this.currentPageEntry?.pageId || 'unknown',
+        focusCount: 0, focusMs: 0,
+        keystrokes: 0, edits: 0, deletions: 0, pastes: 0, autofills: 0,
+        firstInputMs: null,           // ms from page entry to the first input on this field
+        hidden: false,                // showIf fields: currently hidden
+        visibilityChanges: 0,         // showIf fields: times shown/hidden while on the page
+        uploadAttempts: 0,            // file fields: files chosen (including refused ones)
+        uploadRejections: 0,          // file fields: files refused for their type or size
+        uploadMs: 0,                  // file fields: time spent sending the files that were stored
+        timeToUploadMs: null,         // file fields: ms from page entry to the first stored file
+      };
+    }
+    return this.fieldInteractions[fieldName];
+  }
+
+  fieldFocused(fieldName) {
+    if (this._focusedField && this._focusedField.fieldName === fieldName) return;
+    this._blurFocusedField();
+    const pageId = this.currentPageEntry?.pageId || 'unknown';
+    this._fieldEntry(fieldName).focusCount++;
+    this._focusedField = { fieldName, pageId, since: this._mono(), keystrokes: 0, edits: 0, deletions: 0 };
+    this._pushEvent('field_focus', { pageId, fieldName });
+  }
+
+  fieldBlurred(fieldName) {
+    if (!this._focusedField || this._focusedField.fieldName !== fieldName) return;
+    this._blurFocusedField();
+  }
+
+  _blurFocusedField() {
+    const focused = this._focusedField;
+    if (!focused) return;
+    const durationMs = Math.round(this._mono() - focused.since);
+    this._fieldEntry(focused.fieldName).focusMs += durationMs;
+    this._pushEvent('field_blur', {
+      pageId: focused.pageId,
+      fieldName: focused.fieldName,
+      durationMs,
+      keystrokes: focused.keystrokes,
+      edits: focused.edits,
+      deletions: focused.deletions,
+    });
+    this._focusedField = null;
+  }
+
+  fieldKeystroke(fieldName) {
+    this._fieldEntry(fieldName).keystrokes++;
+    if (this._focusedField && this._focusedField.fieldName === fieldName) this._focusedField.keystrokes++;
+  }
+
+  /**
+   * Record a value change. options: { deletion, autofill }
+   * - deletion: the edit removed content (inputType delete*)
+   * - autofill: the value was filled by the browser rather than typed
+   */
+  fieldInput(fieldName, options = {}) {
+    const entry = this._fieldEntry(fieldName);
+    const pageId = this.currentPageEntry?.pageId || 'unknown';
+    entry.edits++;
+    if (options.deletion) entry.deletions++;
+    if (this._focusedField && this._focusedField.fieldName === fieldName) {
+      this._focusedField.edits++;
+      if (options.deletion) this._focusedField.deletions++;
+    }
+    if (entry.firstInputMs === null && this.currentPageEntry) {
+      entry.firstInputMs = Math.round(this._mono() - this.currentPageEntry.enterMono);
+      this._pushEvent('field_first_input', { pageId, fieldName, msSincePageEnter: entry.firstInputMs });
+    }
+    if (options.autofill) {
+      entry.autofills++;
+      this._pushEvent('field_autofill', { pageId, fieldName });
+    }
+  }
+
+  /**
+   * A showIf field was shown or hidden. Hiding the focused field ends its focus interval,
+   * so time on a field only counts while it is visible. options: { initial } — state at page entry
+   */
+  fieldVisibilityChanged(fieldName, visible, options = {}) {
+    const pageId = this.currentPageEntry?.pageId || 'unknown';
+    if (!visible && this._focusedField && this._focusedField.fieldName === fieldName) this._blurFocusedField();
+    const entry = this._fieldEntry(fieldName);
+    entry.hidden = !visible;
+    if (!options.initial) entry.visibilityChanges++;
+    this._pushEvent('field_visibility', { pageId, fieldName, visible, initial: !!options.initial });
+  }
+
+  // An item was added to or removed from a repeating group ("add another"); count is the new number of items
+  repeatItemChanged(fieldName, action, index, count) {
+    this._pushEvent('repeat_change', { pageId: this.currentPageEntry?.pageId || 'unknown', fieldName, action, index, count });
+  }
+
+  /**
+   * Upload a file chosen in a `file` field (POST /api/upload). Resolves with the stored file's metadata
+   * ({ upload_id, file_name, mime_type, size_bytes, ... }); rejects with an Error whose `reason` is
+   * 'empty' / 'type' / 'size' when the server refuses the file, 'session_files' / 'session_size' when
+   * the session's upload limits are reached, or 'failed'. Every outcome is logged
+   * as a file_upload event. options: { inputName, onProgress }
+   * - inputName: rendered field name sent to the server, when it differs from the tracked name
+   *   (items of repeating groups)
+   * - onProgress(percent): called while the file is sent
+   */
+  uploadFile(fieldName, file, options = {}) {
+    const { inputName = fieldName, onProgress } = options;
+    const pageId = this.currentPageEntry?.pageId || 'unknown';
+    const entry = this._fieldEntry(fieldName);
+    const fileInfo = { sizeBytes: file.size, mimeType: file.type || '' };
+    const startMono = this._mono();
+    entry.uploadAttempts++;
+    this._pushEvent('file_upload', { pageId, fieldName, outcome: 'started', ...fileInfo });
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${this.apiBase}/api/upload?session_id=${encodeURIComponent(this.sessionId)}&field=${encodeURIComponent(inputName)}`);
+      // Sent as raw bytes: a JSON file must not be picked up by the server's JSON parser
+      xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+      xhr.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+      xhr.setRequestHeader('X-File-Type', file.type || '');
+      xhr.upload.onprogress = e => {
+        if (e.lengthComputable && onProgress) onProgress(Math.round((e.loaded / e.total) * 100));
+      };
+      const fail = (reason, message) => {
+        const durationMs = Math.round(this._mono() - startMono);
+        if (reason !== 'failed') entry.uploadRejections++;
+        this._pushEvent('file_upload', { pageId, fieldName, outcome: reason === 'failed' ? 'failed' : 'rejected', reason, source: 'server', durationMs, ...fileInfo });
+        reject(Object.assign(new Error(message || 'The selected file could not be uploaded – try again'), { reason }));
+      };
+      xhr.onload = () => {
+        let body = {};
+        try { body = JSON.parse(xhr.responseText); } catch (e) { /* not JSON: treated as a failure */ }
+        if (xhr.status !== 200 || !body.success) return fail(body.reason || 'failed', body.reason ? body.error : null);
+        const durationMs = Math.round(this._mono() - startMono);
+        entry.uploadMs += durationMs;
+        if (entry.timeToUploadMs === null && this.currentPageEntry) {
+          entry.timeToUploadMs = Math.round(this._mono() - this.currentPageEntry.enterMono);
+        }
+        this._pushEvent('file_upload', { pageId, fieldName, outcome: 'uploaded', uploadId: body.file.upload_id, durationMs, ...fileInfo });
+        resolve(body.file);
+      };
+      xhr.onerror = () => fail('failed');
+      xhr.send(file);
+    });
+  }
+
+  // A chosen file refused by the engine before sending it (reason: 'empty' | 'type' | 'size')
+  uploadRejected(fieldName, file, reason) {
+    const entry = this._fieldEntry(fieldName);
+    entry.uploadAttempts++;
+    entry.uploadRejections++;
+    this._pushEvent('file_upload', {
+      pageId: this.currentPageEntry?.pageId || 'unknown', fieldName, outcome: 'rejected', reason, source: 'client',
+      sizeBytes: file.size, mimeType: file.type || '',
+    });
+  }
+
+  fieldPasted(fieldName) {
+    this._fieldEntry(fieldName).pastes++;
+    this._pushEvent('field_paste', { pageId: this.currentPageEntry?.pageId || 'unknown', fieldName });
   }
 
   // ============================================================
@@ -357,6 +902,7 @@ class SludgeTracker {
       pageId,
       errorCount: errors.length,
       fields: errors.map(e => e.name),
+      messages: errors.map(e => e.message),
     });
   }
 
@@ -366,15 +912,72 @@ class SludgeTracker {
 
   recordFormResponses(pageId, data) {
     this.formResponses[pageId] = data;
+    this._recordValueHistory(pageId, data);
     this._pushEvent('form_responses', { pageId, data });
   }
 
-  recordSkip(fromPageId, toPageId, formData) {
+  // Append each answer that differs from its last committed value, so first answers survive
+  // later corrections. visit: 1 for the first visit to the page, 2 after going back to it, ...
+  _recordValueHistory(pageId, data) {
+    const visit = this.pageTimings.filter(t => t.pageId === pageId).length +
+      (this.currentPageEntry && this.currentPageEntry.pageId === pageId ? 1 : 0);
+    const at = Date.now();
+    Object.entries(data).forEach(([fieldName, value]) => {
+      const history = this.valueHistory[fieldName] || (this.valueHistory[fieldName] = []);
+      const last = history[history.length - 1];
+      if (last && JSON.stringify(last.value) === JSON.stringify(value)) return;
+      history.push({ value, at, pageId, visit });
+    });
+  }
+
+  // routing (optional): { matched, reason, routes: [{ index, when, goTo, result, error? }] } — every
+  // rule the engine evaluated on the way to its decision. Unmatched routing is logged as action 'route'.
+  recordSkip(fromPageId, toPageId, formData, routing) {
+    this._pushEvent('navigation', {
+      action: routing && !routing.matched ? 'route' : 'skip',
+      fromPageId,
+      toPageId,
+      reason: (routing && routing.reason) || formData._skip_reason || 'conditional_skip',
+      ...(routing ? { routes: routing.routes } : {}),
+    });
+  }
+
+  recordBack(fromPageId, toPageId) {
     this._pushEvent('navigation', {
-      action: 'skip',
+      action: 'back',
       fromPageId,
       toPageId,
-      reason: formData._skip_reason || 'conditional_skip',
+    });
+  }
+
+  // A review page "Change" link was followed to the page that asks fieldName
+  reviewChangeOpened(reviewPageId, fieldName, targetPageId) {
+    this._openReviewChange = { reviewPageId, fieldName, targetPageId, openedAt: Date.now(), openMono: this._mono() };
+    this._pushEvent('review_change', { pageId: reviewPageId, fieldName, targetPageId, action: 'open' });
+  }
+
+  /**
+   * The page opened from a "Change" link was left. outcome: 'returned' (Continue, back to the review),
+   * 'rerouted' (Continue led to a page not seen before the review) or 'cancelled' (Back to the review).
+   * amendedFields: answers on that page that differ from before the change
+   */
+  reviewChangeClosed(outcome, amendedFields) {
+    const open = this._openReviewChange;
+    if (!open) return;
+    const change = {
+      reviewPageId: open.reviewPageId,
+      fieldName: open.fieldName,
+      targetPageId: open.targetPageId,
+      openedAt: open.openedAt,
+      outcome,
+      amendedFields,
+      durationMs: Math.round(this._mono() - open.openMono),
+    };
+    this.reviewChanges.push(change);
+    this._openReviewChange = null;
+    this._pushEvent('review_change', {
+      pageId: change.reviewPageId, fieldName: change.fieldName, targetPageId: change.targetPageId,
+      action: outcome, amendedFields, durationMs: change.durationMs,
     });
   }
 
@@ -385,7 +988,7 @@ class SludgeTracker {
   async completeSession() {
     this.exitPage();
     this.sessionEndTime = Date.now();
-    const totalDurationMs = this.sessionEndTime - this.sessionStartTime;
+    const totalDurationMs = this._sessionElapsedMs();
 
     // Document aggregates
     const docSummary = {};
@@ -410,14 +1013,19 @@ class SludgeTracker {
       'feedback', 'debrief', 'completion'];
     const appTimings = this.pageTimings.filter(t => !nonAppPages.includes(t.pageId));
     const applicationDurationMs = appTimings.reduce((sum, t) => sum + t.durationMs, 0);
-    const activeApplicationDurationMs = appTimings.reduce((sum, t) => sum + (t.activeTimeMs || t.durationMs), 0);
+    const activeApplicationDurationMs = appTimings.reduce((sum, t) => sum + (t.activeTimeMs ?? t.durationMs), 0);
+    const engagedApplicationDurationMs = appTimings.reduce((sum, t) => sum + (t.engagedTimeMs ?? t.activeTimeMs ?? t.durationMs), 0);
     const totalHiddenMs = this.pageTimings.reduce((sum, t) => sum + (t.hiddenTimeMs || 0), 0);
+    const idleMs = this.pageTimings.reduce((sum, t) => sum + (t.idleMs || 0), 0);
+    const { sittings, applicationElapsedMs } = this._sittingSummary(appTimings);
 
     const summary = {
       totalDurationMs,
       applicationDurationMs,
       activeApplicationDurationMs,
+      engagedApplicationDurationMs,
       totalHiddenMs,
+      idleMs,
       totalErrors: this.totalErrors,
       errorsByPage: this.errorCountsByPage,
       errorsByField: this.errorCountsByField,
@@ -428,32 +1036,34 @@ class SludgeTracker {
     };
 
     this._pushEvent('session_complete', summary);
-    await this._flush();
+    await this._flush(true);
 
     // Send final summary — fields at top level for server compatibility
-    try {
-      await fetch(`${this.apiBase}/api/session/complete`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          session_id: this.sessionId,
-          totalDurationMs: summary.totalDurationMs,
-          applicationDurationMs: summary.applicationDurationMs,
-          activeApplicationDurationMs: summary.activeApplicationDurationMs,
-          totalHiddenMs: summary.totalHiddenMs,
-          totalDocTimeMs: summary.totalDocTimeMs,
-          totalDocOpens: summary.totalDocOpens,
-          totalErrors: summary.totalErrors,
-          errorCountsByPage: this.errorCountsByPage,
-          errorCountsByField: this.errorCountsByField,
-          pageTimings: this.pageTimings,
-          docInteractions: this.docInteractions,
-          formResponses: this.formResponses,
-        }),
-      });
-    } catch (e) {
-      console.error('Failed to send session summary:', e);
-    }
+    const sent = await this._postOrQueue('/api/session/complete', {
+      session_id: this.sessionId,
+      clientSentAt: Date.now(),
+      totalDurationMs: summary.totalDurationMs,
+      applicationDurationMs: summary.applicationDurationMs,
+      activeApplicationDurationMs: summary.activeApplicationDurationMs,
+      engagedApplicationDurationMs: summary.engagedApplicationDurationMs,
+      totalHiddenMs: summary.totalHiddenMs,
+      idleMs: summary.idleMs,
+      totalDocTimeMs: summary.totalDocTimeMs,
+      totalDocOpens: summary.totalDocOpens,
+      totalErrors: summary.totalErrors,
+      errorCountsByPage: this.errorCountsByPage,
+      errorCountsByField: this.errorCountsByField,
+      pageTimings: this.pageTimings,
+      docInteractions: this.docInteractions,
+      fieldInteractions: this.fieldInteractions,
+      formResponses: this.formResponses,
+      reviewChanges: this.reviewChanges,
+      valueHistory: this.valueHistory,
+      resumes: this.resumes,
+      sittings,
+      applicationElapsedMs,
+    });
+    if (!sent) console.error('Failed to send session summary — queued for retry');
 
     this._stopFlushing();
   }
@@ -464,14 +1074,14 @@ class SludgeTracker {
 
   _setupVisibilityTracking() {
     document.addEventListener('visibilitychange', () => {
-      const now = Date.now();
+      const now = this._mono();
       if (document.hidden) {
         // Tab just became hidden — start tracking hidden time
         this._hiddenSince = now;
       } else {
         // Tab just became visible — accumulate hidden duration
-        if (this._hiddenSince) {
-          this._currentPageHiddenMs += (now - this._hiddenSince);
+        if (this._hiddenSince != null) {
+          this._currentPageHiddenMs += Math.round(now - this._hiddenSince);
           this._hiddenSince = null;
         }
       }
@@ -479,6 +1089,143 @@ class SludgeTracker {
         hidden: document.hidden,
         pageId: this.currentPageEntry?.pageId || 'unknown',
       });
+      // Hidden time is not idle time; coming back to the tab counts as activity
+      if (document.hidden) this._updateEngagement('hidden');
+      else this._markActivity('visible');
+    });
+  }
+
+  // ============================================================
+  // IDLE DETECTION / ENGAGED TIME
+  // ============================================================
+  // Idle = the tab is visible but the participant is not engaging with it: no input, mouse
+  // or scroll activity for idleThresholdMs, or the window lost focus (another window or
+  // monitor). Idle starts once the threshold has passed, so short pauses to read still count
+  // as engaged. Per page: engagedTimeMs = durationMs - hiddenTimeMs - idleMs.
+
+  _setupIdleTracking() {
+    const onActivity = () => this._markActivity('activity');
+    ['mousemove', 'mousedown', 'keydown', 'input', 'wheel', 'touchstart'].forEach(type => {
+      document.addEventListener(type, onActivity, { capture: true, passive: true });
+    });
+    window.addEventListener('scroll', onActivity, { passive: true });
+    window.addEventListener('blur', () => {
+      this._windowBlurred = true;
+      this._updateEngagement('blur');
+    });
+    window.addEventListener('focus', () => {
+      this._windowBlurred = false;
+      this._markActivity('focus');
+    });
+    this._scheduleIdleCheck();
+  }
+
+  _markActivity(reason) {
+    this._lastActivityMono = this._mono();
+    if (this._idle) {
+      this._idle = false;
+      this._scheduleIdleCheck();
+    }
+    this._updateEngagement(reason);
+  }
+
+  // One timer per idle period: activity only moves _lastActivityMono, and the timer
+  // re-arms itself for the remaining time instead of being reset on every mousemove.
+  _scheduleIdleCheck() {
+    clearTimeout(this._idleTimer);
+    const remaining = this.idleThresholdMs - (this._mono() - this._lastActivityMono);
+    this._idleTimer = setTimeout(() => {
+      if (this._mono() - this._lastActivityMono >= this.idleThresholdMs) {
+        this._idle = true;
+        this._updateEngagement('idle');
+      } else {
+        this._scheduleIdleCheck();
+      }
+    }, Math.max(0, remaining));
+  }
+
+  _updateEngagement(reason) {
+    const idleNow = !document.hidden && (this._idle || this._windowBlurred);
+    if (idleNow === (this._idleSince != null)) return;
+    const now = this._mono();
+    if (idleNow) {
+      this._idleSince = now;
+    } else {
+      this._currentPageIdleMs += Math.round(now - this._idleSince);
+      this._idleSince = null;
+    }
+    if (this.currentPageEntry) {
+      this._pushEvent('idle_change', { pageId: this.currentPageEntry.pageId, idle: idleNow, reason });
+    }
+  }
+
+  // ============================================================
+  // CLICKS & SCROLL DEPTH
+  // ============================================================
+
+  _setupClickTracking() {
+    document.addEventListener('click', (e) => {
+      if (!this.currentPageEntry) return;
+      // Every click counts towards the page total; click events themselves are throttled
+      this._currentPageClicks++;
+      const now = Date.now();
+      if (now - this._lastClickEventTime < this.clickThrottleMs) return;
+      this._lastClickEventTime = now;
+
+      const el = e.target instanceof Element ? e.target : null;
+      const container = document.getElementById(this.containerId);
+      const rect = container ? container.getBoundingClientRect() : { left: 0, top: 0, width: window.innerWidth };
+      const data = {
+        pageId: this.currentPageEntry.pageId,
+        x: Math.round(e.clientX - rect.left),
+        y: Math.round(e.clientY - rect.top),
+        containerWidth: Math.round(rect.width),
+        target: this._describeElement(el),
+      };
+      // Field clicked (engine renders each field inside #group-<name>)
+      const group = el && el.closest('.gov-form-group[id^="group-"]');
+      if (group) data.fieldName = group.id.slice('group-'.length);
+      // Document clicked (accordion panel or drawer)
+      const doc = el && el.closest('[data-doc-id]');
+      if (doc) data.docId = doc.dataset.docId;
+      this._pushEvent('click', data);
+    }, true);
+  }
+
+  // Short selector-like description, e.g. "button#btn-next" or "summary.document-accordion-title"
+  _describeElement(el) {
+    if (!el) return 'unknown';
+    let desc = el.tagName.toLowerCase();
+    if (el.id) desc += `#${el.id}`;
+    else if (typeof el.className === 'string' && el.className.trim()) desc += `.${el.className.trim().split(/\s+/)[0]}`;
+    return desc;
+  }
+
+  _setupScrollTracking() {
+    let scrollTimer = null;
+    window.addEventListener('scroll', () => {
+      if (scrollTimer) return;
+      scrollTimer = setTimeout(() => {
+        scrollTimer = null;
+        this._updateScrollDepth();
+      }, 250);
+    }, { passive: true });
+  }
+
+  // Max scroll depth = how far down the page the bottom of the viewport has reached (0–100%).
+  // Milestones (25/50/75/100%) are recorded as scroll events the first time they are crossed.
+  _updateScrollDepth() {
+    if (!this.currentPageEntry) return;
+    const docHeight = document.documentElement.scrollHeight;
+    if (!docHeight) return;
+    const depthPct = Math.min(100, Math.round((window.scrollY + window.innerHeight) / docHeight * 100));
+    const previous = this._currentPageMaxScrollPct;
+    if (depthPct <= previous) return;
+    this._currentPageMaxScrollPct = depthPct;
+    [25, 50, 75, 100].forEach(milestone => {
+      if (previous < milestone && depthPct >= milestone) {
+        this._pushEvent('scroll_depth', { pageId: this.currentPageEntry.pageId, depthPct: milestone });
+      }
     });
   }
 
@@ -487,12 +1234,19 @@ class SludgeTracker {
   // ============================================================
 
   _pushEvent(type, data) {
-    this.eventBuffer.push({
+    const event = {
       type,
+      schemaVersion: SludgeEventSchema.SCHEMA_VERSION,
+      seq: ++this._seq,
       timestamp: Date.now(),
       sessionId: this.sessionId,
       ...data,
-    });
+    };
+    // The server quarantines invalid events — warn early so schema drift shows up during piloting
+    const check = SludgeEventSchema.validateEvent(event);
+    if (!check.valid) console.warn(`Event "${type}" does not match schema:`, check.errors);
+    this.eventBuffer.push(event);
+    this._persistOutbox();
   }
 
   _startFlushing() {
@@ -503,18 +1257,143 @@ class SludgeTracker {
     if (this.flushTimer) clearInterval(this.flushTimer);
   }
 
-  async _flush() {
-    if (this.eventBuffer.length === 0 || !this.sessionId) return;
-    const events = [...this.eventBuffer];
-    this.eventBuffer = [];
+  /**
+   * Send the outbox, then any queued progress/snapshot/complete calls.
+   * Events are only dropped from the outbox once the server has acknowledged them;
+   * on failure the next attempt is delayed with exponential backoff (1s → 60s).
+   * `force` ignores the backoff (used before completing the session).
+   */
+  _flush(force = false) {
+    if (!this.sessionId) return Promise.resolve();
+    if (this._flushPromise) return this._flushPromise;
+    if (!force && Date.now() < this._retryAt) return Promise.resolve();
+    if (this.eventBuffer.length === 0 && Object.keys(this._pendingRequests).length === 0) return Promise.resolve();
+
+    this._flushPromise = (async () => {
+      try {
+        while (this.eventBuffer.length > 0) {
+          const events = this.eventBuffer.slice(0, 200);
+          await this._post('/api/events/batch', { session_id: this.sessionId, events, clientSentAt: Date.now() });
+          const sent = new Set(events.map(e => e.seq));
+          this.eventBuffer = this.eventBuffer.filter(e => !sent.has(e.seq));
+        }
+        for (const [path, body] of Object.entries(this._pendingRequests)) {
+          await this._post(path, body);
+          // A newer call to the same endpoint may have been queued meanwhile — keep that one
+          if (this._pendingRequests[path] === body) delete this._pendingRequests[path];
+        }
+        this._retryDelayMs = 0;
+        this._retryAt = 0;
+      } catch (e) {
+        this._scheduleRetry();
+      } finally {
+        this._persistOutbox();
+        this._flushPromise = null;
+      }
+    })();
+    return this._flushPromise;
+  }
+
+  _scheduleRetry() {
+    this._retryDelayMs = Math.min(this._retryDelayMs ? this._retryDelayMs * 2 : 1000, 60000);
+    this._retryAt = Date.now() + this._retryDelayMs;
+    setTimeout(() => this._flush(), this._retryDelayMs);
+  }
+
+  async _post(path, body) {
+    const resp = await fetch(`${this.apiBase}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) throw new Error(`${path} responded ${resp.status}`);
+    return resp;
+  }
+
+  /**
+   * POST a session call; if it fails, keep the body in the outbox and retry with the events.
+   * Only the latest body per endpoint is kept (each progress save supersedes the previous one).
+   * Returns true if the server accepted it now.
+   */
+  async _postOrQueue(path, body) {
     try {
-      await fetch(`${this.apiBase}/api/events/batch`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ session_id: this.sessionId, events }),
-      });
+      await this._post(path, body);
+      delete this._pendingRequests[path];
+      this._persistOutbox();
+      return true;
     } catch (e) {
-      this.eventBuffer = [...events, ...this.eventBuffer];
+      this._pendingRequests[path] = body;
+      this._persistOutbox();
+      if (!this._retryAt) this._scheduleRetry();
+      return false;
+    }
+  }
+
+  // ============================================================
+  // OUTBOX PERSISTENCE & UNLOAD DELIVERY
+  // ============================================================
+
+  _outboxKey() {
+    return `sludge_outbox_${this.sessionId}`;
+  }
+
+  _persistOutbox() {
+    if (!this.sessionId) return;
+    try {
+      localStorage.setItem(this._outboxKey(), JSON.stringify({
+        seq: this._seq,
+        events: this.eventBuffer,
+        requests: this._pendingRequests,
+      }));
+    } catch (e) {
+      // Storage full or disabled (private mode) — the in-memory outbox still works
+    }
+  }
+
+  /**
+   * Called once the session id is known: picks up anything a previous tab left unsent
+   * (closed tab, crash), and renumbers events recorded before the session existed so
+   * their sequence numbers follow on from the stored ones.
+   */
+  _loadOutbox() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this._outboxKey()) || 'null');
+    } catch (e) {
+      stored = null;
+    }
+    const early = this.eventBuffer;
+    this._seq = stored ? stored.seq || 0 : 0;
+    early.forEach(e => {
+      e.seq = ++this._seq;
+      e.sessionId = this.sessionId;
+    });
+    this.eventBuffer = [...(stored ? stored.events || [] : []), ...early];
+    this._pendingRequests = { ...(stored ? stored.requests || {} : {}), ...this._pendingRequests };
+    this._persistOutbox();
+  }
+
+  _setupUnloadDelivery() {
+    window.addEventListener('pagehide', () => this._beaconFlush());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this._beaconFlush();
+    });
+  }
+
+  /**
+   * Last-chance delivery when the page may be going away. Beacons can't report whether
+   * the server stored the data, so everything stays in the outbox; if the page survives,
+   * the next normal flush resends it and the server drops the duplicates by seq.
+   */
+  _beaconFlush() {
+    if (!this.sessionId || typeof navigator.sendBeacon !== 'function') return;
+    const beacon = (path, body) => navigator.sendBeacon(`${this.apiBase}${path}`,
+      new Blob([JSON.stringify(body)], { type: 'application/json' }));
+    // Small batches to stay under the browser's ~64KB beacon limit
+    for (let i = 0; i < this.eventBuffer.length; i += 50) {
+      beacon('/api/events/batch', { session_id: this.sessionId, events: this.eventBuffer.slice(i, i + 50), clientSentAt: Date.now() });
     }
+    Object.entries(this._pendingRequests).forEach(([path, body]) => beacon(path, body));
+    this._persistOutbox();
   }
 }
@@ -0,0 +1,134 @@
+/**
+ * UploadRules — File checks shared by the browser and the upload endpoint
+ *
+ * A `file` field limits what can be uploaded with:
+ *   accept     comma-separated MIME types, wildcards and/or extensions, as in <input accept>
+ *              (e.g. 'application/pdf,image/*,.heic'); omitted = any type
+ *   maxSizeMb  largest file in megabytes (default DEFAULT_MAX_SIZE_MB)
+ *
+ * The engine checks a file before sending it, so a wrong type or an oversized file is rejected
+ * instantly (and tracked), and the server checks it again against the same procedure config
+ * before storing it. The server also reads the file's first bytes (sniffType): a file of a type
+ * listed in SIGNATURES must really be one of the accepted types, whatever its name and declared
+ * type say.
+ *
+ * Loaded as a plain <script> in the browser (exposes window.UploadRules)
+ * and via require() in Node (used by the upload endpoint).
+ */
+(function (root, factory) {
+  const rules = factory();
+  if (typeof module === 'object' && module.exports) module.exports = rules;
+  else root.UploadRules = rules;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const DEFAULT_MAX_SIZE_MB = 10;
+
+  // Types recognised from their first bytes ("magic numbers")
+  const startsWith = (bytes, signature, offset = 0) => signature.every((b, i) => bytes[offset + i] === b);
+  const ascii = text => Array.from(text, ch => ch.charCodeAt(0));
+  const SIGNATURES = [
+    { mime: 'application/pdf', extensions: ['.pdf'], test: b => startsWith(b, ascii('%PDF-')) },
+    { mime: 'image/png', extensions: ['.png'], test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mime: 'image/jpeg', extensions: ['.jpg', '.jpeg'], test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+    { mime: 'image/gif', extensions: ['.gif'], test: b => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+    { mime: 'image/webp', extensions: ['.webp'], test: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+    {
+      mime: 'image/heic',
+      extensions: ['.heic', '.heif'],
+      test: b => startsWith(b, ascii('ftyp'), 4) && ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].some(brand => startsWith(b, ascii(brand), 8)),
+    },
+  ];
+
+  function maxSizeBytes(field) {
+    return Math.round((field.maxSizeMb || DEFAULT_MAX_SIZE_MB) * 1024 * 1024);
+  }
+
+  function acceptList(field) {
+    return (field.accept || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+  }
+
+  // True when a file with this MIME type / name matches one of the accept entries
+  function matchesAccept(accept, mimeType, fileName) {
+    const list = Array.isArray(accept) ? accept : acceptList({ accept });
+    if (list.length === 0) return true;
+    const mime = (mimeType || '').toLowerCase();
+    const name = (fileName || '').toLowerCase();
+    return list.some(a => {
+      if (a.startsWith('.')) return name.endsWith(a);
+      if (a.endsWith('/*')) return mime.startsWith(a.slice(0, -1));
+      return mime === a;
+    });
+  }
+
+  // MIME type of the SIGNATURES entry the bytes start with, or null
+  function sniffType(bytes) {
+    const sig = SIGNATURES.find(s => s.test(bytes || []));
+    return sig ? sig.mime : null;
+  }
+
+  // True when one of the accept entries names a type SIGNATURES can't recognise (so a file whose
+  // bytes match nothing may still be one of them); an empty accept list takes any file
+  function acceptsUnsniffable(list) {
+    if (list.length === 0) return true;
+    return list.some(a => !SIGNATURES.some(s => a === s.mime || s.extensions.includes(a)) && a !== 'image/*');
+  }
+
+  // 'application/pdf,image/*,.heic' → 'PDF, image or HEIC'
+  function describeAccept(field) {
+    const names = acceptList(field).map(a => {
+      if (a.startsWith('.')) return a.slice(1).toUpperCase();
+      if (a.endsWith('/*')) return a.slice(0, -2);
+      return a.split('/').pop().toUpperCase();
+    });
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')}MB`;
+  }
+
+  /**
+   * Check a file ({ name, type, size }) against a field's limits.
+   * Returns null if it may be uploaded, otherwise { reason: 'empty' | 'type' | 'size', message }.
+   */
+  function checkFile(field, file) {
+    if (!file || !file.size) return { reason: 'empty', message: 'The selected file is empty' };
+    if (!matchesAccept(acceptList(field), file.type, file.name)) {
+      return { reason: 'type', message: `The selected file must be a ${describeAccept(field)}` };
+    }
+    if (file.size > maxSizeBytes(field)) {
+      return { reason: 'size', message: `The selected file must be smaller than ${formatSize(maxSizeBytes(field))}` };
+    }
+    return null;
+  }
+
+  /**
+   * Check a file's content (its bytes, a Buffer or Uint8Array) against a field's accept list.
+   * Returns { detectedType, rejection }: the type sniffed from the bytes (null if not recognised),
+   * and null or { reason: 'type', message } when the content isn't an accepted type.
+   */
+  function checkContent(field, bytes) {
+    const list = acceptList(field);
+    const detectedType = sniffType(bytes);
+    const sig = SIGNATURES.find(s => s.mime === detectedType);
+    const accepted = sig
+      ? matchesAccept(list, sig.mime, '') || sig.extensions.some(ext => matchesAccept(list, '', `file${ext}`))
+      : acceptsUnsniffable(list);
+    const rejection = accepted ? null : { reason: 'type', message: `The selected file must be a ${describeAccept(field)}` };
+    return { detectedType, rejection };
+  }
+
+  return {
+    DEFAULT_MAX_SIZE_MB,
+    SIGNATURES,
+    maxSizeBytes,
+    matchesAccept,
+    formatSize,
+    checkFile,
+    sniffType,
+    checkContent,
+  };
+});
@@ -0,0 +1,51 @@
+/**
+ * Page catalog — ids of the procedure pages the server knows about
+ *
+ * Used by the dashboard and analyses (friendly names, display order, which pages
+ * count as the application task) and by the procedure validator, which warns about
+ * page ids that are missing here. Add new pages to PAGE_NAMES and PAGE_ORDER when
+ * you add them to a procedure.
+ */
+const PAGE_NAMES = {
+  consent: 'Consent',
+  instructions: 'Instructions',
+  confirm_instructions: 'Confirm instructions',
+  applicant_details: 'Applicant details',
+  eligibility_rules: 'Eligibility rules & decision',
+  doc_upload_eligibility: 'Upload eligibility docs',
+  doc_upload_residence: 'Upload residence docs',
+  vehicle_info: 'Vehicle information',
+  vehicle_category: 'Vehicle category',
+  vehicle_fuel: 'Vehicle fuel type',
+  vehicle_env_class: 'Vehicle environmental class',
+  application_review: 'Review & submit',
+  application_submitted: 'Application submitted',
+  demographics: 'Demographics',
+  attention_check: 'Attention check',
+  feedback: 'Feedback',
+  debrief: 'Debrief',
+  ineligible_end: 'Ineligible (skipped)',
+  completion: 'Completion',
+};
+
+// Ordered pages for consistent display
+const PAGE_ORDER = [
+  'consent', 'instructions', 'confirm_instructions',
+  'applicant_details',
+  'eligibility_rules', 'doc_upload_eligibility', 'doc_upload_residence',
+  'vehicle_info', 'vehicle_category', 'vehicle_fuel', 'vehicle_env_class',
+  'application_review', 'application_submitted',
+  'ineligible_end',
+  'demographics', 'attention_check',
+  'feedback', 'debrief', 'completion',
+];
+
+// Pages that are part of the main task (application)
+const APPLICATION_PAGES = [
+  'applicant_details',
+  'eligibility_rules', 'doc_upload_eligibility', 'doc_upload_residence',
+  'vehicle_info', 'vehicle_category', 'vehicle_fuel', 'vehicle_env_class',
+  'application_review',
+];
+
+module.exports = { PAGE_NAMES, PAGE_ORDER, APPLICATION_PAGES };
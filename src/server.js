@@ -3,9 +3,17 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const EventSchema = require('../public/js/event_schema');
+const STUDY_CONFIG = require('./study_config');
+const { PAGE_NAMES, PAGE_ORDER, APPLICATION_PAGES } = require('./pages');
+const UploadRules = require('../public/js/upload_rules');
+const { loadProcedureFile, validateConfiguredProcedures, DEFAULT_PROCEDURE_FILE } = require('./validate_procedure');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Behind a hosting proxy, TRUST_PROXY (number of proxies) makes req.ip the participant's address
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -30,43 +38,301 @@ function readJsonl(filename) {
   }).filter(Boolean);
 }
 
+function readJson(filename, fallback) {
+  const filepath = path.join(DATA_DIR, filename);
+  if (!fs.existsSync(filepath)) return fallback;
+  try { return JSON.parse(fs.readFileSync(filepath, 'utf8')); } catch { return fallback; }
+}
+
+function writeJson(filename, data) {
+  fs.writeFileSync(path.join(DATA_DIR, filename), JSON.stringify(data, null, 2), 'utf8');
+}
+
 const sessionIndex = {};
+// Sessions are rebuilt with their updates applied, so completion and progress
+// (used by cell balancing) survive a restart
 function loadSessionIndex() {
-  const sessions = readJsonl('sessions.jsonl');
-  sessions.forEach(s => sessionIndex[s.session_id] = s);
+  getMergedSessions().forEach(s => sessionIndex[s.session_id] = s);
   console.log(`  Loaded ${Object.keys(sessionIndex).length} existing sessions`);
 }
 
-// --- Block Randomization for Estimation Condition ---
-// Two conditions: 'self' (estimate own time) vs 'average' (estimate average participant time)
-const ESTIMATION_CONDITIONS = ['self', 'average'];
-const ESTIMATION_BLOCK_SIZE = 4; // 2 self + 2 average per block
+// --- Factorial design & balanced cell assignment ---
+// Factors and levels come from study_config.js. Each session is assigned a full cell
+// (one level per factor); the 'estimation' level is also stored as condition_code and the
+// 'procedure' level (a key of PROCEDURE_CONFIGS in the procedure file) as procedure_version.
+const ESTIMATION_FACTOR = 'estimation';
+const PROCEDURE_FACTOR = 'procedure';
+const DEFAULT_PROCEDURE = STUDY_CONFIG.defaultProcedure || 'greenzone';
 const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes — incomplete sessions older than this are ignored for balance
 
-function blockRandomize(existingSessions) {
+function validateStudyConfig(config) {
+  const factors = config && config.factors;
+  if (!Array.isArray(factors) || factors.length === 0) throw new Error('study_config: at least one factor is required');
+  const names = new Set();
+  factors.forEach(f => {
+    if (!f.name || typeof f.name !== 'string') throw new Error('study_config: every factor needs a name');
+    if (names.has(f.name)) throw new Error(`study_config: duplicate factor "${f.name}"`);
+    names.add(f.name);
+    if (!Array.isArray(f.levels) || f.levels.length < 2) throw new Error(`study_config: factor "${f.name}" needs at least two levels`);
+    if (new Set(f.levels).size !== f.levels.length) throw new Error(`study_config: factor "${f.name}" has duplicate levels`);
+  });
+  return factors;
+}
+
+const DESIGN_FACTORS = validateStudyConfig(STUDY_CONFIG);
+const ESTIMATION_CONDITIONS = (DESIGN_FACTORS.find(f => f.name === ESTIMATION_FACTOR) || { levels: [] }).levels;
+
+function cellId(levels) {
+  return DESIGN_FACTORS.map(f => levels[f.name]).join('|');
+}
+
+// Every combination of levels: [{ id: 'self|short', levels: { estimation: 'self', length: 'short' } }, ...]
+const DESIGN_CELLS = DESIGN_FACTORS.reduce((cells, f) =>
+  cells.flatMap(c => f.levels.map(level => ({ ...c, [f.name]: level }))), [{}])
+  .map(levels => ({ id: cellId(levels), levels }));
+
+// Factor levels of a session — sessions created before factorial designs only carry condition_code
+function getSessionFactors(session) {
+  if (session.factors) return session.factors;
+  if (session.condition_code && ESTIMATION_CONDITIONS.includes(session.condition_code)) {
+    return { [ESTIMATION_FACTOR]: session.condition_code };
+  }
+  return {};
+}
+
+function getSessionCell(session) {
+  if (session.cell) return session.cell;
+  const levels = getSessionFactors(session);
+  return DESIGN_FACTORS.every(f => levels[f.name] != null) ? cellId(levels) : null;
+}
+
+// --- Randomization ---
+// 'permuted_blocks': each stratum follows its own seeded sequence of blocks; every block holds
+//   each cell blockSize / cells times in a shuffled order. The sequence depends only on the seed,
+//   stratum and block number, so it can be regenerated; the position reached in each stratum is
+//   persisted in data/allocation_state.json (and on every session) so restarts continue it.
+// 'balanced': least-filled cell within the stratum; timed-out sessions release their slot.
+const RANDOMIZATION = {
+  method: 'permuted_blocks', blockSize: DESIGN_CELLS.length * 2, seed: 'sludge', stratifyBy: [],
+  ...STUDY_CONFIG.randomization,
+};
+const ALLOCATION_STATE_FILE = 'allocation_state.json';
+
+(function validateRandomization() {
+  if (!['permuted_blocks', 'balanced'].includes(RANDOMIZATION.method)) {
+    throw new Error(`study_config: unknown randomization method "${RANDOMIZATION.method}"`);
+  }
+  if (!Number.isInteger(RANDOMIZATION.blockSize) || RANDOMIZATION.blockSize <= 0 || RANDOMIZATION.blockSize % DESIGN_CELLS.length !== 0) {
+    throw new Error(`study_config: blockSize must be a positive multiple of the number of cells (${DESIGN_CELLS.length})`);
+  }
+  if (!Array.isArray(RANDOMIZATION.stratifyBy)) throw new Error('study_config: stratifyBy must be an array');
+})();
+
+// Identifies the sequence: changing the seed, block size or cells starts a new one
+const ALLOCATION_SIGNATURE = [RANDOMIZATION.seed, RANDOMIZATION.blockSize, DESIGN_CELLS.map(c => c.id).join(',')].join(';');
+
+function getDeviceType(session) {
+  const ua = (session.user_agent || '').toLowerCase();
+  if (!ua) return 'unknown';
+  if (/ipad|tablet/.test(ua)) return 'tablet';
+  if (/mobi|android|iphone/.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+// Stratum label, e.g. 'device=mobile&platform=iPhone' ('all' without stratification)
+function getStratum(session) {
+  if (RANDOMIZATION.stratifyBy.length === 0) return 'all';
+  return RANDOMIZATION.stratifyBy
+    .map(key => `${key}=${key === 'device' ? getDeviceType(session) : (session[key] || 'unknown')}`)
+    .join('&');
+}
+
+// FNV-1a — turns the seed/stratum/block label into a PRNG seed
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function getAllocationBlock(stratum, blockIndex) {
+  const block = [];
+  for (let r = 0; r < RANDOMIZATION.blockSize / DESIGN_CELLS.length; r++) block.push(...DESIGN_CELLS);
+  const rand = seededRandom(hashString(`${RANDOMIZATION.seed}:${stratum}:${blockIndex}`));
+  for (let i = block.length - 1; i > 0; i--) {
+    const k = Math.floor(rand() * (i + 1));
+    [block[i], block[k]] = [block[k], block[i]];
+  }
+  return block;
+}
+
+// Next position per stratum. Taken from the state file and from the sessions themselves
+// (whichever is further), so a crash between writing the session and the state loses nothing.
+const allocationState = { signature: ALLOCATION_SIGNATURE, strata: {} };
+
+function loadAllocationState() {
+  allocationState.strata = {};
+  const saved = readJson(ALLOCATION_STATE_FILE, null);
+  if (saved && saved.signature === ALLOCATION_SIGNATURE) {
+    Object.entries(saved.strata || {}).forEach(([stratum, st]) => { allocationState.strata[stratum] = { position: st.position }; });
+  } else if (saved) {
+    console.warn('  Randomization settings changed — starting a new allocation sequence');
+  }
+  Object.values(sessionIndex).forEach(s => {
+    const a = s.allocation;
+    if (!a || a.method !== 'permuted_blocks' || a.signature !== ALLOCATION_SIGNATURE) return;
+    const st = allocationState.strata[a.stratum] = allocationState.strata[a.stratum] || { position: 0 };
+    st.position = Math.max(st.position, a.position + 1);
+  });
+}
+
+function saveAllocationState() {
+  writeJson(ALLOCATION_STATE_FILE, { ...allocationState, method: RANDOMIZATION.method, updated_at: new Date().toISOString() });
+}
+
+// Does this session currently "hold" its cell for balancing purposes?
+// 1. Completed or submitted (they used the slot)
+// 2. Still active (started within timeout window — might still complete)
+// Timed-out incomplete sessions are ignored, releasing their slot for rebalancing.
+function holdsCellSlot(session, now) {
+  if (session.condition_forced) return false;
+  if (session.is_complete || getCompletionStatus(session) === 'submitted') return true;
+  const startedAt = session.started_at ? new Date(session.started_at).getTime() : 0;
+  return (now - startedAt) < SESSION_TIMEOUT_MS;
+}
+
+// Least-filled cell among the candidates, counting sessions in the same stratum
+function leastFilledCell(candidates, existingSessions, stratum) {
   const now = Date.now();
-  // Only count sessions that "hold" a condition slot:
-  // 1. Completed or submitted (they used the slot)
-  // 2. Still active (started within timeout window — might still complete)
-  // Timed-out incomplete sessions are ignored, releasing their condition slot for rebalancing.
-  const relevant = existingSessions.filter(s => {
-    if (!s.condition_code || !ESTIMATION_CONDITIONS.includes(s.condition_code)) return false;
-    if (s.condition_forced) return false;
-    if (s.is_complete || s.completion_status === 'submitted') return true;
-    // Still active? Check if started within timeout window
-    const startedAt = s.started_at ? new Date(s.started_at).getTime() : 0;
-    return (now - startedAt) < SESSION_TIMEOUT_MS;
+  const counts = {};
+  existingSessions.forEach(s => {
+    if (!holdsCellSlot(s, now) || getStratum(s) !== stratum) return;
+    const id = getSessionCell(s);
+    if (id) counts[id] = (counts[id] || 0) + 1;
   });
-  const assigned = relevant.map(s => s.condition_code);
+  const minCount = Math.min(...candidates.map(c => counts[c.id] || 0));
+  const leastFilled = candidates.filter(c => (counts[c.id] || 0) === minCount);
+  return leastFilled[Math.floor(Math.random() * leastFilled.length)];
+}
 
-  // Use simple balanced assignment (self-correcting after dropouts)
-  const selfCount = assigned.filter(c => c === 'self').length;
-  const avgCount = assigned.filter(c => c === 'average').length;
-  if (selfCount < avgCount) return 'self';
-  if (avgCount < selfCount) return 'average';
-  return Math.random() < 0.5 ? 'self' : 'average';
+/**
+ * Pick a cell for a new session among the cells that still have quota (openCellIds).
+ * Sessions with forced levels skip the allocation sequence and go to the least-filled matching cell.
+ * A permuted-block sequence skips positions that point at a full cell.
+ * Returns { cell, allocation } — allocation records how the cell was chosen — or null if every
+ * eligible cell is full.
+ */
+function assignCell(existingSessions, forcedLevels, stratum, openCellIds) {
+  const open = DESIGN_CELLS.filter(c => openCellIds.has(c.id));
+  if (Object.keys(forcedLevels).length > 0) {
+    const candidates = open.filter(c => Object.entries(forcedLevels).every(([name, level]) => c.levels[name] === level));
+    if (candidates.length === 0) return null;
+    return { cell: leastFilledCell(candidates, existingSessions, stratum), allocation: { method: 'forced', stratum } };
+  }
+  if (open.length === 0) return null;
+  if (RANDOMIZATION.method === 'balanced') {
+    return { cell: leastFilledCell(open, existingSessions, stratum), allocation: { method: 'balanced', stratum } };
+  }
+  const st = allocationState.strata[stratum] = allocationState.strata[stratum] || { position: 0 };
+  // Every block contains every cell, so an open cell is reached within one block
+  for (;;) {
+    const position = st.position++;
+    const blockIndex = Math.floor(position / RANDOMIZATION.blockSize);
+    const cell = getAllocationBlock(stratum, blockIndex)[position % RANDOMIZATION.blockSize];
+    if (!openCellIds.has(cell.id)) continue;
+    return {
+      cell,
+      allocation: { method: 'permuted_blocks', stratum, position, block: blockIndex, signature: ALLOCATION_SIGNATURE },
+    };
+  }
+}
+
+// --- Recruitment quotas ---
+// Quotas count complete + submitted sessions plus sessions started within SESSION_TIMEOUT_MS
+// (still in progress). Visitors arriving once the study, or every cell they could be assigned
+// to, is full get no session: they are logged to quota_rejections.jsonl and shown the study-full page.
+const QUOTAS = { overall: null, perCell: null, ...STUDY_CONFIG.quotas };
+const STUDY_FULL = { redirectUrl: null, completionCode: null, ...STUDY_CONFIG.studyFull };
+
+(function validateQuotas() {
+  const isQuota = q => q == null || (Number.isInteger(q) && q >= 0);
+  if (!isQuota(QUOTAS.overall)) throw new Error('study_config: quotas.overall must be a non-negative integer or null');
+  if (QUOTAS.perCell && typeof QUOTAS.perCell === 'object') {
+    Object.entries(QUOTAS.perCell).forEach(([id, q]) => {
+      if (!DESIGN_CELLS.some(c => c.id === id)) throw new Error(`study_config: quotas.perCell refers to unknown cell "${id}"`);
+      if (!isQuota(q)) throw new Error(`study_config: quota for cell "${id}" must be a non-negative integer`);
+    });
+  } else if (!isQuota(QUOTAS.perCell)) {
+    throw new Error('study_config: quotas.perCell must be a number, an object keyed by cell id, or null');
+  }
+})();
+
+// --- Procedure validation ---
+// The default procedure and every `procedure` factor level must exist in PROCEDURE_CONFIGS and pass
+// the structural checks in src/validate_procedure.js — otherwise a broken skipIf or review field
+// would only show up when a participant reaches it. Warnings are logged; errors stop the server.
+const PROCEDURE_CONFIGS = loadProcedureFile(DEFAULT_PROCEDURE_FILE).procedureConfigs || {};
+(function checkProcedures() {
+  const { errors, warnings } = validateConfiguredProcedures(STUDY_CONFIG);
+  warnings.forEach(w => console.warn(`  Procedure warning: ${w}`));
+  if (errors.length > 0) throw new Error(`procedure validation failed (run npm run validate for details):\n  - ${errors.join('\n  - ')}`);
+})();
+
+function getCellQuota(cellId) {
+  if (QUOTAS.perCell == null) return null;
+  if (typeof QUOTAS.perCell === 'number') return QUOTAS.perCell;
+  return QUOTAS.perCell[cellId] != null ? QUOTAS.perCell[cellId] : null;
+}
+
+function countsTowardQuota(session, now) {
+  if (session.is_complete || getCompletionStatus(session) === 'submitted') return true;
+  const startedAt = session.started_at ? new Date(session.started_at).getTime() : 0;
+  return (now - startedAt) < SESSION_TIMEOUT_MS;
+}
+
+// Current quota fill: { overall: { count, quota, full }, cells: { [cellId]: { count, quota, full } } }
+function getQuotaStatus(sessions) {
+  const now = Date.now();
+  const counted = sessions.filter(s => countsTowardQuota(s, now));
+  const cells = {};
+  DESIGN_CELLS.forEach(c => {
+    const count = counted.filter(s => getSessionCell(s) === c.id).length;
+    const quota = getCellQuota(c.id);
+    cells[c.id] = { count, quota, full: quota != null && count >= quota };
+  });
+  const overall = { count: counted.length, quota: QUOTAS.overall, full: QUOTAS.overall != null && counted.length >= QUOTAS.overall };
+  return { overall, cells };
+}
+
+// Requested levels from the create payload: `factors: { name: level }`, plus the legacy
+// CONDITION parameter for the estimation factor and PROCEDURE for the procedure factor.
+// Unknown factors or levels are ignored.
+function parseForcedLevels(requestedFactors, requestedCondition, requestedProcedure) {
+  const forced = {};
+  if (requestedCondition && ESTIMATION_CONDITIONS.includes(requestedCondition)) forced[ESTIMATION_FACTOR] = requestedCondition;
+  const procedureFactor = DESIGN_FACTORS.find(f => f.name === PROCEDURE_FACTOR);
+  if (procedureFactor && procedureFactor.levels.includes(requestedProcedure)) forced[PROCEDURE_FACTOR] = requestedProcedure;
+  else if (procedureFactor && requestedProcedure) {
+    console.warn(`  [SESSION] Ignoring PROCEDURE=${requestedProcedure}: not a level of the procedure factor`);
+  }
+  if (requestedFactors && typeof requestedFactors === 'object') {
+    DESIGN_FACTORS.forEach(f => {
+      if (f.levels.includes(requestedFactors[f.name])) forced[f.name] = requestedFactors[f.name];
+    });
+  }
+  return forced;
+}
+
+// PROCEDURE in a study without a `procedure` factor: a key of PROCEDURE_CONFIGS runs that variant
+// (the session is still assigned a cell as usual); anything else is logged and the default is used
+function requestedProcedureOutsideDesign(requestedProcedure) {
+  if (!requestedProcedure || DESIGN_FACTORS.some(f => f.name === PROCEDURE_FACTOR)) return null;
+  if (PROCEDURE_CONFIGS[requestedProcedure]) return requestedProcedure;
+  console.warn(`  [SESSION] Ignoring PROCEDURE=${requestedProcedure}: not a key of PROCEDURE_CONFIGS`);
+  return null;
 }
-blockRandomize._currentBlock = null;
 
 // --- Session Management ---
 app.post('/api/session/create', (req, res) => {
@@ -76,20 +342,36 @@ app.post('/api/session/create', (req, res) => {
       condition_code, condition, procedure_version, procedureId,
       user_agent, userAgent, screen_width, screenWidth, screen_height, screenHeight,
       window_width, windowWidth, window_height, windowHeight,
-      timezone, language, platform, metadata } = req.body;
-
-    // Determine estimation condition via block randomization
-    const requestedCondition = condition_code || condition || null;
-    const isValidCondition = requestedCondition && ESTIMATION_CONDITIONS.includes(requestedCondition);
-    const allSessions = Object.values(sessionIndex);
-    const assignedCondition = isValidCondition ? requestedCondition : blockRandomize(allSessions);
-    const conditionForced = isValidCondition; // true if researcher forced via URL param
+      timezone, language, platform, metadata, factors } = req.body;
+
+    // Assign a full design cell among those with quota left; levels forced via URL parameters are kept
+    const requestedProcedure = procedure_version || procedureId || null;
+    const forcedLevels = parseForcedLevels(factors, condition_code || condition || null, requestedProcedure);
+    const procedureOverride = requestedProcedureOutsideDesign(requestedProcedure);
+    const stratum = getStratum({ user_agent: user_agent || userAgent, platform, screen_width: screen_width || screenWidth });
+    const existing = Object.values(sessionIndex);
+    const quotaStatus = getQuotaStatus(existing);
+    const openCellIds = new Set(quotaStatus.overall.full ? [] : DESIGN_CELLS.filter(c => !quotaStatus.cells[c.id].full).map(c => c.id));
+    const assignment = assignCell(existing, forcedLevels, stratum, openCellIds);
+    if (!assignment) {
+      appendJsonl('quota_rejections.jsonl', {
+        prolific_pid: prolific_pid || prolificPid || null, study_id: study_id || studyId || null,
+        forced_levels: forcedLevels, stratum, reason: quotaStatus.overall.full ? 'overall_full' : 'cells_full',
+        rejected_at: new Date().toISOString(),
+      });
+      return res.json({ success: false, study_full: true, redirect_url: STUDY_FULL.redirectUrl, completion_code: STUDY_FULL.completionCode });
+    }
+    const { cell, allocation } = assignment;
+    const assignedCondition = cell.levels[ESTIMATION_FACTOR] || cell.id;
+    const conditionForced = Object.keys(forcedLevels).length > 0; // true if researcher forced via URL param
 
     const session = {
       session_id: sessionId, prolific_pid: prolific_pid || prolificPid || null,
       study_id: study_id || studyId || null, session_id_prolific: session_id_prolific || sessionIdProlific || null,
       condition_code: assignedCondition, condition_forced: conditionForced,
-      procedure_version: procedure_version || procedureId || 'v1',
+      factors: cell.levels, cell: cell.id, stratum, allocation,
+      procedure_version: cell.levels[PROCEDURE_FACTOR] || procedureOverride || DEFAULT_PROCEDURE,
+      procedure_forced: !!(forcedLevels[PROCEDURE_FACTOR] || procedureOverride),
       user_agent: user_agent || userAgent || null,
       screen_width: screen_width || screenWidth, screen_height: screen_height || screenHeight,
       window_width: window_width || windowWidth, window_height: window_height || windowHeight,
@@ -99,7 +381,8 @@ app.post('/api/session/create', (req, res) => {
     };
     appendJsonl('sessions.jsonl', session);
     sessionIndex[sessionId] = session;
-    res.json({ success: true, session_id: sessionId, condition: assignedCondition });
+    if (allocation.method === 'permuted_blocks') saveAllocationState();
+    res.json({ success: true, session_id: sessionId, condition: assignedCondition, factors: cell.levels, cell: cell.id, procedure: session.procedure_version });
   } catch (err) {
     console.error('Error creating session:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -120,19 +403,41 @@ app.post('/api/session/progress', (req, res) => {
   try {
     const { session_id, currentPageIndex, currentPageId, formData, trackerState } = req.body;
     if (!session_id) return res.status(400).json({ success: false, error: 'Missing session_id' });
-    const update = {
+    const position = {
       session_id,
-      update_type: 'progress',
       currentPageIndex: currentPageIndex != null ? currentPageIndex : 0,
       currentPageId: currentPageId || null,
+      pageHistory: req.body.pageHistory || [],
+      reviewChange: req.body.reviewChange || null,
+      pageDraft: req.body.pageDraft || null,
+    };
+    const received = {
+      // Server receipt time is the authoritative clock for timing reconciliation
+      server_received_at: Date.now(),
+      client_sent_at: req.body.clientSentAt || null,
+      client_elapsed_ms: req.body.clientElapsedMs != null ? req.body.clientElapsedMs : null,
+    };
+    if (req.body.autosave) {
+      // Autosaves of in-page input carry only the draft and the navigation: they are kept apart so they
+      // don't count as page transitions in timing reconciliation or replace the saved answers
+      const update = { ...position, update_type: 'autosave', ...received };
+      appendJsonl('sessions_updates.jsonl', update);
+      if (sessionIndex[session_id]) sessionIndex[session_id].latestAutosave = update;
+      return res.json({ success: true });
+    }
+    const update = {
+      ...position,
+      update_type: 'progress',
+      // The save made when a page load picks the session up again (refresh, resume code, PID link)
+      resumed: !!req.body.resumed,
+      exitedPageId: req.body.exitedPageId || null,
       formData: formData || {},
       trackerState: trackerState || null,
+      ...received,
     };
     appendJsonl('sessions_updates.jsonl', update);
     if (sessionIndex[session_id]) {
-      sessionIndex[session_id].currentPageIndex = update.currentPageIndex;
-      sessionIndex[session_id].currentPageId = update.currentPageId;
-      sessionIndex[session_id].formData = update.formData;
+      Object.assign(sessionIndex[session_id], position, { formData: update.formData, latestAutosave: null });
       if (trackerState) sessionIndex[session_id].trackerState = trackerState;
     }
     res.json({ success: true });
@@ -142,15 +447,93 @@ app.post('/api/session/progress', (req, res) => {
   }
 });
 
+// --- Save and come back later ---
+// Resume codes are 8 characters from an alphabet without look-alikes (0/O, 1/I/L), shown as XXXX-XXXX.
+// Matching ignores case, spaces and dashes, so a code read over the phone or retyped still works.
+const RESUME_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const normalizeResumeCode = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function generateResumeCode() {
+  const taken = new Set(Object.values(sessionIndex).map(s => normalizeResumeCode(s.resume_code)));
+  let code;
+  do {
+    code = Array.from({ length: 8 }, () => RESUME_CODE_ALPHABET[crypto.randomInt(RESUME_CODE_ALPHABET.length)]).join('');
+  } while (taken.has(code));
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Ends the participant's sitting: issues the session's resume code (the same one every time) and logs the save.
+// The tracker then saves progress as usual.
+app.post('/api/session/save-for-later', (req, res) => {
+  try {
+    const { session_id } = req.body;
+    const session = sessionIndex[session_id];
+    if (!session) return res.status(404).json({ success: false, error: 'Unknown session' });
+    if (session.is_complete) return res.status(409).json({ success: false, error: 'Session already complete' });
+    const resumeCode = session.resume_code || generateResumeCode();
+    appendJsonl('sessions_updates.jsonl', {
+      session_id,
+      update_type: 'save_for_later',
+      resume_code: resumeCode,
+      saved_at: new Date().toISOString(),
+      saved_on_page: req.body.currentPageId || null,
+      server_received_at: Date.now(),
+    });
+    session.resume_code = resumeCode;
+    res.json({ success: true, resume_code: resumeCode });
+  } catch (err) {
+    console.error('Error saving for later:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// A resume code lookup returns the session's answers, so lookups are limited per client address: at most
+// RESUME_CODE_LIMITS.maxAttempts in a window, and maxFailures codes that match no session. Over either
+// limit the address gets 429 until its window ends.
+const RESUME_CODE_LIMITS = {
+  windowMs: (Number(process.env.RESUME_CODE_WINDOW_MIN) || 15) * 60 * 1000,
+  maxAttempts: Number(process.env.RESUME_CODE_MAX_ATTEMPTS) || 30,
+  maxFailures: Number(process.env.RESUME_CODE_MAX_FAILURES) || 10,
+};
+const resumeCodeAttempts = {};  // client address -> { windowStart, attempts, failures }
+
+function resumeCodeWindow(ip) {
+  const now = Date.now();
+  if (!resumeCodeAttempts[ip] || now - resumeCodeAttempts[ip].windowStart >= RESUME_CODE_LIMITS.windowMs) {
+    // Forget addresses whose window has ended
+    Object.keys(resumeCodeAttempts).forEach(key => {
+      if (now - resumeCodeAttempts[key].windowStart >= RESUME_CODE_LIMITS.windowMs) delete resumeCodeAttempts[key];
+    });
+    resumeCodeAttempts[ip] = { windowStart: now, attempts: 0, failures: 0 };
+  }
+  return resumeCodeAttempts[ip];
+}
+
 app.get('/api/session/resume', (req, res) => {
   try {
-    const { pid, sid } = req.query;
-    if (!pid && !sid) return res.json({ found: false });
+    const { pid, sid, code } = req.query;
+    if (!pid && !sid && !code) return res.json({ found: false });
 
     const all = getMergedSessions();
     let session = null;
 
-    if (pid && pid !== 'unknown') {
+    if (code) {
+      const attempts = resumeCodeWindow(req.ip);
+      if (attempts.attempts >= RESUME_CODE_LIMITS.maxAttempts || attempts.failures >= RESUME_CODE_LIMITS.maxFailures) {
+        const retryAfterSec = Math.ceil((attempts.windowStart + RESUME_CODE_LIMITS.windowMs - Date.now()) / 1000);
+        console.warn(`[RESUME] Refused resume code lookup from ${req.ip}: ${attempts.attempts} attempts, ${attempts.failures} failed`);
+        res.set('Retry-After', String(retryAfterSec));
+        return res.status(429).json({ found: false, error: 'Too many resume code attempts', retry_after_sec: retryAfterSec });
+      }
+      attempts.attempts++;
+      // A resume code identifies the session on its own (other devices have no cookie or PID)
+      const wanted = normalizeResumeCode(code);
+      session = wanted ? all.find(s => s.resume_code && normalizeResumeCode(s.resume_code) === wanted) : null;
+      if (!session) {
+        attempts.failures++;
+        return res.json({ found: false });
+      }
+    } else if (pid && pid !== 'unknown') {
       // Find most recent session for this Prolific PID
       const matches = all.filter(s => s.prolific_pid === pid);
       if (matches.length > 0) {
@@ -163,13 +546,23 @@ app.get('/api/session/resume', (req, res) => {
 
     if (!session) return res.json({ found: false });
 
+    // The participant's place: an autosave newer than the last progress save is where they were
+    const place = session.latestAutosave || session;
     res.json({
       found: true,
       session_id: session.session_id,
       condition: session.condition_code || 'self',
-      currentPageIndex: session.currentPageIndex || 0,
+      factors: getSessionFactors(session),
+      cell: getSessionCell(session),
+      procedure: session.procedure_version || DEFAULT_PROCEDURE,
+      currentPageIndex: place.currentPageIndex || 0,
+      currentPageId: place.currentPageId || null,
       formData: session.formData || {},
+      pageHistory: place.pageHistory || [],
+      reviewChange: place.reviewChange || null,
+      pageDraft: place.pageDraft || null,
       trackerState: session.trackerState || null,
+      lastSeq: lastEventSeq(session.session_id),
       is_complete: !!session.is_complete,
     });
   } catch (err) {
@@ -187,10 +580,14 @@ app.post('/api/session/complete', (req, res) => {
       update_type: 'complete',
       completed_at: new Date().toISOString(),
       is_complete: true,
+      server_received_at: Date.now(),
+      client_sent_at: req.body.clientSentAt || null,
       totalDurationMs: req.body.totalDurationMs || 0,
       applicationDurationMs: req.body.applicationDurationMs || 0,
-      activeApplicationDurationMs: req.body.activeApplicationDurationMs || 0,
+      activeApplicationDurationMs: req.body.activeApplicationDurationMs ?? null,
+      engagedApplicationDurationMs: req.body.engagedApplicationDurationMs ?? null,
       totalHiddenMs: req.body.totalHiddenMs || 0,
+      idleMs: req.body.idleMs ?? null,
       totalDocTimeMs: req.body.totalDocTimeMs || 0,
       totalDocOpens: req.body.totalDocOpens || 0,
       totalErrors: req.body.totalErrors || 0,
@@ -198,7 +595,13 @@ app.post('/api/session/complete', (req, res) => {
       errorCountsByField: req.body.errorCountsByField || {},
       pageTimings: req.body.pageTimings || [],
       docInteractions: req.body.docInteractions || [],
+      fieldInteractions: req.body.fieldInteractions || {},
       formResponses: req.body.formResponses || {},
+      reviewChanges: req.body.reviewChanges || [],
+      valueHistory: req.body.valueHistory || {},
+      resumes: req.body.resumes || [],
+      sittings: req.body.sittings || [],
+      applicationElapsedMs: req.body.applicationElapsedMs || 0,
       total_duration_ms: req.body.totalDurationMs || req.body.total_duration_ms || 0,
       total_errors: req.body.totalErrors || req.body.total_errors || 0,
     };
@@ -219,10 +622,14 @@ app.post('/api/session/snapshot', (req, res) => {
       session_id,
       update_type: 'snapshot',
       snapshot_at: new Date().toISOString(),
+      server_received_at: Date.now(),
+      client_sent_at: req.body.clientSentAt || null,
       totalDurationMs: req.body.totalDurationMs || 0,
       applicationDurationMs: req.body.applicationDurationMs || 0,
-      activeApplicationDurationMs: req.body.activeApplicationDurationMs || 0,
+      activeApplicationDurationMs: req.body.activeApplicationDurationMs ?? null,
+      engagedApplicationDurationMs: req.body.engagedApplicationDurationMs ?? null,
       totalHiddenMs: req.body.totalHiddenMs || 0,
+      idleMs: req.body.idleMs ?? null,
       totalDocTimeMs: req.body.totalDocTimeMs || 0,
       totalDocOpens: req.body.totalDocOpens || 0,
       totalErrors: req.body.totalErrors || 0,
@@ -230,7 +637,13 @@ app.post('/api/session/snapshot', (req, res) => {
       errorCountsByField: req.body.errorCountsByField || {},
       pageTimings: req.body.pageTimings || [],
       docInteractions: req.body.docInteractions || [],
+      fieldInteractions: req.body.fieldInteractions || {},
       formResponses: req.body.formResponses || {},
+      reviewChanges: req.body.reviewChanges || [],
+      valueHistory: req.body.valueHistory || {},
+      resumes: req.body.resumes || [],
+      sittings: req.body.sittings || [],
+      applicationElapsedMs: req.body.applicationElapsedMs || 0,
       total_duration_ms: req.body.totalDurationMs || 0,
       total_errors: req.body.totalErrors || 0,
     };
@@ -246,31 +659,196 @@ app.post('/api/session/snapshot', (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// --- Event de-duplication ---
+// The tracker resends its outbox until acknowledged (and beacons it on unload), so the same
+// event can arrive more than once. session_id -> Set of sequence numbers already stored.
+const seenEventSeqs = {};
+function markEventSeen(sessionId, seq) {
+  if (!sessionId || typeof seq !== 'number') return;
+  if (!seenEventSeqs[sessionId]) seenEventSeqs[sessionId] = new Set();
+  seenEventSeqs[sessionId].add(seq);
+}
+function loadEventSeqIndex() {
+  Object.values(EventSchema.TABLES).forEach(file => {
+    readJsonl(file).forEach(e => markEventSeen(e.session_id, e.seq));
+  });
+  readJsonl(EventSchema.QUARANTINE_FILE).forEach(q => markEventSeen(q.session_id, q.event?.seq));
+}
+// Highest sequence number stored for a session (0 if none): a resumed tab with no outbox
+// left in storage (private mode, other device) continues numbering from here
+function lastEventSeq(sessionId) {
+  let last = 0;
+  (seenEventSeqs[sessionId] || []).forEach(seq => { if (seq > last) last = seq; });
+  return last;
+}
+
 // --- Batch Event Ingestion ---
+// Events are routed to their table via the shared schema (public/js/event_schema.js).
+// Events that fail validation are quarantined with their reasons rather than misfiled.
 app.post('/api/events/batch', (req, res) => {
   try {
     const { session_id, events } = req.body;
     if (!session_id || !events || !Array.isArray(events)) {
       return res.status(400).json({ success: false, error: 'Invalid payload' });
     }
-    const fileMap = {
-      page: 'page_events.jsonl', click: 'click_events.jsonl',
-      visibility: 'visibility_events.jsonl', scroll: 'scroll_events.jsonl',
-      field: 'field_events.jsonl', form_response: 'form_responses.jsonl',
-      navigation: 'navigation_events.jsonl', document: 'document_events.jsonl',
-      validation: 'validation_events.jsonl',
-    };
+    let accepted = 0;
+    let quarantined = 0;
+    let duplicates = 0;
+    const server_received_at = Date.now();
+    // The tracker's clock when it sent the batch: with the receipt time, it estimates the client's clock offset
+    const client_sent_at = typeof req.body.clientSentAt === 'number' ? req.body.clientSentAt : null;
     for (const event of events) {
-      const file = fileMap[event.type] || 'misc_events.jsonl';
-      appendJsonl(file, { session_id, ...event });
+      if (event && typeof event.seq === 'number' && seenEventSeqs[session_id]?.has(event.seq)) {
+        duplicates++;
+        continue;
+      }
+      markEventSeen(session_id, event?.seq);
+      const check = EventSchema.validateEvent(event);
+      if (check.valid) {
+        appendJsonl(EventSchema.TABLES[check.table], { session_id, ...event, server_received_at, client_sent_at });
+        accepted++;
+      } else {
+        appendJsonl(EventSchema.QUARANTINE_FILE, { session_id, event, errors: check.errors, server_received_at, client_sent_at });
+        quarantined++;
+      }
     }
-    res.json({ success: true, count: events.length });
+    if (quarantined > 0) console.warn(`  [EVENTS] ${quarantined} invalid event(s) quarantined for session ${session_id}`);
+    res.json({ success: true, count: accepted, quarantined, duplicates, schema_version: EventSchema.SCHEMA_VERSION });
   } catch (err) {
     console.error('Error ingesting events:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// --- File uploads ---
+// `file` fields upload as soon as a file is chosen: the browser POSTs the raw bytes to
+// /api/upload?session_id=&field= with the file's name and type in X-File-Name / X-File-Type.
+// Each file is checked against its field's accept / maxSizeMb in the session's own procedure
+// config (the same checks the browser runs, see upload_rules.js), then its content: the type is
+// sniffed from the first bytes, must be an accepted one and is what gets stored as mime_type.
+// A session can store at most UPLOAD_LIMITS.maxFiles files and UPLOAD_LIMITS.maxTotalMb in all.
+// Files are stored as data/uploads/<session_id>/<upload_id>-<file name>. Stored and refused files
+// are logged in uploads.jsonl.
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
+const UPLOAD_LIMITS = {
+  maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 20,
+  maxTotalMb: Number(process.env.UPLOAD_MAX_TOTAL_MB) || 50,
+};
+
+// file fields of a procedure config, by name; sub-fields of repeating groups as <group>.<sub>
+const uploadFieldsByProcedure = {};
+function uploadFieldsOf(procedureKey) {
+  if (!uploadFieldsByProcedure[procedureKey]) {
+    const fields = {};
+    const config = PROCEDURE_CONFIGS[procedureKey] || {};
+    (config.pages || []).forEach(page => (page.fields || []).forEach(f => {
+      if (f.type === 'file') fields[f.name] = f;
+      if (f.type === 'repeat') (f.fields || []).filter(sub => sub.type === 'file').forEach(sub => { fields[`${f.name}.${sub.name}`] = sub; });
+    }));
+    uploadFieldsByProcedure[procedureKey] = fields;
+  }
+  return uploadFieldsByProcedure[procedureKey];
+}
+
+// Repeat items are named <group>[<index>].<sub>
+function uploadFieldDefinition(session, fieldName) {
+  const fields = uploadFieldsOf(session.procedure_version || DEFAULT_PROCEDURE);
+  const key = String(fieldName || '').replace(/\[\d+\]/g, '');
+  return Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : null;
+}
+
+// session_id -> { files, bytes } stored so far (rebuilt from uploads.jsonl at startup)
+const uploadTotals = {};
+function countUpload(sessionId, sizeBytes) {
+  const totals = uploadTotals[sessionId] || (uploadTotals[sessionId] = { files: 0, bytes: 0 });
+  totals.files++;
+  totals.bytes += sizeBytes || 0;
+}
+function loadUploadTotals() {
+  readJsonl('uploads.jsonl').filter(u => u.status === 'stored').forEach(u => countUpload(u.session_id, u.size_bytes));
+}
+
+app.post('/api/upload', (req, res) => {
+  const { session_id, field: fieldName } = req.query;
+  if (!session_id || !sessionIndex[session_id]) return res.status(404).json({ success: false, error: 'Session not found' });
+  const field = uploadFieldDefinition(sessionIndex[session_id], fieldName);
+  if (!field) return res.status(400).json({ success: false, error: `"${fieldName}" is not a file field` });
+
+  let fileName = 'file';
+  try { fileName = decodeURIComponent(req.get('X-File-Name') || '') || fileName; } catch { /* keep the default */ }
+  const mimeType = req.get('X-File-Type') || '';
+  // The file slot and its declared size are reserved before the body is read, so uploads running at
+  // the same time count against the caps together; the reservation is released if the file isn't stored
+  const totals = uploadTotals[session_id] || (uploadTotals[session_id] = { files: 0, bytes: 0 });
+  const declaredBytes = Number(req.get('Content-Length')) || 0;
+  let reservedBytes = 0;
+  let reserved = false;
+  const release = () => {
+    if (!reserved) return;
+    totals.files--;
+    totals.bytes -= reservedBytes;
+    reserved = false;
+  };
+  const refuse = (status, reason, message, size, detectedType) => {
+    release();
+    appendJsonl('uploads.jsonl', { session_id, field: fieldName, status: 'rejected', reason, file_name: fileName, mime_type: mimeType, detected_type: detectedType || null, size_bytes: size });
+    res.status(status).json({ success: false, reason, error: message });
+  };
+
+  const maxTotalBytes = Math.round(UPLOAD_LIMITS.maxTotalMb * 1024 * 1024);
+  const sessionSizeMessage = `Your uploads can't add up to more than ${UploadRules.formatSize(maxTotalBytes)}`;
+  if (totals.files >= UPLOAD_LIMITS.maxFiles) {
+    return refuse(413, 'session_files', `You can't upload more than ${UPLOAD_LIMITS.maxFiles} files`, declaredBytes || null);
+  }
+  if (totals.bytes + declaredBytes > maxTotalBytes) return refuse(413, 'session_size', sessionSizeMessage, declaredBytes);
+  totals.files++;
+  totals.bytes += declaredBytes;
+  reservedBytes = declaredBytes;
+  reserved = true;
+
+  express.raw({ type: () => true, limit: UploadRules.maxSizeBytes(field) })(req, res, err => {
+    try {
+      if (err && err.type === 'entity.too.large') {
+        return refuse(413, 'size', UploadRules.checkFile(field, { name: fileName, type: mimeType, size: err.length }).message, err.length);
+      }
+      if (err) {
+        release();
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      // Hold the actual size (a body sent without Content-Length reserved nothing)
+      totals.bytes += body.length - reservedBytes;
+      reservedBytes = body.length;
+      const rejection = UploadRules.checkFile(field, { name: fileName, type: mimeType, size: body.length });
+      if (rejection) return refuse(rejection.reason === 'size' ? 413 : 415, rejection.reason, rejection.message, body.length);
+      const content = UploadRules.checkContent(field, body);
+      if (content.rejection) return refuse(415, content.rejection.reason, content.rejection.message, body.length, content.detectedType);
+      if (totals.bytes > maxTotalBytes) return refuse(413, 'session_size', sessionSizeMessage, body.length, content.detectedType);
+
+      const upload_id = uuidv4();
+      const stored_name = `${upload_id}-${path.basename(fileName).replace(/[^\w.-]+/g, '_').slice(-100)}`;
+      const dir = path.join(UPLOAD_DIR, session_id);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, stored_name), body);
+      const file = {
+        upload_id,
+        file_name: fileName,
+        mime_type: content.detectedType || mimeType,
+        size_bytes: body.length,
+        sha256: crypto.createHash('sha256').update(body).digest('hex'),
+        uploaded_at: new Date().toISOString(),
+      };
+      appendJsonl('uploads.jsonl', { session_id, field: fieldName, status: 'stored', stored_name, declared_type: mimeType, ...file });
+      reserved = false;  // the reservation is now the stored file's count
+      res.json({ success: true, file });
+    } catch (error) {
+      release();
+      console.error('Error storing upload:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
 // --- Data Export ---
 const EXPORT_KEY = process.env.EXPORT_KEY || 'research2025';
 function checkKey(req, res, next) {
@@ -278,15 +856,34 @@ function checkKey(req, res, next) {
   next();
 }
 
+// Sessions with their updates applied in order. Autosaves are not merged into the session's state:
+// the latest one since the last progress save is kept as latestAutosave (null once superseded)
 function getMergedSessions() {
   const sessions = readJsonl('sessions.jsonl');
   const updates = readJsonl('sessions_updates.jsonl');
   const map = {};
   sessions.forEach(s => map[s.session_id] = { ...s });
-  updates.forEach(u => { if (map[u.session_id]) Object.assign(map[u.session_id], u); });
+  updates.forEach(u => {
+    const s = map[u.session_id];
+    if (!s) return;
+    if (u.update_type === 'autosave') s.latestAutosave = u;
+    else {
+      Object.assign(s, u);
+      if (u.update_type === 'progress') s.latestAutosave = null;
+    }
+  });
   return Object.values(map);
 }
 
+// Exportable event tables: everything in the shared schema, plus the quarantine table for invalid events
+// the log of visitors turned away by recruitment quotas, and the log of file uploads
+const VALID_FILES = {
+  ...EventSchema.TABLES,
+  [EventSchema.QUARANTINE_TABLE]: EventSchema.QUARANTINE_FILE,
+  quota_rejections: 'quota_rejections.jsonl',
+  uploads: 'uploads.jsonl',
+};
+
 app.get('/api/export/sessions', checkKey, (req, res) => {
   try { res.json(getMergedSessions()); }
   catch (err) { res.status(500).json({ error: err.message }); }
@@ -294,18 +891,9 @@ app.get('/api/export/sessions', checkKey, (req, res) => {
 
 app.get('/api/export/all/json', checkKey, (req, res) => {
   try {
-    res.json({
-      sessions: getMergedSessions(),
-      page_events: readJsonl('page_events.jsonl'),
-      click_events: readJsonl('click_events.jsonl'),
-      visibility_events: readJsonl('visibility_events.jsonl'),
-      scroll_events: readJsonl('scroll_events.jsonl'),
-      field_events: readJsonl('field_events.jsonl'),
-      form_responses: readJsonl('form_responses.jsonl'),
-      navigation_events: readJsonl('navigation_events.jsonl'),
-      document_events: readJsonl('document_events.jsonl'),
-      validation_events: readJsonl('validation_events.jsonl'),
-    });
+    const all = { sessions: getMergedSessions() };
+    Object.entries(VALID_FILES).forEach(([table, filename]) => { all[table] = readJsonl(filename); });
+    res.json(all);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -358,6 +946,63 @@ const ANSWER_KEY = {
   vehicle_env_classification: { correct: 'z3' },
 };
 
+// Whether a submitted value satisfies an ANSWER_KEY rule
+function isCorrectAnswer(rule, submitted) {
+  if (rule.type === 'checkbox_must_include') {
+    const arr = Array.isArray(submitted) ? submitted : [submitted];
+    return rule.correct.every(req => arr.includes(req));
+  }
+  if (rule.type === 'one_of') return rule.correct.includes(submitted);
+  if (rule.compare) return rule.compare(submitted, rule.correct);
+  const normalize = rule.normalize || (v => v);
+  return normalize(String(submitted)) === normalize(String(rule.correct));
+}
+
+const isEmptyAnswer = v => v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+
+/**
+ * Summarise a session's answer revisions (valueHistory: field -> [{ value, at, pageId, visit }]).
+ * Returns { field: { first, revisions, correctnessChange } }. correctnessChange compares the first and
+ * final answers against ANSWER_KEY: 'correct_to_incorrect', 'incorrect_to_correct' or 'unchanged';
+ * '' for fields outside the key or when either answer is empty.
+ */
+function summarizeRevisions(session) {
+  const summary = {};
+  Object.entries(session.valueHistory || {}).forEach(([field, history]) => {
+    if (!Array.isArray(history) || history.length === 0) return;
+    const first = history[0].value;
+    const final = history[history.length - 1].value;
+    const rule = ANSWER_KEY[field];
+    let correctnessChange = '';
+    if (rule && !isEmptyAnswer(first) && !isEmptyAnswer(final)) {
+      const firstCorrect = isCorrectAnswer(rule, first);
+      const finalCorrect = isCorrectAnswer(rule, final);
+      if (firstCorrect === finalCorrect) correctnessChange = 'unchanged';
+      else correctnessChange = firstCorrect ? 'correct_to_incorrect' : 'incorrect_to_correct';
+    }
+    summary[field] = { first, revisions: history.length - 1, correctnessChange };
+  });
+  return summary;
+}
+
+/**
+ * Summarise the friction modules a session ran into (pageTimings[].friction, see public/js/friction.js).
+ * Returns { totalMs, modules: { id: { activations, ms, attempts } } }. Sessions still in progress
+ * fall back to the page timings saved with their tracker state.
+ */
+function summarizeFriction(session) {
+  const pageTimings = session.pageTimings || (session.trackerState && session.trackerState.pageTimings) || [];
+  const summary = { totalMs: 0, modules: {} };
+  pageTimings.forEach(pt => (pt.friction || []).forEach(run => {
+    const module = summary.modules[run.id] = summary.modules[run.id] || { activations: 0, ms: 0, attempts: 0 };
+    module.activations++;
+    module.ms += run.durationMs || 0;
+    module.attempts += run.attempts || 0;
+    summary.totalMs += run.durationMs || 0;
+  }));
+  return summary;
+}
+
 /**
  * Score a session's form responses against the answer key.
  * Returns { totalErrors, errors: [{ field, submitted, expected, description }], wouldReject }
@@ -374,12 +1019,11 @@ function scoreApplication(session) {
     const submitted = responses[field];
     if (submitted === undefined || submitted === null || submitted === '') continue; // didn't reach this field
 
-    let isCorrect = false;
+    const isCorrect = isCorrectAnswer(rule, submitted);
 
     if (rule.type === 'checkbox_must_include') {
       // Submitted should be an array containing all required values
       const arr = Array.isArray(submitted) ? submitted : [submitted];
-      isCorrect = rule.correct.every(req => arr.includes(req));
       if (!isCorrect) {
         const missing = rule.correct.filter(req => !arr.includes(req));
         result.errors.push({
@@ -400,7 +1044,6 @@ function scoreApplication(session) {
       }
     } else if (rule.type === 'one_of') {
       // Submitted should be one of the acceptable values
-      isCorrect = rule.correct.includes(submitted);
       if (!isCorrect) {
         result.errors.push({
           field, submitted, expected: `one of: ${rule.correct.join(', ')}`,
@@ -410,7 +1053,6 @@ function scoreApplication(session) {
       }
     } else if (rule.compare) {
       // Custom comparison function
-      isCorrect = rule.compare(submitted, rule.correct);
       if (!isCorrect) {
         result.errors.push({
           field, submitted, expected: rule.correct,
@@ -420,10 +1062,6 @@ function scoreApplication(session) {
       }
     } else {
       // Simple value comparison (with optional normalization)
-      const normalize = rule.normalize || (v => v);
-      const normSubmitted = normalize(String(submitted));
-      const normCorrect = normalize(String(rule.correct));
-      isCorrect = normSubmitted === normCorrect;
       if (!isCorrect) {
         result.errors.push({
           field, submitted, expected: rule.correct,
@@ -439,6 +1077,73 @@ function scoreApplication(session) {
   return result;
 }
 
+// --- Server-side timing reconciliation ---
+// Client durations can be distorted by clock changes, sleep or resume. The server instead
+// rebuilds page dwell times from its own receipt times: each progress call is received when
+// the participant leaves a page, so the time since the previous call (or session start) is
+// the dwell on the page they just left (`exitedPageId`). The first call after a resume (a refresh,
+// or the next sitting after "Save and come back later") follows time spent away, so it only restarts
+// the count. Sessions whose client and server application times differ by more than the tolerance
+// are flagged in the CSV.
+const TIMING_TOLERANCE_MS = Number(process.env.TIMING_TOLERANCE_MS) || 30000;
+const TIMING_TOLERANCE_PCT = 0.1;
+
+// resumedAt: client timestamps of the session's session_resume events, for progress saved before
+// the save made on resuming was marked `resumed` (compared with client_sent_at, the same clock)
+function reconstructServerTiming(session, progressUpdates, resumedAt = []) {
+  const start = session.started_at ? Date.parse(session.started_at) : null;
+  const marks = progressUpdates
+    .filter(u => u.server_received_at)
+    .sort((a, b) => a.server_received_at - b.server_received_at);
+  if (!start || marks.length === 0) return null;
+
+  const pageMs = {};
+  let prev = start;
+  let prevSentAt = null;
+  marks.forEach(u => {
+    const sentAt = u.client_sent_at || null;
+    const afterResume = u.resumed || (sentAt != null && resumedAt.some(t => t <= sentAt && (prevSentAt == null || t > prevSentAt)));
+    if (u.exitedPageId && !afterResume) pageMs[u.exitedPageId] = (pageMs[u.exitedPageId] || 0) + (u.server_received_at - prev);
+    prev = u.server_received_at;
+    prevSentAt = sentAt;
+  });
+  const completedAt = session.completed_at ? Date.parse(session.completed_at) : null;
+  const totalDurationMs = (completedAt || prev) - start;
+  const applicationDurationMs = APPLICATION_PAGES.reduce((sum, pid) => sum + (pageMs[pid] || 0), 0);
+
+  // Client time on the same pages, so both sides cover exactly the same page set
+  const clientApplicationMs = (session.pageTimings || [])
+    .filter(pt => APPLICATION_PAGES.includes(pt.pageId))
+    .reduce((sum, pt) => sum + (pt.durationMs || 0), 0);
+  const discrepancyMs = clientApplicationMs - applicationDurationMs;
+  const flagged = Math.abs(discrepancyMs) > Math.max(TIMING_TOLERANCE_MS, applicationDurationMs * TIMING_TOLERANCE_PCT);
+
+  return { pageMs, totalDurationMs, applicationDurationMs, clientApplicationMs, discrepancyMs, flagged };
+}
+
+// Per-document totals for one session. Accordion and drawer views are separate interactions
+// (source 'accordion' | 'drawer'); interactions recorded before drawer tracking have no source.
+function summarizeDocInteractions(docInteractions) {
+  const docMap = {};
+  (docInteractions || []).forEach(di => {
+    if (!docMap[di.docId]) {
+      docMap[di.docId] = { opens: 0, totalMs: 0, drawerOpens: 0, drawerMs: 0, zoomChanges: 0, maxZoomLevel: 1, zoomTimeMs: {}, maxScrollTopPct: 0 };
+    }
+    const d = docMap[di.docId];
+    d.opens++;
+    d.totalMs += di.durationMs || 0;
+    if (di.source === 'drawer') {
+      d.drawerOpens++;
+      d.drawerMs += di.durationMs || 0;
+      d.zoomChanges += di.zoomChanges || 0;
+      d.maxZoomLevel = Math.max(d.maxZoomLevel, di.maxZoomLevel || 1);
+      d.maxScrollTopPct = Math.max(d.maxScrollTopPct, di.maxScrollTopPct || 0);
+      Object.entries(di.zoomTimeMs || {}).forEach(([z, ms]) => { d.zoomTimeMs[z] = (d.zoomTimeMs[z] || 0) + ms; });
+    }
+  });
+  return docMap;
+}
+
 // --- CSV Export: one row per session ---
 app.get('/api/export/csv', checkKey, (req, res) => {
   try {
@@ -449,11 +1154,22 @@ app.get('/api/export/csv', checkKey, (req, res) => {
       return res.send('');
     }
 
+    // Repeating groups (arrays of items) are flattened into <name>_count and <name>_<n>_<sub> columns
+    const repeatFields = new Set();
+    sessions.forEach(s => {
+      if (s.formResponses) {
+        Object.values(s.formResponses).forEach(pageData => {
+          Object.entries(pageData).forEach(([k, v]) => { if (isRepeatValue(v)) repeatFields.add(k); });
+        });
+      }
+    });
     const allFormFields = new Set();
     sessions.forEach(s => {
       if (s.formResponses) {
         Object.values(s.formResponses).forEach(pageData => {
-          Object.keys(pageData).forEach(k => allFormFields.add(k));
+          Object.entries(pageData).forEach(([k, v]) => {
+            Object.keys(flattenResponse(k, v, repeatFields.has(k))).forEach(col => allFormFields.add(col));
+          });
         });
       }
     });
@@ -468,6 +1184,33 @@ app.get('/api/export/csv', checkKey, (req, res) => {
       if (s.docInteractions) s.docInteractions.forEach(di => allDocIds.add(di.docId));
     });
 
+    const allInteractionFields = new Set();
+    const conditionalFields = new Set();   // showIf fields that were hidden for at least one participant
+    const uploadFields = new Set();        // file fields someone chose a file for
+    sessions.forEach(s => {
+      if (s.fieldInteractions) Object.entries(s.fieldInteractions).forEach(([f, fi]) => {
+        allInteractionFields.add(f);
+        if (fi.hidden || fi.visibilityChanges) conditionalFields.add(f);
+        if (fi.uploadAttempts) uploadFields.add(f);
+      });
+    });
+
+    // Answer revisions (first value vs final value), summarised once per session
+    const revisionsBySession = {};
+    const revisionFields = new Set();
+    sessions.forEach(s => {
+      revisionsBySession[s.session_id] = summarizeRevisions(s);
+      Object.keys(revisionsBySession[s.session_id]).forEach(f => revisionFields.add(f));
+    });
+
+    // Friction modules: activations, time and attempts per module id
+    const frictionBySession = {};
+    const frictionModules = new Set();
+    sessions.forEach(s => {
+      frictionBySession[s.session_id] = summarizeFriction(s);
+      Object.keys(frictionBySession[s.session_id].modules).forEach(id => frictionModules.add(id));
+    });
+
     // Enrich sessions with completion_status and last_page
     sessions.forEach(s => {
       s.completion_status = getCompletionStatus(s);
@@ -475,53 +1218,142 @@ app.get('/api/export/csv', checkKey, (req, res) => {
     });
 
     const baseHeaders = [
-      'session_id', 'prolific_pid', 'study_id', 'condition_code', 'condition_forced', 'procedure_version',
+      'session_id', 'prolific_pid', 'study_id', 'condition_code', 'condition_forced', 'procedure_version', 'procedure_forced',
       'started_at', 'completed_at', 'completion_status', 'last_page', 'consent_given',
-      'totalDurationMs', 'applicationDurationMs', 'activeApplicationDurationMs', 'totalHiddenMs', 'totalDocTimeMs', 'totalDocOpens', 'totalErrors',
+      'totalDurationMs', 'applicationDurationMs', 'activeApplicationDurationMs', 'engagedApplicationDurationMs', 'totalHiddenMs', 'idleMs', 'totalDocTimeMs', 'totalDocOpens', 'totalErrors',
       'screen_width', 'screen_height', 'timezone', 'language', 'platform',
     ];
 
-    const pageTimingHeaders = Array.from(allPageIds).sort().flatMap(pid => [`time_${pid}_ms`, `active_time_${pid}_ms`]);
+    const pageTimingHeaders = Array.from(allPageIds).sort().flatMap(pid => [`time_${pid}_ms`, `active_time_${pid}_ms`, `engaged_time_${pid}_ms`, `scroll_depth_${pid}_pct`, `clicks_${pid}`]);
     const docHeaders = [];
     Array.from(allDocIds).sort().forEach(did => {
-      docHeaders.push(`doc_${did}_opens`, `doc_${did}_totalMs`);
+      docHeaders.push(`doc_${did}_opens`, `doc_${did}_totalMs`,
+        `doc_${did}_drawer_opens`, `doc_${did}_drawer_ms`, `doc_${did}_zoom_changes`,
+        `doc_${did}_max_zoom_pct`, `doc_${did}_zoom_time_ms`, `doc_${did}_max_scroll_pct`);
     });
+    // Per-field interaction summary (focus, edits, corrections, paste, autofill)
+    const FIELD_METRICS = ['focus_ms', 'focus_count', 'keystrokes', 'edits', 'deletions', 'pastes', 'autofills', 'first_input_ms'];
+    const UPLOAD_METRICS = ['upload_attempts', 'upload_rejections', 'upload_ms', 'time_to_upload_ms'];
+    const fieldInteractionHeaders = Array.from(allInteractionFields).sort()
+      .flatMap(f => [
+        ...FIELD_METRICS.map(m => `field_${f}_${m}`),
+        ...(conditionalFields.has(f) ? [`field_${f}_hidden`] : []),
+        ...(uploadFields.has(f) ? UPLOAD_METRICS.map(m => `field_${f}_${m}`) : []),
+      ]);
     const errorByPageHeaders = Array.from(allPageIds).sort().map(pid => `errors_${pid}`);
-    const formFieldHeaders = Array.from(allFormFields).sort();
+    const formFieldHeaders = Array.from(allFormFields).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
 
     const qualityHeaders = ['quality_errors', 'quality_would_reject', 'quality_error_fields', 'quality_error_details',
       'overdoc_eligibility', 'overdoc_eligibility_extras', 'overdoc_eligibility_total_selected',
       'overdoc_residence', 'overdoc_residence_selected',
       'ineligible_skipped'];
+    // Review page "Change" links: links followed, changes that amended an answer, which answers, time spent
+    const reviewHeaders = ['review_change_clicks', 'review_changes_amended', 'review_amended_fields', 'review_change_ms'];
+    // Answer revisions: totals, then per field the first committed value, how many times it changed,
+    // and (for answer-key fields) whether the change made the answer correct or incorrect
+    const revisionHeaders = ['answers_revised', 'answer_revisions', 'revisions_correct_to_incorrect', 'revisions_incorrect_to_correct',
+      ...Array.from(revisionFields).sort().flatMap(f => [
+        `field_${f}_first_value`, `field_${f}_revisions`,
+        ...(ANSWER_KEY[f] ? [`field_${f}_correctness_change`] : []),
+      ])];
+    // Refreshes / returns to the link that resumed the session (session_resume events), and the pages they happened on
+    const resumesBySession = {};
+    readJsonl(EventSchema.TABLES.session_events).forEach(e => {
+      if (e.type !== 'session_resume') return;
+      (resumesBySession[e.session_id] = resumesBySession[e.session_id] || []).push(e);
+    });
+    const resumeHeaders = ['resume_count', 'resume_pages'];
+    // Sittings ("Save and come back later"): application time within each sitting and across the whole process
+    const sittingHeaders = ['sittings', 'break_count', 'breaks_ms', 'sitting_application_ms', 'application_elapsed_ms'];
+    // Friction modules: total time they added, then per module how often it ran, its time and attempts
+    const frictionHeaders = ['friction_activations', 'friction_total_ms',
+      ...Array.from(frictionModules).sort().flatMap(id => [`friction_${id}_activations`, `friction_${id}_ms`, `friction_${id}_attempts`])];
     const computedHeaders = ['time_estimate_total_seconds'];
-    const headers = [...baseHeaders, ...pageTimingHeaders, ...docHeaders, ...errorByPageHeaders, ...formFieldHeaders, ...qualityHeaders, ...computedHeaders];
+
+    // Server-side timing reconciliation (from progress receipt times)
+    const progressBySession = {};
+    readJsonl('sessions_updates.jsonl').forEach(u => {
+      if (u.update_type !== 'progress') return;
+      (progressBySession[u.session_id] = progressBySession[u.session_id] || []).push(u);
+    });
+    const serverTimings = {};
+    sessions.forEach(s => {
+      const resumedAt = (resumesBySession[s.session_id] || []).map(e => e.timestamp).filter(Boolean);
+      serverTimings[s.session_id] = reconstructServerTiming(s, progressBySession[s.session_id] || [], resumedAt);
+    });
+    const timingHeaders = ['server_totalDurationMs', 'server_applicationDurationMs', 'client_applicationPagesMs',
+      'timing_discrepancy_ms', 'timing_reconciliation_flag',
+      ...Array.from(allPageIds).sort().map(pid => `server_time_${pid}_ms`)];
+    // Exclusion flags — excluded sessions stay in the export so analysts can apply their own cut
+    const exclusions = evaluateExclusions(sessions, loadExclusionConfig());
+    const exclusionHeaders = ['excluded', 'exclusion_reasons'];
+    const designHeaders = ['cell', ...DESIGN_FACTORS.map(f => `factor_${f.name}`), 'stratum', 'allocation_method', 'allocation_position'];
+    const headers = [...baseHeaders, ...designHeaders, ...pageTimingHeaders, ...docHeaders, ...fieldInteractionHeaders, ...errorByPageHeaders, ...formFieldHeaders, ...qualityHeaders, ...reviewHeaders, ...revisionHeaders, ...resumeHeaders, ...sittingHeaders, ...frictionHeaders, ...computedHeaders, ...timingHeaders, ...exclusionHeaders];
 
     const rows = sessions.map(s => {
       const row = {};
       baseHeaders.forEach(h => { row[h] = s[h] != null ? s[h] : ''; });
 
+      // Design cell and one column per factor (blank for factors added after the session started)
+      const levels = getSessionFactors(s);
+      row['cell'] = getSessionCell(s) || '';
+      DESIGN_FACTORS.forEach(f => { row[`factor_${f.name}`] = levels[f.name] || ''; });
+      row['stratum'] = s.stratum || '';
+      row['allocation_method'] = s.allocation ? s.allocation.method : '';
+      row['allocation_position'] = s.allocation && s.allocation.position != null ? s.allocation.position : '';
+
       const timingMap = {};
       const activeTimingMap = {};
+      const engagedTimingMap = {};
+      const scrollDepthMap = {};  // max across visits
+      const clickMap = {};        // summed across visits
       if (s.pageTimings) s.pageTimings.forEach(pt => {
         timingMap[pt.pageId] = (timingMap[pt.pageId] || 0) + (pt.durationMs || 0);
         activeTimingMap[pt.pageId] = (activeTimingMap[pt.pageId] || 0) + (pt.activeTimeMs != null ? pt.activeTimeMs : (pt.durationMs || 0));
+        // Sessions recorded before idle detection have no engagedTimeMs — leave their column blank
+        if (pt.engagedTimeMs != null) engagedTimingMap[pt.pageId] = (engagedTimingMap[pt.pageId] || 0) + pt.engagedTimeMs;
+        if (pt.maxScrollDepthPct != null) scrollDepthMap[pt.pageId] = Math.max(scrollDepthMap[pt.pageId] || 0, pt.maxScrollDepthPct);
+        if (pt.clickCount != null) clickMap[pt.pageId] = (clickMap[pt.pageId] || 0) + pt.clickCount;
       });
       Array.from(allPageIds).sort().forEach(pid => {
         row[`time_${pid}_ms`] = timingMap[pid] != null ? timingMap[pid] : '';
         row[`active_time_${pid}_ms`] = activeTimingMap[pid] != null ? activeTimingMap[pid] : '';
+        row[`engaged_time_${pid}_ms`] = engagedTimingMap[pid] != null ? engagedTimingMap[pid] : '';
+        row[`scroll_depth_${pid}_pct`] = scrollDepthMap[pid] != null ? scrollDepthMap[pid] : '';
+        row[`clicks_${pid}`] = clickMap[pid] != null ? clickMap[pid] : '';
       });
 
-      const docMap = {};
-      if (s.docInteractions) {
-        s.docInteractions.forEach(di => {
-          if (!docMap[di.docId]) docMap[di.docId] = { opens: 0, totalMs: 0 };
-          docMap[di.docId].opens++;
-          docMap[di.docId].totalMs += di.durationMs || 0;
-        });
-      }
+      const docMap = summarizeDocInteractions(s.docInteractions);
       Array.from(allDocIds).sort().forEach(did => {
-        row[`doc_${did}_opens`] = docMap[did] ? docMap[did].opens : 0;
-        row[`doc_${did}_totalMs`] = docMap[did] ? docMap[did].totalMs : 0;
+        const d = docMap[did];
+        row[`doc_${did}_opens`] = d ? d.opens : 0;
+        row[`doc_${did}_totalMs`] = d ? d.totalMs : 0;
+        row[`doc_${did}_drawer_opens`] = d ? d.drawerOpens : 0;
+        row[`doc_${did}_drawer_ms`] = d ? d.drawerMs : 0;
+        row[`doc_${did}_zoom_changes`] = d ? d.zoomChanges : 0;
+        row[`doc_${did}_max_zoom_pct`] = d && d.drawerOpens ? Math.round(d.maxZoomLevel * 100) : '';
+        // Time at each zoom level, e.g. "100:5200;150:1800" (zoom % : ms)
+        row[`doc_${did}_zoom_time_ms`] = d ? Object.entries(d.zoomTimeMs).sort((a, b) => a[0] - b[0]).map(([z, ms]) => `${z}:${ms}`).join(';') : '';
+        row[`doc_${did}_max_scroll_pct`] = d && d.drawerOpens ? d.maxScrollTopPct : '';
+      });
+
+      Array.from(allInteractionFields).sort().forEach(f => {
+        const fi = s.fieldInteractions?.[f];
+        row[`field_${f}_focus_ms`] = fi ? fi.focusMs : '';
+        row[`field_${f}_focus_count`] = fi ? fi.focusCount : '';
+        row[`field_${f}_keystrokes`] = fi ? fi.keystrokes : '';
+        row[`field_${f}_edits`] = fi ? fi.edits : '';
+        row[`field_${f}_deletions`] = fi ? fi.deletions : '';
+        row[`field_${f}_pastes`] = fi ? fi.pastes : '';
+        row[`field_${f}_autofills`] = fi ? fi.autofills : '';
+        row[`field_${f}_first_input_ms`] = fi && fi.firstInputMs != null ? fi.firstInputMs : '';
+        if (conditionalFields.has(f)) row[`field_${f}_hidden`] = fi ? (fi.hidden ? 'yes' : 'no') : '';
+        if (uploadFields.has(f)) {
+          row[`field_${f}_upload_attempts`] = fi ? fi.uploadAttempts || 0 : '';
+          row[`field_${f}_upload_rejections`] = fi ? fi.uploadRejections || 0 : '';
+          row[`field_${f}_upload_ms`] = fi ? fi.uploadMs || 0 : '';
+          row[`field_${f}_time_to_upload_ms`] = fi && fi.timeToUploadMs != null ? fi.timeToUploadMs : '';
+        }
       });
 
       Array.from(allPageIds).sort().forEach(pid => {
@@ -532,9 +1364,10 @@ app.get('/api/export/csv', checkKey, (req, res) => {
       if (s.formResponses) {
         Object.values(s.formResponses).forEach(pageData => Object.assign(allResponses, pageData));
       }
+      const flatResponses = {};
+      Object.entries(allResponses).forEach(([k, v]) => Object.assign(flatResponses, flattenResponse(k, v, repeatFields.has(k))));
       formFieldHeaders.forEach(f => {
-        const val = allResponses[f];
-        row[f] = val != null ? (Array.isArray(val) ? val.join(';') : val) : '';
+        row[f] = flatResponses[f] != null ? flatResponses[f] : '';
       });
 
       // Application quality scoring
@@ -559,11 +1392,67 @@ app.get('/api/export/csv', checkKey, (req, res) => {
       const isIneligible = allResponses.is_eligible === 'no';
       row['ineligible_skipped'] = isIneligible ? 'yes' : 'no';
 
+      const reviewChanges = s.reviewChanges || [];
+      row['review_change_clicks'] = reviewChanges.length;
+      row['review_changes_amended'] = reviewChanges.filter(c => c.amendedFields && c.amendedFields.length > 0).length;
+      row['review_amended_fields'] = [...new Set(reviewChanges.flatMap(c => c.amendedFields || []))].join(';');
+      row['review_change_ms'] = reviewChanges.reduce((sum, c) => sum + (c.durationMs || 0), 0);
+
+      const revisions = revisionsBySession[s.session_id];
+      const revised = Object.values(revisions).filter(r => r.revisions > 0);
+      row['answers_revised'] = revised.length;
+      row['answer_revisions'] = revised.reduce((sum, r) => sum + r.revisions, 0);
+      row['revisions_correct_to_incorrect'] = revised.filter(r => r.correctnessChange === 'correct_to_incorrect').length;
+      row['revisions_incorrect_to_correct'] = revised.filter(r => r.correctnessChange === 'incorrect_to_correct').length;
+      Object.entries(revisions).forEach(([f, r]) => {
+        row[`field_${f}_first_value`] = answerText(r.first);
+        row[`field_${f}_revisions`] = r.revisions;
+        if (ANSWER_KEY[f]) row[`field_${f}_correctness_change`] = r.correctnessChange;
+      });
+
+      const resumes = (resumesBySession[s.session_id] || []).sort((a, b) => a.seq - b.seq);
+      row['resume_count'] = resumes.length;
+      row['resume_pages'] = resumes.map(e => e.pageId).join(';');
+
+      // Sessions still in progress only have the sittings saved with their tracker state (no per-sitting times)
+      const sittings = (s.sittings && s.sittings.length > 0) ? s.sittings : ((s.trackerState && s.trackerState.sittings) || []);
+      const breaks = sittings.slice(1).map((sit, i) => (sittings[i].endedAt && sit.startedAt ? sit.startedAt - sittings[i].endedAt : 0));
+      row['sittings'] = sittings.length || '';
+      row['break_count'] = breaks.length;
+      row['breaks_ms'] = breaks.reduce((sum, ms) => sum + ms, 0);
+      row['sitting_application_ms'] = sittings.every(sit => sit.applicationMs != null) ? sittings.map(sit => sit.applicationMs).join(';') : '';
+      row['application_elapsed_ms'] = s.applicationElapsedMs || '';
+
+      const friction = frictionBySession[s.session_id];
+      row['friction_activations'] = Object.values(friction.modules).reduce((sum, m) => sum + m.activations, 0);
+      row['friction_total_ms'] = friction.totalMs;
+      Array.from(frictionModules).forEach(id => {
+        const m = friction.modules[id];
+        row[`friction_${id}_activations`] = m ? m.activations : 0;
+        row[`friction_${id}_ms`] = m ? m.ms : 0;
+        row[`friction_${id}_attempts`] = m ? m.attempts : 0;
+      });
+
       // Computed: time estimate in total seconds (for easier analysis)
       const estMin = parseInt(allResponses.time_estimate_minutes) || 0;
       const estSec = parseInt(allResponses.time_estimate_seconds) || 0;
       row['time_estimate_total_seconds'] = (estMin > 0 || estSec > 0) ? (estMin * 60 + estSec) : '';
 
+      // Timing reconciliation — blank when the session has no timestamped progress calls
+      const st = serverTimings[s.session_id];
+      row['server_totalDurationMs'] = st ? st.totalDurationMs : '';
+      row['server_applicationDurationMs'] = st ? st.applicationDurationMs : '';
+      row['client_applicationPagesMs'] = st ? st.clientApplicationMs : '';
+      row['timing_discrepancy_ms'] = st ? st.discrepancyMs : '';
+      row['timing_reconciliation_flag'] = st ? (st.flagged ? 'yes' : 'no') : '';
+      Array.from(allPageIds).sort().forEach(pid => {
+        row[`server_time_${pid}_ms`] = st && st.pageMs[pid] != null ? st.pageMs[pid] : '';
+      });
+
+      const ex = exclusions[s.session_id];
+      row['excluded'] = ex.excluded ? 'yes' : 'no';
+      row['exclusion_reasons'] = ex.reasons.join(';');
+
       return row;
     });
 
@@ -584,14 +1473,6 @@ app.get('/api/export/csv', checkKey, (req, res) => {
 });
 
 // --- Per-table export ---
-const VALID_FILES = {
-  page_events: 'page_events.jsonl', click_events: 'click_events.jsonl',
-  visibility_events: 'visibility_events.jsonl', scroll_events: 'scroll_events.jsonl',
-  field_events: 'field_events.jsonl', form_responses: 'form_responses.jsonl',
-  navigation_events: 'navigation_events.jsonl', document_events: 'document_events.jsonl',
-  validation_events: 'validation_events.jsonl',
-};
-
 app.get('/api/export/:table', checkKey, (req, res) => {
   const table = req.params.table;
   if (table === 'sessions' || table === 'all' || table === 'csv') return;
@@ -616,28 +1497,51 @@ app.get('/api/export/:table', checkKey, (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// --- Uploaded files ---
+app.get('/api/export/uploads/:session_id/:upload_id', checkKey, (req, res) => {
+  try {
+    const upload = readJsonl('uploads.jsonl').find(u => u.status === 'stored' && u.session_id === req.params.session_id && u.upload_id === req.params.upload_id);
+    if (!upload) return res.status(404).json({ error: 'Upload not found' });
+    res.download(path.join(UPLOAD_DIR, upload.session_id, upload.stored_name), upload.file_name);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// --- Form responses in the CSV ---
+// A repeat field's answer is an array of { sub-field: value } items
+function isRepeatValue(value) {
+  return Array.isArray(value) && value.some(item => item && typeof item === 'object' && !Array.isArray(item));
+}
+
+// A file field's answer is the metadata returned by /api/upload
+const isUploadValue = value => !!value && typeof value === 'object' && !Array.isArray(value) && !!value.upload_id;
+
+// One answer → CSV columns. Repeat fields become <name>_count plus <name>_<n>_<sub> for item n (from 1);
+// uploads become <name> (file name), <name>_size_bytes, <name>_mime_type and <name>_upload_id;
+// checkbox arrays are joined with ';'
+function flattenResponse(name, value, isRepeat) {
+  const columnsFor = (col, v) => {
+    if (isUploadValue(v)) {
+      return { [col]: v.file_name, [`${col}_size_bytes`]: v.size_bytes, [`${col}_mime_type`]: v.mime_type, [`${col}_upload_id`]: v.upload_id };
+    }
+    return { [col]: v != null ? (Array.isArray(v) ? v.join(';') : v) : '' };
+  };
+  if (!isRepeat) return columnsFor(name, value);
+  const items = Array.isArray(value) ? value : [];
+  const columns = { [`${name}_count`]: items.length };
+  items.forEach((item, i) => Object.entries(item || {}).forEach(([sub, v]) => Object.assign(columns, columnsFor(`${name}_${i + 1}_${sub}`, v))));
+  return columns;
+}
+
+// One answer as a single CSV cell: checkbox arrays joined with ';', uploads by file name,
+// repeat groups as JSON
+function answerText(value) {
+  if (value == null) return '';
+  if (isUploadValue(value)) return value.file_name;
+  if (Array.isArray(value)) return value.some(v => v && typeof v === 'object') ? JSON.stringify(value) : value.join(';');
+  return value;
+}
+
 // --- Friendly page names ---
-const PAGE_NAMES = {
-  consent: 'Consent',
-  instructions: 'Instructions',
-  confirm_instructions: 'Confirm instructions',
-  applicant_details: 'Applicant details',
-  eligibility_rules: 'Eligibility rules & decision',
-  doc_upload_eligibility: 'Upload eligibility docs',
-  doc_upload_residence: 'Upload residence docs',
-  vehicle_info: 'Vehicle information',
-  vehicle_category: 'Vehicle category',
-  vehicle_fuel: 'Vehicle fuel type',
-  vehicle_env_class: 'Vehicle environmental class',
-  application_review: 'Review & submit',
-  application_submitted: 'Application submitted',
-  demographics: 'Demographics',
-  attention_check: 'Attention check',
-  feedback: 'Feedback',
-  debrief: 'Debrief',
-  ineligible_end: 'Ineligible (skipped)',
-  completion: 'Completion',
-};
 const DOC_NAMES = {
   driving_license: 'Driving License',
   vehicle_registration: 'Vehicle Registration',
@@ -649,26 +1553,6 @@ const DOC_NAMES = {
 const pageName = id => PAGE_NAMES[id] || id;
 const docName = id => DOC_NAMES[id] || id;
 
-// Ordered pages for consistent display
-const PAGE_ORDER = [
-  'consent', 'instructions', 'confirm_instructions',
-  'applicant_details',
-  'eligibility_rules', 'doc_upload_eligibility', 'doc_upload_residence',
-  'vehicle_info', 'vehicle_category', 'vehicle_fuel', 'vehicle_env_class',
-  'application_review', 'application_submitted',
-  'ineligible_end',
-  'demographics', 'attention_check',
-  'feedback', 'debrief', 'completion',
-];
-
-// Pages that are part of the main task (application)
-const APPLICATION_PAGES = [
-  'applicant_details',
-  'eligibility_rules', 'doc_upload_eligibility', 'doc_upload_residence',
-  'vehicle_info', 'vehicle_category', 'vehicle_fuel', 'vehicle_env_class',
-  'application_review',
-];
-
 // Completion status — 5 categories:
 // - "complete"   : did EVERYTHING — full procedure + post-task (demographics, feedback) + returned to Prolific
 // - "submitted"  : submitted the application but dropped before finishing post-task/Prolific. Procedure data is exploitable.
@@ -728,6 +1612,372 @@ function getLastPage(session) {
   return PAGE_ORDER[idx] || `page_${idx}`;
 }
 
+// --- Inferential statistics (between-condition tests) ---
+// Two-sample tests used by the time-estimation analysis. p-values are two-sided.
+// Bootstrap CIs use a fixed seed so the dashboard shows the same interval on every reload.
+const BOOTSTRAP_ITERATIONS = 2000;
+const BOOTSTRAP_SEED = 20250101;
+
+const meanOf = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+const varianceOf = arr => {
+  const m = meanOf(arr);
+  return arr.reduce((acc, v) => acc + (v - m) ** 2, 0) / (arr.length - 1);
+};
+// Median of a numeric array (0 when empty)
+const medianOf = arr => {
+  if (arr.length === 0) return 0;
+  const sorted = [...arr].sort((x, y) => x - y);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+const roundTo = (v, dp) => (v == null || !Number.isFinite(v) ? null : Number(v.toFixed(dp)));
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach(ci => { ser += ci / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Regularized incomplete beta I_x(a, b), continued-fraction evaluation (Numerical Recipes betacf)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < 1e-30) d = 1e-30;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < 1e-30) d = 1e-30;
+    c = 1 + aa / c; if (Math.abs(c) < 1e-30) c = 1e-30;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < 1e-30) d = 1e-30;
+    c = 1 + aa / c; if (Math.abs(c) < 1e-30) c = 1e-30;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-12) break;
+  }
+  return front * h / a;
+}
+
+// Two-sided p-value for Student's t with df degrees of freedom
+function tTestPValue(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Welch's unequal-variance t-test (a − b)
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const va = varianceOf(a) / a.length;
+  const vb = varianceOf(b) / b.length;
+  if (va + vb === 0) return null;
+  const t = (meanOf(a) - meanOf(b)) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { t: roundTo(t, 3), df: roundTo(df, 1), p: roundTo(tTestPValue(t, df), 4) };
+}
+
+// Mann–Whitney U (normal approximation with tie and continuity correction).
+// rankBiserial = (U_a − U_b) / (n_a · n_b): positive when values in a tend to be larger.
+function mannWhitneyU(a, b) {
+  if (a.length === 0 || b.length === 0) return null;
+  const combined = [...a.map(v => ({ v, g: 0 })), ...b.map(v => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+  const n = combined.length;
+  let rankSumA = 0, tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && combined[j + 1].v === combined[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (combined[k].g === 0) rankSumA += rank;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    i = j + 1;
+  }
+  const n1 = a.length, n2 = b.length;
+  const uA = rankSumA - n1 * (n1 + 1) / 2;
+  const uB = n1 * n2 - uA;
+  const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1) || 1)));
+  const z = sigma > 0 ? Math.max(Math.abs(uA - n1 * n2 / 2) - 0.5, 0) / sigma : 0;
+  return {
+    U: roundTo(Math.min(uA, uB), 1),
+    z: roundTo(z, 3),
+    p: sigma > 0 ? roundTo(2 * (1 - normalCdf(z)), 4) : 1,
+    rankBiserial: roundTo((uA - uB) / (n1 * n2), 3),
+  };
+}
+
+// Cohen's d with pooled standard deviation (a − b)
+function cohensD(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const pooled = Math.sqrt(((a.length - 1) * varianceOf(a) + (b.length - 1) * varianceOf(b)) / (a.length + b.length - 2));
+  return pooled > 0 ? roundTo((meanOf(a) - meanOf(b)) / pooled, 3) : null;
+}
+
+// Seeded PRNG (mulberry32) so bootstrap resamples are reproducible
+function seededRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Percentile bootstrap 95% CIs for each group mean and for the mean difference (a − b)
+function bootstrapMeanCIs(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const rand = seededRandom(BOOTSTRAP_SEED);
+  const resampleMean = arr => {
+    let sum = 0;
+    for (let i = 0; i < arr.length; i++) sum += arr[Math.floor(rand() * arr.length)];
+    return sum / arr.length;
+  };
+  const meansA = [], meansB = [], diffs = [];
+  for (let i = 0; i < BOOTSTRAP_ITERATIONS; i++) {
+    const ma = resampleMean(a), mb = resampleMean(b);
+    meansA.push(ma); meansB.push(mb); diffs.push(ma - mb);
+  }
+  const ci = arr => {
+    const sorted = arr.sort((x, y) => x - y);
+    return [sorted[Math.floor(0.025 * (sorted.length - 1))], sorted[Math.ceil(0.975 * (sorted.length - 1))]];
+  };
+  return { a: ci(meansA), b: ci(meansB), diff: ci(diffs) };
+}
+
+/**
+ * Compare one outcome between two groups.
+ * Returns N, mean and median per group, the mean difference (a − b) with bootstrap CIs,
+ * Welch's t, Mann–Whitney U and both effect sizes. Tests needing n ≥ 2 per group are null otherwise.
+ */
+function compareGroups(a, b, dp) {
+  const ci = bootstrapMeanCIs(a, b);
+  const roundCI = pair => (pair ? pair.map(v => roundTo(v, dp)) : null);
+  return {
+    nA: a.length, nB: b.length,
+    meanA: a.length ? roundTo(meanOf(a), dp) : null, meanB: b.length ? roundTo(meanOf(b), dp) : null,
+    medianA: a.length ? roundTo(medianOf(a), dp) : null, medianB: b.length ? roundTo(medianOf(b), dp) : null,
+    meanACI95: roundCI(ci && ci.a), meanBCI95: roundCI(ci && ci.b),
+    meanDiff: a.length && b.length ? roundTo(meanOf(a) - meanOf(b), dp) : null,
+    meanDiffCI95: roundCI(ci && ci.diff),
+    welch: welchTTest(a, b),
+    mannWhitney: mannWhitneyU(a, b),
+    cohensD: cohensD(a, b),
+  };
+}
+
+// --- Exclusion rules ---
+// Rule settings and manual overrides are persisted in data/exclusion_rules.json. Every
+// session is marked with the reason codes of the rules it matches; sessions with any
+// reason are left out of /api/stats, and flagged (not removed) in the CSV.
+// A manual 'include' override keeps a session in despite matching rules. Rules ship switched off.
+// Reads (stats, exports) evaluate the rules without side effects; the outcome is stored on the
+// session (an 'exclusion' session update) only when rules or overrides are saved, or when the
+// researcher applies the rules, and then only for sessions whose outcome changed.
+const EXCLUSION_RULES_FILE = 'exclusion_rules.json';
+const DEFAULT_EXCLUSION_RULES = {
+  attention_failed: { enabled: false, label: 'Failed the attention check' },
+  speeder: { enabled: false, label: 'Application time below X% of the median', pctOfMedian: 30 },
+  hidden_time: { enabled: false, label: 'Tab hidden for more than Y% of the session', maxHiddenPct: 50 },
+  duplicate_pid: { enabled: false, label: 'Repeat session for a Prolific PID (earliest submitted session kept)' },
+  timing_missing: { enabled: false, label: 'Reached submission but has no timing data' },
+};
+const EXCLUSION_THRESHOLDS = { speeder: 'pctOfMedian', hidden_time: 'maxHiddenPct' };
+
+function loadExclusionConfig() {
+  const saved = readJson(EXCLUSION_RULES_FILE, {});
+  const rules = {};
+  Object.entries(DEFAULT_EXCLUSION_RULES).forEach(([code, def]) => {
+    rules[code] = { ...def, ...(saved.rules && saved.rules[code]), label: def.label };
+  });
+  return { rules, manual: saved.manual || {} };
+}
+
+function saveExclusionConfig(config) {
+  const rules = {};
+  Object.entries(config.rules).forEach(([code, rule]) => {
+    const { label, ...settings } = rule;
+    rules[code] = settings;
+  });
+  writeJson(EXCLUSION_RULES_FILE, { rules, manual: config.manual });
+}
+
+function passedAttentionCheck(responses) {
+  return (responses.attention_response || '').trim().toLowerCase() === 'i pay attention';
+}
+
+/**
+ * Evaluate the exclusion rules for every session. The speeder median is taken over the
+ * sessions that reached submission and that no other rule or manual override excludes.
+ * Returns { [session_id]: { excluded, reasons: [code], manual: {action, reason} | null } }
+ */
+function evaluateExclusions(sessions, config) {
+  const { rules, manual } = config;
+  const classified = sessions.map(s => ({ ...s, completion_status: s.completion_status || getCompletionStatus(s) }));
+  const isDone = s => s.completion_status === 'complete' || s.completion_status === 'submitted';
+
+  // One session per PID is kept: the earliest that reached submission, or the earliest if none did;
+  // the others are duplicates
+  const keptSessionByPid = {};
+  [...classified]
+    .sort((a, b) => (Date.parse(a.started_at) || 0) - (Date.parse(b.started_at) || 0))
+    .forEach(s => {
+      if (!s.prolific_pid || s.prolific_pid === 'unknown') return;
+      const kept = keptSessionByPid[s.prolific_pid];
+      if (!kept || (!isDone(kept) && isDone(s))) keptSessionByPid[s.prolific_pid] = s;
+    });
+
+  // Every rule but speeder, which needs the median of the sessions these leave in
+  const otherReasons = {};
+  classified.forEach(s => {
+    const responses = {};
+    if (s.formResponses) Object.values(s.formResponses).forEach(pd => Object.assign(responses, pd));
+    const found = {};
+    if (rules.attention_failed.enabled && responses.attention_response != null && !passedAttentionCheck(responses)) {
+      found.attention_failed = true;
+    }
+    if (rules.hidden_time.enabled && s.totalDurationMs > 0
+      && (s.totalHiddenMs || 0) / s.totalDurationMs * 100 > rules.hidden_time.maxHiddenPct) {
+      found.hidden_time = true;
+    }
+    if (rules.duplicate_pid.enabled && keptSessionByPid[s.prolific_pid] && keptSessionByPid[s.prolific_pid].session_id !== s.session_id) {
+      found.duplicate_pid = true;
+    }
+    if (rules.timing_missing.enabled && isDone(s) && !s.applicationDurationMs) {
+      found.timing_missing = true;
+    }
+    otherReasons[s.session_id] = found;
+  });
+  const keptByOtherRules = s => {
+    const override = manual[s.session_id];
+    if (override && override.action === 'include') return true;
+    if (override && override.action === 'exclude') return false;
+    return Object.keys(otherReasons[s.session_id]).length === 0;
+  };
+  const medianAppMs = medianOf(classified
+    .filter(s => isDone(s) && keptByOtherRules(s))
+    .map(s => s.applicationDurationMs || 0)
+    .filter(v => v > 0));
+
+  const result = {};
+  classified.forEach(s => {
+    const found = otherReasons[s.session_id];
+    if (rules.speeder.enabled && isDone(s) && medianAppMs > 0 && s.applicationDurationMs > 0
+      && s.applicationDurationMs < medianAppMs * rules.speeder.pctOfMedian / 100) {
+      found.speeder = true;
+    }
+    const reasons = Object.keys(DEFAULT_EXCLUSION_RULES).filter(code => found[code]);
+    const override = manual[s.session_id] || null;
+    if (override && override.action === 'exclude') reasons.push('manual_exclude');
+    const excluded = override && override.action === 'include' ? false : reasons.length > 0;
+    if (override && override.action === 'include') reasons.push('manual_include');
+    result[s.session_id] = { excluded, reasons, manual: override };
+  });
+  return result;
+}
+
+// Store each session's exclusion outcome on the session when it differs from the one stored.
+// Returns the number of sessions updated
+function recordExclusions(sessions, exclusions) {
+  let recorded = 0;
+  sessions.forEach(s => {
+    const ex = exclusions[s.session_id];
+    if (!ex) return;
+    if (!!s.excluded === ex.excluded && (s.exclusion_reasons || []).join(';') === ex.reasons.join(';')) return;
+    recorded++;
+    const update = {
+      session_id: s.session_id,
+      update_type: 'exclusion',
+      excluded: ex.excluded,
+      exclusion_reasons: ex.reasons,
+      exclusion_evaluated_at: new Date().toISOString(),
+    };
+    appendJsonl('sessions_updates.jsonl', update);
+    if (sessionIndex[s.session_id]) Object.assign(sessionIndex[s.session_id], update);
+  });
+  return recorded;
+}
+
+// Evaluate the saved rules and overrides and store the outcomes that changed
+function applyExclusionRules(config) {
+  const sessions = getMergedSessions();
+  return recordExclusions(sessions, evaluateExclusions(sessions, config));
+}
+
+app.get('/api/exclusions', checkKey, (req, res) => {
+  try {
+    const config = loadExclusionConfig();
+    const merged = getMergedSessions();
+    const sessions = evaluateExclusions(merged, config);
+    const counts = {};
+    Object.values(sessions).forEach(e => e.reasons.forEach(r => { counts[r] = (counts[r] || 0) + 1; }));
+    res.json({ rules: config.rules, manual: config.manual, counts, sessions });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Update rule settings: { rules: { speeder: { enabled: true, pctOfMedian: 40 }, ... } }
+app.post('/api/exclusions/rules', checkKey, (req, res) => {
+  try {
+    const config = loadExclusionConfig();
+    const updates = (req.body && req.body.rules) || {};
+    for (const [code, update] of Object.entries(updates)) {
+      if (!config.rules[code]) return res.status(400).json({ error: `Unknown rule: ${code}` });
+      if (update.enabled != null) config.rules[code].enabled = !!update.enabled;
+      const thresholdKey = EXCLUSION_THRESHOLDS[code];
+      if (thresholdKey && update[thresholdKey] != null) {
+        const value = Number(update[thresholdKey]);
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+          return res.status(400).json({ error: `${code}.${thresholdKey} must be a percentage between 0 and 100` });
+        }
+        config.rules[code][thresholdKey] = value;
+      }
+    }
+    saveExclusionConfig(config);
+    const recorded = applyExclusionRules(config);
+    res.json({ success: true, rules: config.rules, recorded });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Manual overrides: { session_ids: [...], action: 'exclude' | 'include' | 'clear', reason }
+app.post('/api/exclusions/manual', checkKey, (req, res) => {
+  try {
+    const { session_ids, action, reason } = req.body || {};
+    if (!Array.isArray(session_ids) || session_ids.length === 0) return res.status(400).json({ error: 'session_ids array required' });
+    if (!['exclude', 'include', 'clear'].includes(action)) return res.status(400).json({ error: "action must be 'exclude', 'include' or 'clear'" });
+    const config = loadExclusionConfig();
+    session_ids.forEach(sid => {
+      if (action === 'clear') delete config.manual[sid];
+      else config.manual[sid] = { action, reason: reason || '', at: new Date().toISOString() };
+    });
+    saveExclusionConfig(config);
+    const recorded = applyExclusionRules(config);
+    res.json({ success: true, manual: config.manual, recorded });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Store the current outcomes on the sessions (e.g. once data collection ends and the speeder median is final)
+app.post('/api/exclusions/apply', checkKey, (req, res) => {
+  try {
+    res.json({ success: true, recorded: applyExclusionRules(loadExclusionConfig()) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // --- Stats ---
 app.get('/api/stats', checkKey, (req, res) => {
   try {
@@ -740,9 +1990,13 @@ app.get('/api/stats', checkKey, (req, res) => {
 
     // Classify sessions using the 5-category system
     const classifiedAll = all.map(s => ({ ...s, completion_status: getCompletionStatus(s), last_page: getLastPage(s) }));
-    // Apply exclusions — excluded participants are removed from all calculations
-    const classified = classifiedAll.filter(s => !excludePids.includes(s.prolific_pid));
+    // Apply exclusions — excluded participants (rule-based or ?exclude=) are removed from all calculations
+    const exclusionConfig = loadExclusionConfig();
+    const exclusions = evaluateExclusions(classifiedAll, exclusionConfig);
+    const classified = classifiedAll.filter(s => !excludePids.includes(s.prolific_pid) && !exclusions[s.session_id].excluded);
     const excludedCount = classifiedAll.length - classified.length;
+    const exclusionCounts = {};
+    classifiedAll.forEach(s => exclusions[s.session_id].reasons.forEach(r => { exclusionCounts[r] = (exclusionCounts[r] || 0) + 1; }));
 
     const complete = classified.filter(s => s.completion_status === 'complete');
     const submitted = classified.filter(s => s.completion_status === 'submitted');
@@ -756,19 +2010,17 @@ app.get('/api/stats', checkKey, (req, res) => {
     const timingMissing = allExploitable.filter(s => !s.applicationDurationMs || s.applicationDurationMs === 0);
     const exploitable = allExploitable.filter(s => s.applicationDurationMs && s.applicationDurationMs > 0);
 
-    // Helper: compute median of a numeric array
-    const medianOf = arr => {
-      if (arr.length === 0) return 0;
-      const sorted = [...arr].sort((a, b) => a - b);
-      const mid = Math.floor(sorted.length / 2);
-      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    };
 
     // Collect raw timing arrays for medians and distribution
     const totalDurations = exploitable.map(s => s.totalDurationMs || s.total_duration_ms || 0).filter(v => v > 0);
     const appDurations = exploitable.map(s => s.applicationDurationMs || 0).filter(v => v > 0);
-    const activeAppDurations = exploitable.map(s => s.activeApplicationDurationMs || s.applicationDurationMs || 0).filter(v => v > 0);
+    // Active and engaged time of a session can really be 0 — only a missing value falls back
+    const timed = exploitable.filter(s => (s.applicationDurationMs || 0) > 0);
+    const activeAppDurations = timed.map(s => s.activeApplicationDurationMs ?? s.applicationDurationMs);
+    // Engaged = active minus idle; sessions without idle data fall back to active time
+    const engagedAppDurations = timed.map(s => s.engagedApplicationDurationMs ?? s.activeApplicationDurationMs ?? s.applicationDurationMs);
     const hiddenTimes = exploitable.map(s => s.totalHiddenMs || 0);
+    const idleTimes = exploitable.filter(s => s.idleMs != null).map(s => s.idleMs);
     const docTimes = exploitable.map(s => s.totalDocTimeMs || 0).filter(v => v > 0);
     const docOpenCounts = exploitable.map(s => s.totalDocOpens || 0);
     const errorCounts = exploitable.map(s => s.totalErrors || s.total_errors || 0);
@@ -777,7 +2029,9 @@ app.get('/api/stats', checkKey, (req, res) => {
     const avgDur = totalDurations.length ? totalDurations.reduce((a, b) => a + b, 0) / totalDurations.length : 0;
     const avgAppDur = appDurations.length ? appDurations.reduce((a, b) => a + b, 0) / appDurations.length : 0;
     const avgActiveAppDur = activeAppDurations.length ? activeAppDurations.reduce((a, b) => a + b, 0) / activeAppDurations.length : 0;
+    const avgEngagedAppDur = engagedAppDurations.length ? engagedAppDurations.reduce((a, b) => a + b, 0) / engagedAppDurations.length : 0;
     const avgHiddenTime = hiddenTimes.length ? hiddenTimes.reduce((a, b) => a + b, 0) / hiddenTimes.length : 0;
+    const avgIdleTime = idleTimes.length ? idleTimes.reduce((a, b) => a + b, 0) / idleTimes.length : 0;
     const avgErrors = errorCounts.length ? errorCounts.reduce((a, b) => a + b, 0) / errorCounts.length : 0;
     const avgDocTime = docTimes.length ? docTimes.reduce((a, b) => a + b, 0) / docTimes.length : 0;
     const avgDocOpens = docOpenCounts.length ? docOpenCounts.reduce((a, b) => a + b, 0) / docOpenCounts.length : 0;
@@ -786,11 +2040,13 @@ app.get('/api/stats', checkKey, (req, res) => {
     const medDur = medianOf(totalDurations);
     const medAppDur = medianOf(appDurations);
     const medActiveAppDur = medianOf(activeAppDurations);
+    const medEngagedAppDur = medianOf(engagedAppDurations);
     const medErrors = medianOf(errorCounts);
     const medDocTime = medianOf(docTimes);
     const medDocOpens = medianOf(docOpenCounts);
     // Active time percentage
     const activePercent = avgAppDur > 0 ? Math.round(avgActiveAppDur / avgAppDur * 100) : 100;
+    const engagedPercent = avgAppDur > 0 ? Math.round(avgEngagedAppDur / avgAppDur * 100) : 100;
 
     // Distribution data: procedure time histogram (appDurations in seconds, binned)
     const appDurSec = appDurations.map(ms => Math.round(ms / 1000));
@@ -808,24 +2064,29 @@ app.get('/api/stats', checkKey, (req, res) => {
 
     // Per-page stats (from exploitable sessions — everyone who completed the procedure)
     const pageStats = {};
-    PAGE_ORDER.forEach(pid => { pageStats[pid] = { totalTime: 0, totalActiveTime: 0, nTime: 0, totalErrors: 0, nWithErrors: 0, nTotal: 0 }; });
+    PAGE_ORDER.forEach(pid => { pageStats[pid] = { totalTime: 0, totalActiveTime: 0, totalEngagedTime: 0, nTime: 0, totalErrors: 0, nWithErrors: 0, nTotal: 0 }; });
 
     exploitable.forEach(s => {
       // Aggregate all visits to the same page within this session first
       if (s.pageTimings) {
         const sessionPageTotals = {};
         const sessionPageActiveTotals = {};
+        const sessionPageEngagedTotals = {};
         s.pageTimings.forEach(pt => {
           if (!sessionPageTotals[pt.pageId]) sessionPageTotals[pt.pageId] = 0;
           if (!sessionPageActiveTotals[pt.pageId]) sessionPageActiveTotals[pt.pageId] = 0;
+          if (!sessionPageEngagedTotals[pt.pageId]) sessionPageEngagedTotals[pt.pageId] = 0;
+          const activeMs = pt.activeTimeMs != null ? pt.activeTimeMs : pt.durationMs;
           sessionPageTotals[pt.pageId] += pt.durationMs;
-          sessionPageActiveTotals[pt.pageId] += (pt.activeTimeMs != null ? pt.activeTimeMs : pt.durationMs);
+          sessionPageActiveTotals[pt.pageId] += activeMs;
+          sessionPageEngagedTotals[pt.pageId] += (pt.engagedTimeMs != null ? pt.engagedTimeMs : activeMs);
         });
         // Now add per-session totals (count each participant once per page)
         Object.entries(sessionPageTotals).forEach(([pid, totalMs]) => {
-          if (!pageStats[pid]) pageStats[pid] = { totalTime: 0, totalActiveTime: 0, nTime: 0, totalErrors: 0, nWithErrors: 0, nTotal: 0 };
+          if (!pageStats[pid]) pageStats[pid] = { totalTime: 0, totalActiveTime: 0, totalEngagedTime: 0, nTime: 0, totalErrors: 0, nWithErrors: 0, nTotal: 0 };
           pageStats[pid].totalTime += totalMs;
           pageStats[pid].totalActiveTime += (sessionPageActiveTotals[pid] || 0);
+          pageStats[pid].totalEngagedTime += (sessionPageEngagedTotals[pid] || 0);
           pageStats[pid].nTime++;
           pageStats[pid].nTotal++;
         });
@@ -851,6 +2112,8 @@ app.get('/api/stats', checkKey, (req, res) => {
           avgTimeFormatted: fmt(d.totalTime / d.nTime),
           avgActiveTimeMs: Math.round(d.totalActiveTime / d.nTime),
           avgActiveTimeFormatted: fmt(d.totalActiveTime / d.nTime),
+          avgEngagedTimeMs: Math.round(d.totalEngagedTime / d.nTime),
+          avgEngagedTimeFormatted: fmt(d.totalEngagedTime / d.nTime),
           n: d.nTime,
           totalErrors: d.totalErrors,
           avgErrors: d.nTime > 0 ? (d.totalErrors / d.nTime).toFixed(1) : '0',
@@ -864,10 +2127,18 @@ app.get('/api/stats', checkKey, (req, res) => {
     exploitable.forEach(s => {
       if (s.docInteractions) {
         s.docInteractions.forEach(di => {
-          if (!docAccum[di.docId]) docAccum[di.docId] = { opens: 0, totalMs: 0, sessions: new Set() };
-          docAccum[di.docId].opens++;
-          docAccum[di.docId].totalMs += di.durationMs || 0;
-          docAccum[di.docId].sessions.add(s.session_id);
+          if (!docAccum[di.docId]) docAccum[di.docId] = { opens: 0, totalMs: 0, sessions: new Set(), drawerOpens: 0, drawerMs: 0, drawerZoomed: 0, maxZoomSum: 0, maxScrollSum: 0 };
+          const d = docAccum[di.docId];
+          d.opens++;
+          d.totalMs += di.durationMs || 0;
+          d.sessions.add(s.session_id);
+          if (di.source === 'drawer') {
+            d.drawerOpens++;
+            d.drawerMs += di.durationMs || 0;
+            if (di.zoomChanges > 0) d.drawerZoomed++;
+            d.maxZoomSum += di.maxZoomLevel || 1;
+            d.maxScrollSum += di.maxScrollTopPct || 0;
+          }
         });
       }
     });
@@ -876,6 +2147,12 @@ app.get('/api/stats', checkKey, (req, res) => {
       avgTimeMs: Math.round(d.totalMs / d.opens), avgTimeFormatted: fmt(d.totalMs / d.opens),
       viewedByPct: exploitable.length ? Math.round(d.sessions.size / exploitable.length * 100) : 0,
       uniqueViewers: d.sessions.size,
+      // Drawer (side-by-side viewer) — averages are per drawer view
+      drawerOpens: d.drawerOpens,
+      avgDrawerTimeFormatted: d.drawerOpens ? fmt(d.drawerMs / d.drawerOpens) : '—',
+      drawerZoomedPct: d.drawerOpens ? Math.round(d.drawerZoomed / d.drawerOpens * 100) : null,
+      avgMaxZoomPct: d.drawerOpens ? Math.round(d.maxZoomSum / d.drawerOpens * 100) : null,
+      avgMaxScrollPct: d.drawerOpens ? Math.round(d.maxScrollSum / d.drawerOpens) : null,
     }));
 
     // Drop-off: where dropped/incomplete participants stopped (not submitted — they finished the procedure)
@@ -954,7 +2231,7 @@ app.get('/api/stats', checkKey, (req, res) => {
       const responses = {};
       if (s.formResponses) Object.values(s.formResponses).forEach(pd => Object.assign(responses, pd));
       const answer = (responses.attention_response || '').trim();
-      const passed = answer.toLowerCase() === 'i pay attention';
+      const passed = passedAttentionCheck(responses);
       return {
         session_id: s.session_id,
         prolific_pid: s.prolific_pid || '—',
@@ -1114,6 +2391,26 @@ app.get('/api/stats', checkKey, (req, res) => {
         return { selfErrorVsActualMean, avgErrorVsActualMean, closerCondition };
       })();
 
+      // Between-condition tests on per-participant outcomes (group A = self, group B = average).
+      // Each participant is scored against the baseline their condition asked about:
+      // self → their own application time, average → the mean across all exploitable sessions.
+      const inferential = (() => {
+        const selfScored = selfData.filter(d => d.actualSec > 0);
+        const avgScored = actualMeanSecAll > 0 ? avgData : [];
+        const selfErrors = selfScored.map(d => Math.abs(d.estimateSec - d.actualSec));
+        const avgErrors = avgScored.map(d => Math.abs(d.estimateSec - actualMeanSecAll));
+        const selfRatios = selfScored.map(d => d.estimateSec / d.actualSec);
+        const avgRatios = avgScored.map(d => d.estimateSec / actualMeanSecAll);
+        return {
+          groupA: 'self', groupB: 'average',
+          bootstrapIterations: BOOTSTRAP_ITERATIONS,
+          outcomes: [
+            { key: 'absErrorSec', label: 'Absolute estimate error (s)', ...compareGroups(selfErrors, avgErrors, 1) },
+            { key: 'ratio', label: 'Estimation ratio (estimate ÷ actual)', ...compareGroups(selfRatios, avgRatios, 3) },
+          ],
+        };
+      })();
+
       // Condition balance (all sessions, not just those with estimates)
       const allSelfCount = Object.values(sessionIndex).filter(s => s.condition_code === 'self').length;
       const allAvgCount = Object.values(sessionIndex).filter(s => s.condition_code === 'average').length;
@@ -1127,6 +2424,7 @@ app.get('/api/stats', checkKey, (req, res) => {
         confidenceDistribution,
         confidenceAccuracy,
         conditionComparison,
+        inferential,
         totalWithEstimates: withEstimates.length,
       };
     })();
@@ -1166,6 +2464,9 @@ app.get('/api/stats', checkKey, (req, res) => {
       total_sessions: classified.length,
       excluded_count: excludedCount,
       excluded_pids: excludePids,
+      exclusion_rules: exclusionConfig.rules,
+      exclusion_counts: exclusionCounts,
+      rule_excluded_sessions: classifiedAll.filter(s => exclusions[s.session_id].excluded).length,
       complete_sessions: complete.length,
       submitted_sessions: submitted.length,
       ineligible_sessions: ineligible.length,
@@ -1177,8 +2478,11 @@ app.get('/api/stats', checkKey, (req, res) => {
       avg_total_duration_formatted: fmt(avgDur),
       avg_task_duration_formatted: fmt(avgAppDur),
       avg_active_task_duration_formatted: fmt(avgActiveAppDur),
+      avg_engaged_task_duration_formatted: fmt(avgEngagedAppDur),
       avg_hidden_time_formatted: fmt(avgHiddenTime),
+      avg_idle_time_formatted: fmt(avgIdleTime),
       active_percent: activePercent,
+      engaged_percent: engagedPercent,
       avg_errors: avgErrors.toFixed(1),
       avg_doc_time_formatted: fmt(avgDocTime),
       avg_doc_opens: avgDocOpens.toFixed(1),
@@ -1189,6 +2493,7 @@ app.get('/api/stats', checkKey, (req, res) => {
       median_total_duration_formatted: fmt(medDur),
       median_task_duration_formatted: fmt(medAppDur),
       median_active_task_duration_formatted: fmt(medActiveAppDur),
+      median_engaged_task_duration_formatted: fmt(medEngagedAppDur),
       median_errors: medErrors,
       median_doc_time_formatted: fmt(medDocTime),
       median_doc_opens: medDocOpens,
@@ -1213,26 +2518,68 @@ app.get('/api/stats', checkKey, (req, res) => {
       attention_failed: attentionFailed,
       // Time estimation
       estimation_stats: estimationStats,
+      // Factorial design: per-cell balance (all sessions, before exclusions) and exploitable counts
+      design: {
+        factors: DESIGN_FACTORS.map(f => ({ name: f.name, levels: f.levels, description: f.description || '' })),
+        cells: DESIGN_CELLS.map(c => {
+          const inCell = classifiedAll.filter(s => getSessionCell(s) === c.id);
+          return {
+            cell: c.id,
+            levels: c.levels,
+            assigned: inCell.length,
+            holding: inCell.filter(s => holdsCellSlot(s, Date.now())).length,
+            complete: inCell.filter(s => s.completion_status === 'complete').length,
+            exploitable: exploitable.filter(s => getSessionCell(s) === c.id).length,
+          };
+        }),
+        unassigned: classifiedAll.filter(s => !getSessionCell(s)).length,
+        // Procedure variants (procedure_version) — sessions after exclusions
+        procedures: [...new Set(classified.map(s => s.procedure_version || DEFAULT_PROCEDURE))].sort().map(procedure => {
+          const inVariant = classified.filter(s => (s.procedure_version || DEFAULT_PROCEDURE) === procedure);
+          const variantExploitable = exploitable.filter(s => (s.procedure_version || DEFAULT_PROCEDURE) === procedure);
+          const durations = variantExploitable.map(s => s.applicationDurationMs);
+          const scores = variantExploitable.map(s => scoreApplication(s));
+          return {
+            procedure,
+            sessions: inVariant.length,
+            complete: inVariant.filter(s => s.completion_status === 'complete').length,
+            exploitable: variantExploitable.length,
+            dropped: inVariant.filter(s => s.completion_status === 'dropped').length,
+            avg_task_duration_formatted: durations.length ? fmt(durations.reduce((a, b) => a + b, 0) / durations.length) : '—',
+            median_task_duration_formatted: durations.length ? fmt(medianOf(durations)) : '—',
+            avg_errors: variantExploitable.length ? (variantExploitable.reduce((a, v) => a + (v.totalErrors || 0), 0) / variantExploitable.length).toFixed(1) : '—',
+            quality_rejection_rate: scores.length ? Math.round(scores.filter(q => q.wouldReject).length / scores.length * 100) : 0,
+          };
+        }),
+        quotas: getQuotaStatus(classifiedAll),
+        turned_away: readJsonl('quota_rejections.jsonl').length,
+        randomization: {
+          method: RANDOMIZATION.method, blockSize: RANDOMIZATION.blockSize, stratifyBy: RANDOMIZATION.stratifyBy,
+          strata: Object.fromEntries(Object.entries(allocationState.strata).map(([k, st]) => [k, st.position])),
+        },
+      },
       // Participant-level rows for interactive table (uses classifiedAll so excluded ones are still visible)
       participants: classifiedAll.map(s => {
         const score = scoreApplication(s);
         const responses = {};
         if (s.formResponses) Object.values(s.formResponses).forEach(pd => Object.assign(responses, pd));
-        const attAnswer = (responses.attention_response || '').trim();
-        const attPassed = attAnswer.toLowerCase() === 'i pay attention';
+        const attPassed = passedAttentionCheck(responses);
         return {
           prolific_pid: s.prolific_pid || '—',
           session_id: s.session_id,
           condition: s.condition_code || '—',
           completion_status: s.completion_status,
           app_duration_sec: s.applicationDurationMs ? Math.round(s.applicationDurationMs / 1000) : null,
-          active_duration_sec: s.activeApplicationDurationMs ? Math.round(s.activeApplicationDurationMs / 1000) : null,
+          active_duration_sec: s.activeApplicationDurationMs != null ? Math.round(s.activeApplicationDurationMs / 1000) : null,
+          engaged_duration_sec: s.engagedApplicationDurationMs != null ? Math.round(s.engagedApplicationDurationMs / 1000) : null,
           total_errors: s.totalErrors || s.total_errors || 0,
           quality_errors: score.errors,
           would_reject: score.wouldReject,
           attention_passed: attPassed,
           last_page: s.last_page || '—',
           excluded: excludePids.includes(s.prolific_pid),
+          rule_excluded: exclusions[s.session_id].excluded,
+          exclusion_reasons: exclusions[s.session_id].reasons,
         };
       }),
     });
@@ -1276,13 +2623,18 @@ app.get('/api/remove-participant', checkKey, (req, res) => {
     const filtered = sessions.filter(s => s.prolific_pid !== pid);
     const sessionsPath = path.join(DATA_DIR, 'sessions.jsonl');
     fs.writeFileSync(sessionsPath, filtered.map(s => JSON.stringify(s)).join('\n') + (filtered.length ? '\n' : ''), 'utf8');
-    ['navigation_events.jsonl', 'misc_events.jsonl', 'sessions_updates.jsonl'].forEach(filename => {
+    [...Object.values(VALID_FILES), 'misc_events.jsonl', 'sessions_updates.jsonl'].forEach(filename => {
       const filepath = path.join(DATA_DIR, filename);
       if (!fs.existsSync(filepath)) return;
       const records = readJsonl(filename);
       const filteredRecords = records.filter(r => !sessionIds.has(r.session_id));
       fs.writeFileSync(filepath, filteredRecords.map(r => JSON.stringify(r)).join('\n') + (filteredRecords.length ? '\n' : ''), 'utf8');
     });
+    sessionIds.forEach(sid => {
+      delete seenEventSeqs[sid];
+      delete uploadTotals[sid];
+      fs.rmSync(path.join(UPLOAD_DIR, sid), { recursive: true, force: true });
+    });
     res.json({ success: true, removed_sessions: toRemove.length, session_ids: [...sessionIds] });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -1302,8 +2654,13 @@ app.post('/api/delete-all-data', checkKey, (req, res) => {
         deleted++;
       }
     });
-    // Clear in-memory session index
+    // Uploaded files (participants' documents) go with the records that pointed to them
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+    // Clear in-memory session index, event de-duplication index and upload totals
     Object.keys(sessionIndex).forEach(k => delete sessionIndex[k]);
+    Object.keys(seenEventSeqs).forEach(k => delete seenEventSeqs[k]);
+    Object.keys(uploadTotals).forEach(k => delete uploadTotals[k]);
+    allocationState.strata = {};
     console.log(`  [DELETE] All data erased (${deleted} files) by researcher`);
     res.json({ success: true, filesDeleted: deleted });
   } catch (err) { res.status(500).json({ error: err.message }); }
@@ -1350,11 +2707,28 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 </style></head>
 <body>
 <h1>Sludge Experiment Dashboard</h1>
+<div class="legend" id="exclusion-notice" style="display:none;border-color:#f47738;background:#fef7f1"></div>
 
 <h2>Participation</h2>
 <div id="participation" class="stats-grid"></div>
 <div class="legend" id="participation-legend"></div>
 
+<h2>Design Cells</h2>
+<p class="help">One row per cell of the factorial design (<code>src/study_config.js</code>). With <em>permuted blocks</em>, each stratum follows a seeded allocation sequence in which every block contains each cell equally often; dropouts are not refilled. With <em>balanced</em> allocation, new sessions go to the least-filled cell and <em>Holding</em> is what is balanced: completed/submitted sessions plus those started in the last 30 minutes. Participants forced into a cell via URL parameters are never counted. <em>Exploitable</em> applies the exclusions below. <em>Quota fill</em> counts complete + submitted sessions plus those started in the last 30 minutes; once a cell (or the whole study) is full, new visitors are sent to other cells or shown the study-full page.</p>
+<div id="quota-overall" class="stats-grid"></div>
+<table id="design-table">
+  <thead></thead>
+  <tbody></tbody>
+</table>
+<p id="design-note" class="help"></p>
+
+<h3>Procedure Variants</h3>
+<p class="help">Sessions by procedure variant (<code>procedure_version</code>: a key of <code>PROCEDURE_CONFIGS</code>, assigned through the <code>procedure</code> factor or forced with <code>?PROCEDURE=</code>). Exclusions applied. Times and errors are over exploitable sessions with timing data.</p>
+<table id="procedure-table">
+  <thead><tr><th>Procedure</th><th class="num">Sessions</th><th class="num">Complete</th><th class="num">Exploitable</th><th class="num">Dropped</th><th class="num">Mean App Time</th><th class="num">Median App Time</th><th class="num">Avg Errors</th><th class="num">Rejection Rate</th></tr></thead>
+  <tbody></tbody>
+</table>
+
 <h2>Timing &amp; Behaviour</h2>
 <div class="legend" id="timing-legend"></div>
 <h3 style="margin-top:18px">Averages</h3>
@@ -1391,7 +2765,7 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 
 <h2>Time Estimation (Post-Procedure)</h2>
 <div class="legend">
-  <p style="margin:0 0 8px;font-size:13px"><strong>Design:</strong> After submitting the application, participants are asked to estimate how long the procedure took. There are two between-subjects conditions, assigned via block randomization (permuted blocks of 4):</p>
+  <p style="margin:0 0 8px;font-size:13px"><strong>Design:</strong> After submitting the application, participants are asked to estimate how long the procedure took. There are two between-subjects conditions (the <code>estimation</code> factor), assigned by the study's randomization — see Design Cells above:</p>
   <dl>
     <dt><span class="dot dot--blue"></span>Self condition</dt><dd> — participants estimate how long <strong>they personally</strong> spent completing the application.</dd>
     <dt><span class="dot dot--green"></span>Average condition</dt><dd> — participants estimate how long <strong>an average participant</strong> would take to complete the application.</dd>
@@ -1400,7 +2774,7 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 </div>
 
 <h3>Condition Balance</h3>
-<p class="help">Number of participants assigned to each condition. Block randomization ensures roughly equal allocation.</p>
+<p class="help">Number of participants assigned to each condition. Per-cell balance is shown under Design Cells.</p>
 <div id="estimation-balance" class="stats-grid"></div>
 
 <h3>Analysis 1: Group-Level Estimates vs Actual Procedure Time</h3>
@@ -1415,6 +2789,13 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 
 <div id="condition-comparison"></div>
 
+<h3>Statistical Tests: Self vs Average</h3>
+<p class="help">Per-participant outcomes compared between conditions. <em>Error</em> is |estimate &minus; actual| and <em>Ratio</em> is estimate &divide; actual, where actual is the participant&rsquo;s own time (Self) or the mean time of all exploitable sessions (Average). Differences are Self &minus; Average. CIs are 95% percentile bootstrap intervals; p-values are two-sided. Rank-biserial r &gt; 0 means Self values tend to be larger.</p>
+<table id="estimation-tests-table">
+  <thead><tr><th>Outcome</th><th>N (Self / Avg)</th><th>Self Mean [95% CI]</th><th>Average Mean [95% CI]</th><th>Difference [95% CI]</th><th>Welch t (df), p</th><th>Mann&ndash;Whitney U, p</th><th>Cohen&rsquo;s d</th><th>Rank-biserial r</th></tr></thead>
+  <tbody></tbody>
+</table>
+
 <h3>Analysis 3: Confidence Distribution</h3>
 <p class="help">How participants rated their confidence in their estimate (1 = not at all confident, 5 = extremely confident), broken down by condition.</p>
 <table id="confidence-dist-table">
@@ -1427,13 +2808,14 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 <h2>Per-Page Breakdown</h2>
 <p class="help">Timing and <strong>validation errors</strong> per page. Validation errors = formatting issues caught by the form (missing fields, wrong format). These are different from quality errors above.</p>
 <table id="page-table">
-  <thead><tr><th>Page</th><th>Avg Time</th><th>Avg Active</th><th>N</th><th>Avg Val. Errors</th><th>% with Val. Errors</th></tr></thead>
+  <thead><tr><th>Page</th><th>Avg Time</th><th>Avg Active</th><th>Avg Engaged</th><th>N</th><th>Avg Val. Errors</th><th>% with Val. Errors</th></tr></thead>
   <tbody></tbody>
 </table>
 
 <h2>Document Interactions</h2>
+<p class="help">Opens and view time count both the accordion panel and the slide-out drawer. Drawer columns cover the side-by-side viewer only: <em>% Zoomed</em> = drawer views with at least one zoom change, <em>Avg Max Zoom</em> = highest zoom reached per view, <em>Avg Max Scroll</em> = how far down the document participants panned (100% = bottom).</p>
 <table id="doc-table">
-  <thead><tr><th>Document</th><th>Viewers</th><th>% Viewed</th><th>Total Opens</th><th>Avg View Time</th></tr></thead>
+  <thead><tr><th>Document</th><th>Viewers</th><th>% Viewed</th><th>Total Opens</th><th>Avg View Time</th><th>Drawer Opens</th><th>Avg Drawer Time</th><th>% Zoomed</th><th>Avg Max Zoom</th><th>Avg Max Scroll</th></tr></thead>
   <tbody></tbody>
 </table>
 
@@ -1454,19 +2836,38 @@ td.num{text-align:right;font-variant-numeric:tabular-nums}
 </table>
 </div>
 
+<h2 id="exclusion-rules">Exclusion Rules</h2>
+<p class="help">Sessions matching an enabled rule are automatically removed from all calculations above and flagged in the CSV (<code>excluded</code>, <code>exclusion_reasons</code>). All rules are off until you switch them on. Settings are saved on the server. A manual "include" override keeps a session in despite its rules. Saving rules or overrides stores each session's outcome on its record (shown on its timeline); the speeder median moves as data comes in, so use "Apply rules to sessions" to store the outcomes again, e.g. once data collection ends.</p>
+<table id="exclusion-rules-table">
+  <thead><tr><th>Enabled</th><th>Rule</th><th>Reason code</th><th>Threshold</th><th class="num">Sessions</th></tr></thead>
+  <tbody></tbody>
+</table>
+<div style="margin-bottom:12px;display:flex;align-items:center;gap:10px;">
+  <button id="exclusion-rules-save" style="padding:6px 16px;background:#1d70b8;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px">Save rules</button>
+  <button id="exclusion-rules-apply" style="padding:6px 16px;background:#505a5f;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px">Apply rules to sessions</button>
+  <span id="exclusion-rules-status" style="font-size:12px;color:#505a5f"></span>
+</div>
+
 <h2>Participant Data</h2>
-<p class="help">Interactive table showing all sessions. Tick rows to exclude participants from all calculations above. You can also type Prolific PIDs directly.</p>
+<p class="help">Interactive table showing all sessions. Tick rows to exclude participants from all calculations above. You can also type Prolific PIDs directly. Ticked rows can also be saved as manual exclusions (with a reason) so they persist and appear in the CSV. Click a Prolific PID to open that participant's timeline.</p>
 <div style="margin-bottom:12px;display:flex;align-items:center;gap:10px;flex-wrap:wrap;">
   <input id="exclude-input" type="text" placeholder="Prolific PIDs to exclude (comma-separated)" style="flex:1;min-width:300px;padding:6px 10px;border:1px solid #ccc;border-radius:4px;font-size:13px;font-family:monospace">
   <button id="exclude-btn" style="padding:6px 16px;background:#1d70b8;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px">Apply</button>
   <button id="exclude-clear" style="padding:6px 12px;background:#f3f2f1;border:1px solid #ccc;border-radius:4px;cursor:pointer;font-size:13px">Clear</button>
   <span id="exclude-status" style="font-size:12px;color:#505a5f"></span>
 </div>
+<div style="margin-bottom:12px;display:flex;align-items:center;gap:10px;flex-wrap:wrap;">
+  <input id="manual-reason" type="text" placeholder="Reason for manual override (optional)" style="flex:1;min-width:300px;padding:6px 10px;border:1px solid #ccc;border-radius:4px;font-size:13px">
+  <button class="manual-btn" data-action="exclude" style="padding:6px 12px;background:#d4351c;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px">Save ticked as excluded</button>
+  <button class="manual-btn" data-action="include" style="padding:6px 12px;background:#00703c;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px">Force include ticked</button>
+  <button class="manual-btn" data-action="clear" style="padding:6px 12px;background:#f3f2f1;border:1px solid #ccc;border-radius:4px;cursor:pointer;font-size:13px">Clear override</button>
+  <span id="manual-status" style="font-size:12px;color:#505a5f"></span>
+</div>
 <div style="max-height:500px;overflow-y:auto;border:1px solid #dee2e6;border-radius:8px;">
 <table id="participant-table" style="font-size:12px;margin:0;">
   <thead style="position:sticky;top:0;background:white;z-index:1;"><tr>
     <th style="width:30px"><input type="checkbox" id="select-all-chk" title="Select/deselect all"></th>
-    <th>Prolific PID</th><th>Condition</th><th>Status</th><th>App Time</th><th>Active Time</th><th>Errors</th><th>Quality</th><th>Attention</th><th>Last Page</th>
+    <th>Prolific PID</th><th>Condition</th><th>Status</th><th>App Time</th><th>Active Time</th><th>Engaged Time</th><th>Errors</th><th>Quality</th><th>Attention</th><th>Exclusion</th><th>Last Page</th>
   </tr></thead>
   <tbody></tbody>
 </table>
@@ -1585,6 +2986,16 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
     ['Incomplete', incomp, incomp > 0 ? 'red' : ''],
   ].map(([l,v,c])=>'<div class="stat'+(c?' stat--'+c:'')+'"><div class="stat-value">'+v+'</div><div class="stat-label">'+l+'</div></div>').join('');
 
+  // Exclusion notice: every figure on the page is computed without rule-excluded sessions
+  var enabledRules = Object.keys(s.exclusion_rules || {}).filter(function(code) { return s.exclusion_rules[code].enabled; });
+  var exclNotice = document.getElementById('exclusion-notice');
+  exclNotice.style.display = enabledRules.length || s.rule_excluded_sessions ? '' : 'none';
+  exclNotice.innerHTML = '<strong>' + (s.rule_excluded_sessions||0) + ' session(s) are left out of every figure on this page by the exclusion rules</strong>' +
+    (s.rule_excluded_sessions ? ' (' + Object.keys(s.exclusion_counts || {}).filter(function(code) { return code !== 'manual_include'; })
+      .map(function(code) { return code + ': ' + s.exclusion_counts[code]; }).join(', ') + ')' : '') +
+    '. Rules on: ' + (enabledRules.length ? enabledRules.map(function(code) { return '<code>' + code + '</code>'; }).join(', ') : 'none') +
+    ' — change them under <a href="#exclusion-rules">Exclusion Rules</a>.';
+
   // Legend
   document.getElementById('participation-legend').innerHTML =
     '<dl>'+
@@ -1597,6 +3008,40 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
     '<p style="margin:8px 0 0;font-size:12px;color:#505a5f"><strong>Exploitable data:</strong> '+exploit+' sessions (Complete + Submitted). Timing and quality averages are computed from these sessions.</p>'+
     (s.timing_missing_sessions > 0 ? '<p style="margin:4px 0 0;font-size:12px;color:#d4351c"><strong>&#9888; Timing data missing:</strong> '+s.timing_missing_sessions+' session(s) completed the task but have no timing data (likely due to a page refresh that reset the tracker). These are excluded from timing averages but their form responses are still valid.</p>' : '');
 
+  // Design cells
+  const design = s.design || { factors: [], cells: [] };
+  const quotaCell = q => {
+    if (!q || q.quota == null) return (q ? q.count : 0) + ' <span style="color:#505a5f">(no quota)</span>';
+    const pct = q.quota > 0 ? Math.min(100, Math.round(q.count / q.quota * 100)) : 100;
+    return '<span class="bar bar--'+(q.full ? 'red' : pct >= 80 ? 'amber' : 'green')+'" style="width:'+Math.max(pct, 2)+'px">&nbsp;</span> '+q.count+' / '+q.quota+(q.full ? ' <strong style="color:#d4351c">full</strong>' : '');
+  };
+  document.querySelector('#design-table thead').innerHTML = '<tr>' + design.factors.map(f => '<th>'+f.name+'</th>').join('') +
+    '<th class="num">Assigned</th><th class="num">Holding</th><th class="num">Complete</th><th class="num">Exploitable</th><th>Quota fill</th></tr>';
+  const maxHolding = Math.max(...design.cells.map(c => c.holding), 0);
+  const minHolding = Math.min(...design.cells.map(c => c.holding), 0);
+  document.querySelector('#design-table tbody').innerHTML = design.cells.map(c =>
+    '<tr>' + design.factors.map(f => '<td>'+c.levels[f.name]+'</td>').join('') +
+    '<td class="num">'+c.assigned+'</td><td class="num"'+(maxHolding - minHolding > 1 && c.holding === minHolding ? ' style="color:#b58105;font-weight:700"' : '')+'>'+c.holding+'</td>' +
+    '<td class="num">'+c.complete+'</td><td class="num">'+c.exploitable+'</td><td>'+quotaCell((design.quotas || { cells: {} }).cells[c.cell])+'</td></tr>'
+  ).join('');
+  document.querySelector('#procedure-table tbody').innerHTML = (design.procedures || []).map(p =>
+    '<tr><td><code>'+p.procedure+'</code></td><td class="num">'+p.sessions+'</td><td class="num">'+p.complete+'</td><td class="num">'+p.exploitable+'</td><td class="num">'+p.dropped+'</td>' +
+    '<td class="num">'+p.avg_task_duration_formatted+'</td><td class="num">'+p.median_task_duration_formatted+'</td><td class="num">'+p.avg_errors+'</td><td class="num">'+p.quality_rejection_rate+'%</td></tr>'
+  ).join('') || '<tr><td colspan="9">No sessions yet</td></tr>';
+  const overallQuota = (design.quotas || {}).overall || {};
+  document.getElementById('quota-overall').innerHTML = [
+    ['Counted toward quota', overallQuota.count || 0, ''],
+    ['Overall quota', overallQuota.quota != null ? overallQuota.quota : 'none', overallQuota.full ? 'red' : ''],
+    ['Turned away (study full)', design.turned_away || 0, design.turned_away > 0 ? 'amber' : ''],
+  ].map(([l,v,c])=>'<div class="stat'+(c?' stat--'+c:'')+'"><div class="stat-value">'+v+'</div><div class="stat-label">'+l+'</div></div>').join('');
+  const rz = design.randomization || {};
+  const strata = Object.entries(rz.strata || {});
+  document.getElementById('design-note').textContent =
+    'Randomization: ' + (rz.method === 'balanced' ? 'balanced (least-filled cell)' : 'permuted blocks of ' + rz.blockSize) +
+    ((rz.stratifyBy || []).length ? ', stratified by ' + rz.stratifyBy.join(' × ') : '') +
+    (strata.length ? '. Sequence position: ' + strata.map(([k, p]) => k + ' → ' + p).join(', ') : '') + '.' +
+    (design.unassigned > 0 ? ' ' + design.unassigned + ' session(s) have no complete cell (created before the current design) and are not shown above.' : '');
+
   // Timing legend
   document.getElementById('timing-legend').innerHTML =
     '<p style="margin:0 0 8px;font-size:13px;color:#505a5f">All timing and behaviour metrics are computed from <strong>exploitable sessions</strong> ('+exploit+' sessions: Complete + Submitted — everyone who finished the procedure).</p>'+
@@ -1604,6 +3049,8 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
     '<dt>Procedure Time</dt><dd> — wall-clock time from the first form page (Applicant details) to clicking "Submit application". Includes time when the tab was hidden.</dd>'+
     '<dt>Active Time</dt><dd> — procedure time minus time spent with the tab hidden or minimised. Measures actual on-task engagement.</dd>'+
     '<dt>% Active</dt><dd> — active time as a percentage of procedure time. Low values suggest participants switched tabs or left the page during the task.</dd>'+
+    '<dt>Engaged Time</dt><dd> — active time minus idle time: periods with the tab visible but no typing, mouse or scroll activity for longer than the idle threshold, or with the browser window unfocused (e.g. working on another monitor).</dd>'+
+    '<dt>% Engaged</dt><dd> — engaged time as a percentage of procedure time.</dd>'+
     '<dt>Total Time</dt><dd> — time from session start to session end, including consent, instructions, post-task questionnaires, and feedback.</dd>'+
     '<dt>Validation Errors</dt><dd> — formatting issues caught by the form during the procedure (e.g., missing required fields, invalid date format). These are <em>not</em> substantive quality errors.</dd>'+
     '<dt>Doc Time</dt><dd> — total time spent viewing reference documents (ID card, vehicle registration, etc.) in the document viewer.</dd>'+
@@ -1614,7 +3061,10 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
   document.getElementById('timing').innerHTML = [
     ['Avg Procedure Time', s.avg_task_duration_formatted, ''],
     ['Avg Active Time', s.avg_active_task_duration_formatted || '—', ''],
-    ['% Active', (s.active_percent || 100) + '%', (s.active_percent || 100) < 80 ? 'amber' : ''],
+    ['% Active', (s.active_percent ?? 100) + '%', (s.active_percent ?? 100) < 80 ? 'amber' : ''],
+    ['Avg Engaged Time', s.avg_engaged_task_duration_formatted || '—', ''],
+    ['% Engaged', (s.engaged_percent ?? 100) + '%', (s.engaged_percent ?? 100) < 80 ? 'amber' : ''],
+    ['Avg Idle Time', s.avg_idle_time_formatted || '—', ''],
     ['Avg Total Time', s.avg_total_duration_formatted, ''],
     ['Avg Validation Errors', s.avg_errors, ''],
     ['Avg Doc Time', s.avg_doc_time_formatted, ''],
@@ -1625,6 +3075,7 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
   document.getElementById('timing-medians').innerHTML = [
     ['Mdn Procedure Time', s.median_task_duration_formatted || '—', 'muted'],
     ['Mdn Active Time', s.median_active_task_duration_formatted || '—', 'muted'],
+    ['Mdn Engaged Time', s.median_engaged_task_duration_formatted || '—', 'muted'],
     ['Mdn Total Time', s.median_total_duration_formatted || '—', 'muted'],
     ['Mdn Validation Errors', s.median_errors != null ? s.median_errors : '—', 'muted'],
     ['Mdn Doc Time', s.median_doc_time_formatted || '—', 'muted'],
@@ -1726,21 +3177,25 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
   pages.forEach(p => {
     const sec = SECTIONS[p.pageName] || 'Other';
     if (sec !== lastSection) {
-      tableHtml += '<tr class="section-header"><td colspan="6">'+sec+'</td></tr>';
+      tableHtml += '<tr class="section-header"><td colspan="7">'+sec+'</td></tr>';
       lastSection = sec;
     }
     const errCols = p.hasErrors
       ? '<td class="num">'+p.avgErrors+'</td><td class="num">'+p.errorRate+'%</td>'
       : '<td class="num" style="color:#b1b4b6">&mdash;</td><td class="num" style="color:#b1b4b6">&mdash;</td>';
-    tableHtml += '<tr><td>'+p.pageName+'</td><td class="num">'+p.avgTimeFormatted+'</td><td class="num">'+(p.avgActiveTimeFormatted||'—')+'</td><td class="num">'+p.n+'</td>'+errCols+'</tr>';
+    tableHtml += '<tr><td>'+p.pageName+'</td><td class="num">'+p.avgTimeFormatted+'</td><td class="num">'+(p.avgActiveTimeFormatted||'—')+'</td><td class="num">'+(p.avgEngagedTimeFormatted||'—')+'</td><td class="num">'+p.n+'</td>'+errCols+'</tr>';
   });
-  document.querySelector('#page-table tbody').innerHTML = tableHtml || '<tr><td colspan="6">No data yet</td></tr>';
+  document.querySelector('#page-table tbody').innerHTML = tableHtml || '<tr><td colspan="7">No data yet</td></tr>';
 
   // Document table
   const ds = s.doc_stats || [];
   document.querySelector('#doc-table tbody').innerHTML = ds.map(d =>
-    '<tr><td>'+d.docName+'</td><td class="num">'+d.uniqueViewers+'</td><td class="num">'+d.viewedByPct+'%</td><td class="num">'+d.totalOpens+'</td><td class="num">'+d.avgTimeFormatted+'</td></tr>'
-  ).join('') || '<tr><td colspan="5">No data yet</td></tr>';
+    '<tr><td>'+d.docName+'</td><td class="num">'+d.uniqueViewers+'</td><td class="num">'+d.viewedByPct+'%</td><td class="num">'+d.totalOpens+'</td><td class="num">'+d.avgTimeFormatted+'</td>'+
+    '<td class="num">'+(d.drawerOpens || 0)+'</td><td class="num">'+(d.avgDrawerTimeFormatted || '—')+'</td>'+
+    '<td class="num">'+(d.drawerZoomedPct != null ? d.drawerZoomedPct+'%' : '—')+'</td>'+
+    '<td class="num">'+(d.avgMaxZoomPct != null ? d.avgMaxZoomPct+'%' : '—')+'</td>'+
+    '<td class="num">'+(d.avgMaxScrollPct != null ? d.avgMaxScrollPct+'%' : '—')+'</td></tr>'
+  ).join('') || '<tr><td colspan="10">No data yet</td></tr>';
 
   // Time Estimation section
   const est = s.estimation_stats || {};
@@ -1816,6 +3271,20 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
       '</div>'+verdictHtml;
   }
 
+  // Between-condition tests
+  const inf = est.inferential || { outcomes: [] };
+  const fmtNum = v => v == null ? '—' : String(v);
+  const fmtCI = (m, ci) => m == null ? '—' : m + (ci ? ' <span style="color:#505a5f">['+ci[0]+', '+ci[1]+']</span>' : '');
+  const fmtP = p => p == null ? '—' : p < 0.001 ? '&lt; .001' : p.toFixed(3);
+  document.querySelector('#estimation-tests-table tbody').innerHTML = inf.outcomes.map(o =>
+    '<tr><td><strong>'+o.label+'</strong></td><td class="num">'+o.nA+' / '+o.nB+'</td>'+
+    '<td class="num">'+fmtCI(o.meanA, o.meanACI95)+'</td><td class="num">'+fmtCI(o.meanB, o.meanBCI95)+'</td>'+
+    '<td class="num">'+fmtCI(o.meanDiff, o.meanDiffCI95)+'</td>'+
+    '<td class="num">'+(o.welch ? o.welch.t+' ('+o.welch.df+'), p = '+fmtP(o.welch.p) : '—')+'</td>'+
+    '<td class="num">'+(o.mannWhitney ? o.mannWhitney.U+', p = '+fmtP(o.mannWhitney.p) : '—')+'</td>'+
+    '<td class="num">'+fmtNum(o.cohensD)+'</td><td class="num">'+(o.mannWhitney ? fmtNum(o.mannWhitney.rankBiserial) : '—')+'</td></tr>'
+  ).join('') || '<tr><td colspan="9">No estimation data yet</td></tr>';
+
   // Confidence distribution table
   const confDist = est.confidenceDistribution || [];
   const confLabels = {1:'1 — Not at all confident', 2:'2', 3:'3 — Moderately confident', 4:'4', 5:'5 — Extremely confident'};
@@ -1866,28 +3335,47 @@ fetch('/api/stats?key='+K+(excludeQ||'')).then(r=>r.json()).then(s=>{
     return '<tr><td>'+d.pageName+'</td><td class="num">'+d.count+'</td><td><span class="bar bar--red" style="width:'+pct+'%">&nbsp;</span></td></tr>';
   }).join('') || '<tr><td colspan="3">No drop-offs recorded</td></tr>';
 
+  // ── Exclusion rules ──
+  var rules = s.exclusion_rules || {};
+  var exclCounts = s.exclusion_counts || {};
+  var thresholdKeys = { speeder: 'pctOfMedian', hidden_time: 'maxHiddenPct' };
+  document.querySelector('#exclusion-rules-table tbody').innerHTML = Object.keys(rules).map(function(code) {
+    var r = rules[code];
+    var tk = thresholdKeys[code];
+    var threshold = tk ? '<input type="number" class="rule-threshold" data-code="'+code+'" data-key="'+tk+'" value="'+r[tk]+'" min="0" max="100" style="width:60px"> %' : '—';
+    return '<tr><td><input type="checkbox" class="rule-enabled" data-code="'+code+'"'+(r.enabled?' checked':'')+'></td>' +
+      '<td>'+r.label+'</td><td><code>'+code+'</code></td><td>'+threshold+'</td>' +
+      '<td class="num">'+(exclCounts[code]||0)+'</td></tr>';
+  }).join('') + ['manual_exclude','manual_include'].map(function(code) {
+    return '<tr><td>—</td><td>Manual override</td><td><code>'+code+'</code></td><td>—</td><td class="num">'+(exclCounts[code]||0)+'</td></tr>';
+  }).join('');
+  document.getElementById('exclusion-rules-status').textContent = (s.rule_excluded_sessions||0) + ' session(s) excluded by rules or manual overrides';
+
   // ── Participant data table ──
   var participants = s.participants || [];
   var excludedPids = new Set((getExcludeParam() || '').split(',').map(function(p){return p.trim()}).filter(Boolean));
   var tbody = document.querySelector('#participant-table tbody');
-  var fmtSec = function(sec) { if (!sec) return '—'; var m = Math.floor(sec/60); return m > 0 ? m+'m '+sec%60+'s' : sec+'s'; };
   tbody.innerHTML = participants.map(function(p) {
     var isExcl = excludedPids.has(p.prolific_pid);
+    var exclLabel = (p.exclusion_reasons || []).length === 0 ? '—' :
+      '<span style="color:'+(p.rule_excluded?'#d4351c':'#00703c')+';font-size:11px">'+p.exclusion_reasons.join(', ')+'</span>';
     var statusColor = p.completion_status === 'complete' ? '#00703c' : p.completion_status === 'submitted' ? '#1d70b8' : p.completion_status === 'ineligible' ? '#f47738' : p.completion_status === 'dropped' ? '#f47738' : '#d4351c';
     var qualityLabel = p.would_reject ? '<span style="color:#d4351c">Reject ('+p.quality_errors+')</span>' : '<span style="color:#00703c">Pass</span>';
     if (p.completion_status !== 'complete' && p.completion_status !== 'submitted') qualityLabel = '—';
     var attLabel = p.attention_passed ? '<span style="color:#00703c">Pass</span>' : '<span style="color:#d4351c">Fail</span>';
     if (p.completion_status !== 'complete' && p.completion_status !== 'submitted') attLabel = '—';
-    return '<tr style="'+(isExcl?'background:#fff3cd;opacity:0.7;':'')+'cursor:pointer" data-pid="'+p.prolific_pid+'">' +
-      '<td><input type="checkbox" class="excl-chk" data-pid="'+p.prolific_pid+'"'+(isExcl?' checked':'')+'></td>' +
-      '<td><code style="font-size:11px">'+p.prolific_pid+'</code></td>' +
+    return '<tr style="'+(isExcl||p.rule_excluded?'background:#fff3cd;opacity:0.7;':'')+'cursor:pointer" data-pid="'+p.prolific_pid+'">' +
+      '<td><input type="checkbox" class="excl-chk" data-pid="'+p.prolific_pid+'" data-sid="'+p.session_id+'"'+(isExcl?' checked':'')+'></td>' +
+      '<td><a href="/dashboard/participant/'+encodeURIComponent(p.session_id)+'?key='+K+'" title="Open timeline"><code style="font-size:11px">'+p.prolific_pid+'</code></a></td>' +
       '<td>'+p.condition+'</td>' +
       '<td><span style="color:'+statusColor+';font-weight:600">'+p.completion_status+'</span></td>' +
       '<td class="num">'+fmtSec(p.app_duration_sec)+'</td>' +
       '<td class="num">'+fmtSec(p.active_duration_sec)+'</td>' +
+      '<td class="num">'+fmtSec(p.engaged_duration_sec)+'</td>' +
       '<td class="num">'+p.total_errors+'</td>' +
       '<td>'+qualityLabel+'</td>' +
       '<td>'+attLabel+'</td>' +
+      '<td>'+exclLabel+'</td>' +
       '<td style="font-size:11px">'+p.last_page+'</td>' +
       '</tr>';
   }).join('');
@@ -1909,6 +3397,44 @@ function syncExcludeFromCheckboxes() {
   document.querySelectorAll('.excl-chk:checked').forEach(function(chk) { pids.push(chk.dataset.pid); });
   excludeInput.value = pids.join(', ');
 }
+document.getElementById('exclusion-rules-save').onclick = function() {
+  var rules = {};
+  document.querySelectorAll('.rule-enabled').forEach(function(chk) { rules[chk.dataset.code] = { enabled: chk.checked }; });
+  document.querySelectorAll('.rule-threshold').forEach(function(inp) { rules[inp.dataset.code][inp.dataset.key] = Number(inp.value); });
+  fetch('/api/exclusions/rules?key='+K, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules: rules }) })
+    .then(function(r) { return r.json(); })
+    .then(function(d) {
+      if (d.error) { document.getElementById('exclusion-rules-status').textContent = 'Error: ' + d.error; return; }
+      loadDashboard();
+    });
+};
+document.getElementById('exclusion-rules-apply').onclick = function() {
+  var status = document.getElementById('exclusion-rules-status');
+  fetch('/api/exclusions/apply?key='+K, { method: 'POST' })
+    .then(function(r) { return r.json(); })
+    .then(function(d) {
+      if (d.error) { status.textContent = 'Error: ' + d.error; return; }
+      status.textContent = 'Stored the outcome of ' + d.recorded + ' session(s) whose exclusion changed';
+    });
+};
+document.querySelectorAll('.manual-btn').forEach(function(btn) {
+  btn.onclick = function() {
+    var sids = [];
+    document.querySelectorAll('.excl-chk:checked').forEach(function(chk) { sids.push(chk.dataset.sid); });
+    var status = document.getElementById('manual-status');
+    if (sids.length === 0) { status.textContent = 'Tick at least one row first'; return; }
+    fetch('/api/exclusions/manual?key='+K, { method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_ids: sids, action: btn.dataset.action, reason: document.getElementById('manual-reason').value.trim() }) })
+      .then(function(r) { return r.json(); })
+      .then(function(d) {
+        if (d.error) { status.textContent = 'Error: ' + d.error; return; }
+        status.textContent = 'Saved ' + btn.dataset.action + ' override for ' + sids.length + ' session(s)';
+        // Overrides are persisted, so the temporary PID filter is no longer needed
+        excludeInput.value = '';
+        loadDashboard();
+      });
+  };
+});
 document.getElementById('select-all-chk').addEventListener('change', function() {
   var checked = this.checked;
   document.querySelectorAll('.excl-chk').forEach(function(chk) { chk.checked = checked; });
@@ -1959,11 +3485,209 @@ document.getElementById('delete-btn-2').onclick = function() {
 </body></html>`);
 });
 
+// --- Participant timeline ---
+// Merges the session record, its progress/snapshot/complete updates and every raw event file
+// into one chronological list. Session updates use the server's receipt time (marked
+// `clock: 'server'`). Event times are the tracker's client timestamps, shifted onto the server's
+// clock by their batch's offset (server receipt time − the batch's client send time), so a skewed
+// client clock can't reorder them against session updates; events without a recorded send time
+// keep their client timestamp.
+const fmtMs = ms => { const s = Math.round((ms || 0) / 1000); const m = Math.floor(s / 60); return m > 0 ? `${m}m ${s % 60}s` : `${s}s`; };
+
+function describeTimelineEvent(e) {
+  switch (e.type) {
+    case 'page_enter': return { kind: 'page', label: `Entered ${pageName(e.pageId)}` };
+    case 'page_exit': {
+      const parts = [`active ${fmtMs(e.activeTimeMs)}`];
+      if (e.engagedTimeMs != null) parts.push(`engaged ${fmtMs(e.engagedTimeMs)}`);
+      return { kind: 'page', label: `Left ${pageName(e.pageId)} after ${fmtMs(e.durationMs)} (${parts.join(', ')})` };
+    }
+    case 'navigation':
+      if (e.action === 'back') return { kind: 'back', label: `Went back from ${pageName(e.fromPageId)} to ${pageName(e.toPageId)}` };
+      if (e.action === 'skip') return { kind: 'skip', label: `Skipped from ${pageName(e.fromPageId)} to ${pageName(e.toPageId)}${e.reason ? ` (${e.reason})` : ''}` };
+      if (e.action === 'route') return { kind: 'skip', minor: true, label: `No routing rule matched on ${pageName(e.fromPageId)} (${(e.routes || []).length} evaluated), continued to ${pageName(e.toPageId)}` };
+      return { kind: 'navigation', label: `${e.action}: ${pageName(e.fromPageId)} → ${pageName(e.toPageId)}` };
+    case 'doc_open': return { kind: 'document', label: `Opened ${docName(e.docId)} (${e.source})` };
+    case 'doc_close': return { kind: 'document', label: `Closed ${docName(e.docId)} (${e.source}) after ${fmtMs(e.durationMs)}` };
+    case 'doc_zoom': return { kind: 'document', minor: true, label: `Zoomed ${docName(e.docId)} to ${Math.round(e.zoomLevel * 100)}% (${e.method})` };
+    case 'doc_pan': return { kind: 'document', minor: true, label: `Scrolled ${docName(e.docId)} to ${e.scrollTopPct}% down` };
+    case 'validation_errors': {
+      const details = (e.fields || []).map((f, i) => (e.messages && e.messages[i]) ? `${f}: ${e.messages[i]}` : f);
+      return { kind: 'error', label: `${e.errorCount} validation error(s) on ${pageName(e.pageId)}`, details };
+    }
+    case 'visibility_change': return { kind: 'tab', label: e.hidden ? 'Switched away from the tab' : 'Came back to the tab' };
+    case 'idle_change': return { kind: 'tab', label: e.idle ? `Became idle (${e.reason})` : `Engaged again (${e.reason})` };
+    case 'form_responses': return { kind: 'form', minor: true, label: `Saved answers for ${pageName(e.pageId)}` };
+    case 'session_resume': return {
+      kind: 'session',
+      label: e.newSitting
+        ? `Came back (sitting ${e.sitting}, ${e.resumedWith === 'code' ? 'with the resume code' : `via ${e.resumedWith}`}) after a ${fmtMs(e.breakMs)} break, on ${pageName(e.pageId)}`
+        : `Resumed the session on ${pageName(e.pageId)} (resume ${e.resumeCount})`,
+    };
+    case 'save_for_later': return { kind: 'session', label: `Saved to come back later on ${pageName(e.pageId)} (end of sitting ${e.sitting})` };
+    case 'session_complete': return { kind: 'session', label: 'Session completed (tracker summary)' };
+    case 'friction': return e.action === 'start'
+      ? { kind: 'friction', label: `Friction "${e.module}" (${e.frictionType}) started on ${pageName(e.pageId)}` }
+      : { kind: 'friction', label: `Friction "${e.module}" (${e.frictionType}) passed after ${fmtMs(e.durationMs)}${e.attempts ? ` (${e.attempts} attempt(s))` : ''}` };
+    case 'field_focus': return { kind: 'field', minor: true, label: `Focused ${e.fieldName}` };
+    case 'field_blur': return { kind: 'field', minor: true, label: `Left ${e.fieldName} after ${fmtMs(e.durationMs)} (${e.edits} edits, ${e.deletions} deletions)` };
+    case 'field_first_input': return { kind: 'field', minor: true, label: `First input in ${e.fieldName}` };
+    case 'field_paste': return { kind: 'field', minor: true, label: `Pasted into ${e.fieldName}` };
+    case 'field_autofill': return { kind: 'field', minor: true, label: `Autofilled ${e.fieldName}` };
+    case 'field_visibility': return { kind: 'field', minor: e.initial, label: `${e.visible ? 'Showed' : 'Hid'} ${e.fieldName}${e.initial ? ' (on page entry)' : ''}` };
+    case 'review_change': {
+      if (e.action === 'open') return { kind: 'navigation', label: `Followed the Change link for ${e.fieldName} to ${pageName(e.targetPageId)}` };
+      const amended = e.amendedFields && e.amendedFields.length > 0 ? `amended ${e.amendedFields.join(', ')}` : 'no answer amended';
+      return { kind: 'navigation', label: `Change to ${e.fieldName} ${e.action} (${amended})` };
+    }
+    case 'file_upload': {
+      const outcome = { started: 'Started uploading', uploaded: 'Uploaded', rejected: `Refused (${e.reason}) upload to`, failed: 'Failed upload to' }[e.outcome] || e.outcome;
+      return { kind: 'field', minor: e.outcome === 'started', label: `${outcome} ${e.fieldName}${e.durationMs != null ? ` (${e.durationMs} ms)` : ''}` };
+    }
+    case 'click': return { kind: 'click', minor: true, label: `Clicked ${e.target}${e.fieldName ? ` (${e.fieldName})` : ''}${e.docId ? ` (${docName(e.docId)})` : ''}` };
+    case 'scroll_depth': return { kind: 'scroll', minor: true, label: `Scrolled ${e.depthPct}% of ${pageName(e.pageId)}` };
+    default: return { kind: 'other', minor: true, label: e.type };
+  }
+}
+
+function buildParticipantTimeline(sessionId) {
+  const session = getMergedSessions().find(s => s.session_id === sessionId);
+  if (!session) return null;
+  const timeline = [];
+  const started = session.started_at ? Date.parse(session.started_at) : null;
+  if (started) timeline.push({ t: started, clock: 'server', kind: 'session', label: 'Session created' });
+
+  readJsonl('sessions_updates.jsonl').filter(u => u.session_id === sessionId).forEach(u => {
+    const t = u.server_received_at || Date.parse(u._written_at);
+    if (u.update_type === 'consent') timeline.push({ t, clock: 'server', kind: 'session', label: 'Consent given' });
+    else if (u.update_type === 'progress') timeline.push({ t, clock: 'server', kind: 'progress', minor: true, label: u.resumed ? `Progress saved on resuming — on ${pageName(u.currentPageId)}` : `Progress saved — now on ${pageName(u.currentPageId)}` });
+    else if (u.update_type === 'save_for_later') timeline.push({ t, clock: 'server', kind: 'session', label: `Resume code ${u.resume_code} issued` });
+    else if (u.update_type === 'autosave') timeline.push({ t, clock: 'server', kind: 'progress', minor: true, label: `Answers autosaved on ${pageName(u.currentPageId)}` });
+    else if (u.update_type === 'snapshot') timeline.push({ t, clock: 'server', kind: 'session', label: 'Application submitted (snapshot saved)' });
+    else if (u.update_type === 'exclusion') timeline.push({ t, clock: 'server', kind: 'session', label: u.excluded ? `Excluded (${u.exclusion_reasons.join(', ')})` : u.exclusion_reasons.length ? `Kept in despite the exclusion rules (${u.exclusion_reasons.join(', ')})` : 'No longer excluded' });
+    else if (u.update_type === 'complete') timeline.push({ t, clock: 'server', kind: 'session', label: `Session complete — total ${fmtMs(u.totalDurationMs)}` });
+  });
+
+  Object.values(EventSchema.TABLES).forEach(file => {
+    readJsonl(file).filter(e => e.session_id === sessionId).forEach(e => {
+      const clockOffsetMs = e.server_received_at && e.client_sent_at ? e.server_received_at - e.client_sent_at : 0;
+      timeline.push({ t: e.timestamp + clockOffsetMs, clock: 'client', clientTimestamp: e.timestamp, clockOffsetMs, seq: e.seq, pageId: e.pageId || null, type: e.type, ...describeTimelineEvent(e) });
+    });
+  });
+
+  timeline.sort((a, b) => (a.t - b.t) || (typeof a.seq === 'number' && typeof b.seq === 'number' ? a.seq - b.seq : 0));
+  const t0 = timeline.length ? timeline[0].t : 0;
+  timeline.forEach(entry => { entry.offsetMs = entry.t - t0; });
+
+  session.completion_status = getCompletionStatus(session);
+  session.last_page = getLastPage(session);
+  return {
+    session: {
+      session_id: session.session_id,
+      prolific_pid: session.prolific_pid,
+      condition_code: session.condition_code,
+      cell: getSessionCell(session),
+      completion_status: session.completion_status,
+      last_page: session.last_page,
+      started_at: session.started_at,
+      completed_at: session.completed_at,
+      applicationDurationMs: session.applicationDurationMs || 0,
+      totalDurationMs: session.totalDurationMs || 0,
+      totalErrors: session.totalErrors || 0,
+      errorCountsByField: session.errorCountsByField || {},
+    },
+    timeline,
+  };
+}
+
+app.get('/api/participant/:session_id/timeline', checkKey, (req, res) => {
+  try {
+    const result = buildParticipantTimeline(req.params.session_id);
+    if (!result) return res.status(404).json({ error: 'Session not found' });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/dashboard/participant/:session_id', checkKey, (req, res) => {
+  const sid = String(req.params.session_id).replace(/[^A-Za-z0-9_-]/g, '');
+  res.send(`<!DOCTYPE html><html><head><title>Participant timeline</title>
+<style>
+body{font-family:system-ui;max-width:1100px;margin:40px auto;padding:0 20px;color:#333}
+h1{color:#003078;margin-bottom:5px}
+.subtitle{color:#505a5f;margin-bottom:25px;font-size:15px}
+h2{color:#1d70b8;border-bottom:2px solid #1d70b8;padding-bottom:8px;margin-top:35px}
+.stats-grid{display:flex;flex-wrap:wrap;gap:10px;margin:15px 0}
+.stat{background:#f3f2f1;padding:15px 25px;border-radius:8px;min-width:130px}
+.stat-value{font-size:20px;font-weight:700;color:#1d70b8}.stat-label{font-size:12px;color:#505a5f}
+table{width:100%;border-collapse:collapse;margin:10px 0;font-size:13px}
+th{background:#1d70b8;color:white;padding:8px 12px;text-align:left;white-space:nowrap}
+td{padding:5px 12px;border-bottom:1px solid #ddd;vertical-align:top}
+td.num{text-align:right;font-variant-numeric:tabular-nums;white-space:nowrap}
+a{color:#1d70b8}
+.help{font-size:13px;color:#505a5f;margin-top:3px;line-height:1.5}
+.kind{display:inline-block;padding:1px 8px;border-radius:10px;font-size:11px;font-weight:600;color:white;background:#505a5f}
+.kind--page{background:#1d70b8}.kind--document{background:#00703c}.kind--error{background:#d4351c}
+.kind--back,.kind--skip{background:#f47738}.kind--tab{background:#b58105}.kind--session{background:#003078}.kind--friction{background:#912b88}
+tr.minor td{color:#6f777b}
+ul.details{margin:4px 0 0 18px;padding:0;color:#d4351c}
+</style></head><body>
+<p><a href="/dashboard?key=${EXPORT_KEY}">&larr; Back to dashboard</a></p>
+<h1>Participant timeline</h1>
+<p class="subtitle" id="subtitle">Loading…</p>
+<div class="stats-grid" id="summary"></div>
+<h2>Timeline</h2>
+<p class="help">Page visits, document views, validation errors, back navigation, skips and tab switches in chronological order. Times are relative to the first entry. Session updates (marked &#9201;) use the server's receipt time; tracker events use the participant's clock, corrected by how far it was off when their batch was sent.</p>
+<label style="font-size:13px"><input type="checkbox" id="show-minor"> Show all events (clicks, scrolling, field focus, zoom, progress saves)</label>
+<table id="timeline"><thead><tr><th>Time</th><th>Type</th><th>Page</th><th>Event</th></tr></thead><tbody></tbody></table>
+<script>
+const K = '${EXPORT_KEY}';
+const SID = '${sid}';
+const fmt = ms => { if (!ms) return '0s'; const s = Math.round(ms/1000); const m = Math.floor(s/60); return m > 0 ? m+'m '+s%60+'s' : s+'s'; };
+const esc = v => String(v == null ? '' : v).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'})[c]);
+let data = null;
+
+function render() {
+  const showMinor = document.getElementById('show-minor').checked;
+  const rows = data.timeline.filter(e => showMinor || !e.minor).map(e => {
+    const details = e.details && e.details.length ? '<ul class="details">'+e.details.map(d => '<li>'+esc(d)+'</li>').join('')+'</ul>' : '';
+    return '<tr class="'+(e.minor?'minor':'')+'"><td class="num">+'+fmt(e.offsetMs)+(e.clock==='server'?' &#9201;':'')+'</td>'+
+      '<td><span class="kind kind--'+esc(e.kind)+'">'+esc(e.kind)+'</span></td>'+
+      '<td>'+esc(e.pageId||'')+'</td><td>'+esc(e.label)+details+'</td></tr>';
+  });
+  document.querySelector('#timeline tbody').innerHTML = rows.join('') || '<tr><td colspan="4">No events recorded</td></tr>';
+}
+
+fetch('/api/participant/'+encodeURIComponent(SID)+'/timeline?key='+K).then(r => r.json()).then(d => {
+  if (d.error) { document.getElementById('subtitle').textContent = d.error; return; }
+  data = d;
+  const s = d.session;
+  document.getElementById('subtitle').innerHTML = 'Prolific PID <code>'+esc(s.prolific_pid)+'</code> &middot; session <code>'+esc(s.session_id)+'</code> &middot; condition '+esc(s.condition_code||'—')+(s.cell?' &middot; cell <code>'+esc(s.cell)+'</code>':'');
+  const topFields = Object.entries(s.errorCountsByField).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([f, n]) => f+' ('+n+')').join(', ');
+  document.getElementById('summary').innerHTML = [
+    ['Status', s.completion_status], ['Last page', s.last_page],
+    ['Procedure time', fmt(s.applicationDurationMs)], ['Total time', fmt(s.totalDurationMs)],
+    ['Validation errors', s.totalErrors], ['Most errors on', topFields || '—'],
+  ].map(([l, v]) => '<div class="stat"><div class="stat-value">'+esc(v)+'</div><div class="stat-label">'+l+'</div></div>').join('');
+  render();
+});
+document.getElementById('show-minor').addEventListener('change', () => { if (data) render(); });
+</script>
+</body></html>`);
+});
+
+// Landing page for "Save and come back later": enter a resume code to continue on any device
+app.get('/resume', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'resume.html'));
+});
+
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
 });
 
 loadSessionIndex();
+loadAllocationState();
+loadEventSeqIndex();
+loadUploadTotals();
 app.listen(PORT, () => {
   console.log(`\n  Sludge Experiment Server`);
   console.log(`  Procedure:  http://localhost:${PORT}`);
@@ -0,0 +1,61 @@
+/**
+ * Study design — between-subjects factors
+ *
+ * Each factor has a name and two or more levels. Every session is assigned one
+ * full cell of the design (one level of every factor), balanced across cells.
+ * The assigned levels are stored on the session (`factors`, `cell`), exported as
+ * `factor_<name>` CSV columns, and passed to the procedure engine so pages can
+ * branch on them (see `skipIf: { factor, value, targetPageId }`).
+ *
+ * The `estimation` factor drives the post-procedure time estimation prompt and
+ * is also recorded as `condition_code` for the estimation analyses. A `procedure`
+ * factor picks the procedure variant (levels are keys of window.PROCEDURE_CONFIGS,
+ * e.g. ['greenzone', 'short']) and is recorded as `procedure_version`; without it
+ * every session runs `defaultProcedure`.
+ *
+ * Randomization (all optional):
+ *   method      'permuted_blocks' (default) — seeded, reproducible sequence of shuffled blocks,
+ *               separate per stratum; or 'balanced' — least-filled cell, dropouts are refilled
+ *   blockSize   cells per block, a multiple of the number of cells (default: 2 × cells)
+ *   seed        any string; the same seed always gives the same allocation sequence
+ *   stratifyBy  session fields to stratify on, e.g. ['device'] (desktop/mobile/tablet from
+ *               the user agent) or ['platform']
+ *
+ * Quotas (optional) — count complete + submitted sessions plus those still in progress:
+ *   quotas.overall   maximum sessions for the whole study (null = no cap)
+ *   quotas.perCell   a number applied to every cell, or { 'self': 40, 'average': 40 } keyed by cell id
+ *                    (levels joined with '|', in factor order, e.g. 'self|short')
+ *   studyFull        where over-quota visitors are sent: redirectUrl (e.g. a Prolific completion
+ *                    link) and/or completionCode shown on the study-full page
+ *
+ * Example 2 × 2 × 2 design:
+ *   factors: [
+ *     { name: 'estimation', levels: ['self', 'average'] },
+ *     { name: 'length', levels: ['short', 'long'] },
+ *     { name: 'documents', levels: ['available', 'hidden'] },
+ *   ]
+ */
+module.exports = {
+  defaultProcedure: 'greenzone',
+  factors: [
+    {
+      name: 'estimation',
+      levels: ['self', 'average'],
+      description: 'Estimate own time (self) vs. an average participant\'s time (average)',
+    },
+  ],
+  randomization: {
+    method: 'permuted_blocks',
+    blockSize: 4,
+    seed: 'greenzone-2025',
+    stratifyBy: [],
+  },
+  quotas: {
+    overall: null,
+    perCell: null,
+  },
+  studyFull: {
+    redirectUrl: null,
+    completionCode: null,
+  },
+};
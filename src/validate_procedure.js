@@ -0,0 +1,285 @@
+/**
+ * Procedure validator — catch structural mistakes in procedure files before participants do
+ *
+ * Procedure files (public/js/procedure_*.js) are browser scripts that set window.PROCEDURE_CONFIGS
+ * (or another window.* config with a `pages` array). This loads them in a sandbox and checks
+ * every config:
+ *
+ * Errors (the server refuses to start):
+ * - missing config id, pages without an id, duplicate page ids, unknown page or field types
+ * - skipIf rules without a field/factor/when, on an unknown field or factor, or targeting a missing page
+ * - routes without a goTo or targeting a missing page; `when` expressions that don't parse or read
+ *   fields no page defines / factors not in the design; the same for field showIf expressions
+ * - review sections listing a field no page defines, documentsPanelPages entries that don't exist
+ * - fields without a name, choice fields without options, patterns that aren't valid regexes,
+ *   file fields whose maxSizeMb isn't a positive number
+ * - repeat fields without sub-fields, with nested repeats, showIf sub-fields, duplicate sub-field
+ *   names or invalid min/max
+ * - defaultProcedure or a `procedure` factor level that isn't a key of PROCEDURE_CONFIGS
+ * - friction modules with an unknown type or invalid options, duplicate ids, procedure-level modules
+ *   without pages or listing a missing page, `when` expressions as above, re-entered fields that no
+ *   page defines or that can't be typed again
+ *
+ * Warnings (logged):
+ * - the same field name on several pages (answers overwrite each other in the merged responses)
+ * - page ids missing from PAGE_ORDER / PAGE_NAMES in src/pages.js (dashboard shows raw ids); only for
+ *   the procedure file the server runs, since the catalog describes that file's pages
+ * - stepperSections no page uses, form pages without fields, a documents panel without HTML
+ * - a route without `when` before the last route (the routes after it can never run)
+ * - a field showIf that reads a field further down the same page
+ * - a friction module re-entering a field that isn't answered before it runs (it is skipped there)
+ *
+ * Usage: npm run validate [-- public/js/procedure_sample.js ...]   (default: procedure_greenzone.js)
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ProcedureBuilder = require('../public/js/procedure_builder');
+const ProcedureExpression = require('../public/js/expression');
+const Friction = require('../public/js/friction');
+const { PAGE_NAMES, PAGE_ORDER } = require('./pages');
+
+const PUBLIC_JS_DIR = path.join(__dirname, '..', 'public', 'js');
+const DEFAULT_PROCEDURE_FILE = path.join(PUBLIC_JS_DIR, 'procedure_greenzone.js');
+const PROCEDURE_FACTOR = 'procedure';
+
+const PAGE_TYPES = ['intro', 'consent', 'form', 'info', 'review', 'upload', 'completion'];
+const FIELD_TYPES = ['text', 'email', 'tel', 'number', 'textarea', 'select', 'radio', 'checkbox', 'date_group', 'file', 'hidden', 'repeat'];
+const CHOICE_TYPES = ['select', 'radio', 'checkbox'];
+
+// Run a procedure file as the browser would and collect the configs it exposes on window.
+// Returns { procedureConfigs: window.PROCEDURE_CONFIGS or null, configs: [{ keys, config }] };
+// a config registered under several keys (e.g. default + greenzone) is listed once.
+function loadProcedureFile(file) {
+  const window = {};
+  const sandbox = { window, ProcedureBuilder, console };
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+  const configs = [];
+  const add = (key, config) => {
+    const entry = configs.find(c => c.config === config);
+    if (entry) entry.keys.push(key);
+    else configs.push({ keys: [key], config });
+  };
+  const procedureConfigs = window.PROCEDURE_CONFIGS || null;
+  if (procedureConfigs) Object.entries(procedureConfigs).forEach(([key, config]) => add(key, config));
+  Object.entries(window).forEach(([key, value]) => {
+    if (key !== 'PROCEDURE_CONFIGS' && value && Array.isArray(value.pages)) add(key, value);
+  });
+  return { procedureConfigs, configs };
+}
+
+/**
+ * Validate one procedure config. `options.factors` (design factor names) enables the skipIf factor check;
+ * `options.pageCatalog` enables the PAGE_ORDER / PAGE_NAMES check.
+ * Returns { errors: [...], warnings: [...] }.
+ */
+function validateProcedure(config, options = {}) {
+  if (!config || !Array.isArray(config.pages)) return { errors: ['config has no pages array'], warnings: [] };
+  const errors = ProcedureBuilder.checkProcedureIntegrity(config);
+  const warnings = [];
+  const pages = config.pages;
+  if (!config.id) errors.push('config has no id');
+
+  const fieldPages = Object.create(null); // field name -> page ids (no inherited names such as constructor)
+  pages.forEach(p => (p.fields || []).forEach(f => {
+    if (f.name) (fieldPages[f.name] = fieldPages[f.name] || []).push(p.id);
+  }));
+
+  const checkFactor = (where, name) => {
+    if (options.factors && !options.factors.includes(name)) errors.push(`${where}: factor "${name}" is not a design factor`);
+  };
+  const safeIdentifiers = source => {
+    try { return ProcedureExpression.identifiers(source).fields; } catch (e) { return []; }
+  };
+  const checkExpression = (where, source) => {
+    let names;
+    try {
+      names = ProcedureExpression.identifiers(source);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+      return;
+    }
+    names.fields.filter(name => !fieldPages[name]).forEach(name => errors.push(`${where}: field "${name}" is not defined on any page`));
+    names.factors.forEach(name => checkFactor(where, name));
+  };
+
+  // Checks shared by page fields and repeat sub-fields; false if the field has no name
+  const checkField = (where, f, i) => {
+    if (!f.name) { errors.push(`${where}: field ${i} has no name`); return false; }
+    if (!FIELD_TYPES.includes(f.type)) errors.push(`${where}: field "${f.name}" has unknown type "${f.type}"`);
+    if (CHOICE_TYPES.includes(f.type) && !(Array.isArray(f.options) && f.options.length > 0)) {
+      errors.push(`${where}: ${f.type} field "${f.name}" has no options`);
+    }
+    if (f.pattern) {
+      try { new RegExp(f.pattern); } catch (e) { errors.push(`${where}: field "${f.name}" has an invalid pattern (${e.message})`); }
+    }
+    if (f.type === 'file' && f.maxSizeMb !== undefined && !(typeof f.maxSizeMb === 'number' && f.maxSizeMb > 0)) {
+      errors.push(`${where}: file field "${f.name}" has an invalid maxSizeMb (${f.maxSizeMb})`);
+    }
+    return true;
+  };
+
+  pages.forEach(p => {
+    const where = `page "${p.id}"`;
+    if (!PAGE_TYPES.includes(p.type)) errors.push(`${where}: unknown type "${p.type}"`);
+
+    if (p.skipIf) {
+      const rule = p.skipIf;
+      if (rule.when) checkExpression(`${where}: skipIf`, rule.when);
+      else if (!rule.field && !rule.factor) errors.push(`${where}: skipIf needs a field, a factor or a when expression`);
+      if (rule.field && !fieldPages[rule.field]) errors.push(`${where}: skipIf field "${rule.field}" is not defined on any page`);
+      if (rule.factor) checkFactor(`${where}: skipIf`, rule.factor);
+    }
+    if (p.routes !== undefined && !Array.isArray(p.routes)) errors.push(`${where}: routes must be an array`);
+    (Array.isArray(p.routes) ? p.routes : []).forEach((route, i) => {
+      if (route.when) checkExpression(`${where}: routes[${i}]`, route.when);
+      else if (i < p.routes.length - 1) warnings.push(`${where}: routes[${i}] has no when, so the routes after it never run`);
+    });
+
+    (p.fields || []).forEach((f, i) => {
+      if (!checkField(where, f, i)) return;
+      if (f.type === 'repeat') {
+        if (!(Array.isArray(f.fields) && f.fields.length > 0)) errors.push(`${where}: repeat field "${f.name}" has no sub-fields`);
+        else {
+          const subNames = new Set();
+          f.fields.forEach((sub, j) => {
+            if (!checkField(`${where}: repeat "${f.name}"`, sub, j)) return;
+            if (subNames.has(sub.name)) errors.push(`${where}: repeat "${f.name}" has two sub-fields named "${sub.name}"`);
+            subNames.add(sub.name);
+            if (sub.type === 'repeat') errors.push(`${where}: repeat "${f.name}": sub-field "${sub.name}" can't itself be a repeat`);
+            if (sub.showIf) errors.push(`${where}: repeat "${f.name}": sub-field "${sub.name}" uses showIf, which isn't supported inside a repeat`);
+          });
+        }
+        const isCount = n => n === undefined || (Number.isInteger(n) && n >= 0);
+        if (!isCount(f.min) || !isCount(f.max) || (f.max !== undefined && f.max < 1)) {
+          errors.push(`${where}: repeat "${f.name}": min must be a non-negative integer and max a positive integer`);
+        } else if (f.min !== undefined && f.max !== undefined && f.min > f.max) {
+          errors.push(`${where}: repeat "${f.name}": min (${f.min}) is greater than max (${f.max})`);
+        }
+      }
+      if (f.showIf) {
+        checkExpression(`${where}: field "${f.name}" showIf`, f.showIf);
+        const later = p.fields.slice(i + 1).map(other => other.name);
+        safeIdentifiers(f.showIf).filter(name => later.includes(name)).forEach(name => {
+          warnings.push(`${where}: field "${f.name}" showIf reads "${name}", which comes after it on the page`);
+        });
+      }
+    });
+    if (p.type === 'form' && !(p.fields && p.fields.length > 0)) warnings.push(`${where}: form page has no fields`);
+
+    const missing = options.pageCatalog ? [!PAGE_ORDER.includes(p.id) && 'PAGE_ORDER', !PAGE_NAMES[p.id] && 'PAGE_NAMES'].filter(Boolean) : [];
+    if (missing.length > 0) warnings.push(`${where}: not in ${missing.join(' / ')} (src/pages.js)`);
+  });
+
+  // Friction modules (public/js/friction.js), declared on the procedure or on pages
+  const pageIds = pages.map(p => p.id);
+  const frictionIds = new Set();
+  Friction.declarations(config).forEach(({ where, pageId, module }) => {
+    Friction.checkOptions(module).forEach(problem => errors.push(`${where}: ${problem}`));
+    const { id, on } = Friction.normalize(module, pageId);
+    if (frictionIds.has(id)) errors.push(`${where}: another friction module has id "${id}" (give each one an id)`);
+    frictionIds.add(id);
+    let targets = pageId ? [pageId] : [];
+    if (!pageId && !(Array.isArray(module.pages) && module.pages.length > 0)) {
+      errors.push(`${where}: procedure-level friction needs a pages array`);
+    } else if (!pageId) {
+      module.pages.filter(target => !pageIds.includes(target)).forEach(target => errors.push(`${where}: page "${target}" does not exist`));
+      targets = module.pages.filter(target => pageIds.includes(target));
+    }
+    if (module.when) checkExpression(`${where}: when`, module.when);
+    Friction.reenteredFields(module).forEach(name => {
+      const def = pages.flatMap(p => p.fields || []).find(f => f.name === name);
+      if (!def) { errors.push(`${where}: field "${name}" is not defined on any page`); return; }
+      if (!Friction.REENTRY_FIELD_TYPES.includes(def.type)) errors.push(`${where}: ${def.type} field "${name}" can't be entered again`);
+      // Answers are committed on Continue, so only an exit step can re-ask a field of its own page
+      const answeredAt = Math.min(...fieldPages[name].map(id => pageIds.indexOf(id)));
+      targets.filter(target => answeredAt > pageIds.indexOf(target) || (answeredAt === pageIds.indexOf(target) && on !== 'exit')).forEach(target => {
+        warnings.push(`${where}: field "${name}" isn't answered before the module runs on page "${target}", so it is left out there`);
+      });
+    });
+  });
+
+  Object.entries(fieldPages).filter(([, ids]) => ids.length > 1).forEach(([name, ids]) => {
+    warnings.push(`field "${name}" is defined on several pages (${ids.join(', ')})`);
+  });
+  (config.stepperSections || []).forEach(section => {
+    if (!pages.some(p => p.section === section)) warnings.push(`stepperSections: no page has section "${section}"`);
+  });
+  if (config.showDocumentsPanel && !config.documentsPanelHtml) warnings.push('showDocumentsPanel is set but documentsPanelHtml is empty');
+
+  return { errors, warnings };
+}
+
+// Validate every config in a file. Returns [{ keys, id, errors, warnings }]
+function validateProcedureFile(file, options = {}) {
+  return loadProcedureFile(file).configs.map(({ keys, config }) => ({ keys, id: config.id, ...validateProcedure(config, options) }));
+}
+
+/**
+ * Validate the procedures a study runs: defaultProcedure and every level of the `procedure`
+ * factor must be a key of PROCEDURE_CONFIGS, and each of those configs must validate.
+ * Returns { errors, warnings } with messages prefixed by the procedure key.
+ */
+function validateConfiguredProcedures(studyConfig, file = DEFAULT_PROCEDURE_FILE) {
+  const { procedureConfigs } = loadProcedureFile(file);
+  if (!procedureConfigs) return { errors: [`${path.basename(file)} does not set window.PROCEDURE_CONFIGS`], warnings: [] };
+  const factors = (studyConfig.factors || []).map(f => f.name);
+  const procedureFactor = (studyConfig.factors || []).find(f => f.name === PROCEDURE_FACTOR);
+  const keys = [...new Set([studyConfig.defaultProcedure || 'greenzone', ...(procedureFactor ? procedureFactor.levels : [])])];
+
+  const errors = [];
+  const warnings = [];
+  const checked = new Set();
+  keys.forEach(key => {
+    const config = procedureConfigs[key];
+    if (!config) { errors.push(`procedure "${key}" is not a key of PROCEDURE_CONFIGS in ${path.basename(file)}`); return; }
+    if (checked.has(config)) return;
+    checked.add(config);
+    const result = validateProcedure(config, { factors, pageCatalog: true });
+    result.errors.forEach(e => errors.push(`${key}: ${e}`));
+    result.warnings.forEach(w => warnings.push(`${key}: ${w}`));
+  });
+  return { errors, warnings };
+}
+
+module.exports = {
+  DEFAULT_PROCEDURE_FILE,
+  loadProcedureFile,
+  validateProcedure,
+  validateProcedureFile,
+  validateConfiguredProcedures,
+};
+
+// CLI: node src/validate_procedure.js [files...] — exits 1 if any config has errors
+if (require.main === module) {
+  const STUDY_CONFIG = require('./study_config');
+  const files = process.argv.slice(2);
+  const factors = STUDY_CONFIG.factors.map(f => f.name);
+  let failed = false;
+  (files.length > 0 ? files : [DEFAULT_PROCEDURE_FILE]).forEach(file => {
+    console.log(`\n${path.relative(process.cwd(), path.resolve(file))}`);
+    let results;
+    try {
+      // The page catalog only describes the file the server runs
+      results = validateProcedureFile(path.resolve(file), { factors, pageCatalog: path.resolve(file) === DEFAULT_PROCEDURE_FILE });
+    } catch (err) {
+      console.log(`  ✗ could not load: ${err.message}`);
+      failed = true;
+      return;
+    }
+    if (results.length === 0) {
+      console.log('  ✗ no procedure config found (expected window.PROCEDURE_CONFIGS or a window.* object with pages)');
+      failed = true;
+    }
+    results.forEach(r => {
+      if (r.errors.length > 0) failed = true;
+      console.log(`  ${r.errors.length > 0 ? '✗' : '✓'} ${r.keys.join(', ')} (${r.id || 'no id'}): ${r.errors.length} error(s), ${r.warnings.length} warning(s)`);
+      r.errors.forEach(e => console.log(`      error:   ${e}`));
+      r.warnings.forEach(w => console.log(`      warning: ${w}`));
+    });
+  });
+  console.log('');
+  process.exit(failed ? 1 : 0);
+}